@@ -0,0 +1,25 @@
+// telegram-app-backend/middleware/authCustomer.js
+const jwt = require('jsonwebtoken');
+
+const authCustomer = (req, res, next) => {
+    const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        const token = authHeader.substring(7);
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_CUSTOMER_SECRET); // Use CUSTOMER secret
+            if (decoded.role !== 'customer' || !decoded.userId) {
+                return res.status(403).json({ error: 'Forbidden: Not a customer token.' });
+            }
+            req.customer = decoded; // Add decoded info (userId = Telegram user id, name, role)
+            next();
+        } catch (error) {
+            console.error("Customer JWT verification error:", error.message);
+            return res.status(401).json({ error: 'Invalid or expired customer token.' });
+        }
+    } else {
+        return res.status(401).json({ error: 'Customer authorization header missing or malformed.' });
+    }
+};
+
+module.exports = authCustomer;
@@ -0,0 +1,22 @@
+-- migrations/001_order_status_history.sql
+-- Audit trail for every order / order item status transition (see services/orderStateMachine.js).
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id INTEGER REFERENCES order_items(id) ON DELETE CASCADE, -- NULL for order-level transitions
+    status_field VARCHAR(30) NOT NULL,   -- 'status' (orders), 'supplier_item_status' or 'delivery_item_status' (order_items)
+    from_status VARCHAR(50),             -- NULL when the order is first created
+    to_status VARCHAR(50) NOT NULL,
+    actor_type VARCHAR(20) NOT NULL,     -- 'customer', 'supplier', 'delivery_agent', 'admin' or 'system'
+    actor_id BIGINT,                     -- Telegram user id, supplier id, agent id or admin id (NULL for 'system')
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history (order_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_item_id ON order_status_history (order_item_id);
+
+-- Items created before this migration may have no delivery status yet.
+UPDATE order_items SET delivery_item_status = 'pending_assignment' WHERE delivery_item_status IS NULL;
@@ -0,0 +1,6 @@
+-- migrations/002_order_item_rejection.sql
+-- Suppliers can reject individual order items with a reason (PUT /api/supplier/order-items/:orderItemId/status).
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS supplier_status_updated_at TIMESTAMPTZ;
@@ -0,0 +1,12 @@
+-- migrations/003_delivery_agent_cities.sql
+-- Which cities each delivery agent covers. An agent with no rows here covers all of their supplier's cities.
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+CREATE TABLE IF NOT EXISTS delivery_agent_cities (
+    delivery_agent_id INTEGER NOT NULL REFERENCES delivery_agents(id) ON DELETE CASCADE,
+    city_id INTEGER NOT NULL REFERENCES cities(id) ON DELETE CASCADE,
+    PRIMARY KEY (delivery_agent_id, city_id)
+);
+
+-- Speeds up the open-task counts used by auto-assignment
+CREATE INDEX IF NOT EXISTS idx_order_items_agent_delivery_status ON order_items (assigned_delivery_agent_id, delivery_item_status);
@@ -0,0 +1,19 @@
+-- migrations/004_idempotency_keys.sql
+-- Client-supplied Idempotency-Key handling for POST /api/orders (see services/idempotency.js).
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_fingerprint VARCHAR(64) NOT NULL,  -- sha256 of the request body, so a reused key with a different body is refused
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys (created_at);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
@@ -0,0 +1,6 @@
+-- migrations/005_order_item_cancellation.sql
+-- Why and when an order item was cancelled (by the customer, or by an admin cancelling the whole order).
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
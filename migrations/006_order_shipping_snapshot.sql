@@ -0,0 +1,23 @@
+-- migrations/006_order_shipping_snapshot.sql
+-- Delivery name, phone and address are copied onto the order at checkout (see services/shippingAddress.js),
+-- so supplier and agent views no longer depend on the customer's current profile.
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_full_name VARCHAR(255);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_phone_number VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_address_line1 TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_address_line2 TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_city VARCHAR(255);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_city_id INTEGER REFERENCES cities(id);
+
+-- Existing orders get the best information we have: the profile as it is now.
+UPDATE orders o
+SET shipping_full_name = up.full_name,
+    shipping_phone_number = up.phone_number,
+    shipping_address_line1 = up.address_line1,
+    shipping_address_line2 = up.address_line2,
+    shipping_city = up.city,
+    shipping_city_id = up.selected_city_id
+FROM user_profiles up
+WHERE o.user_id = up.user_id
+  AND o.shipping_address_line1 IS NULL;
@@ -0,0 +1,24 @@
+-- migrations/007_user_addresses.sql
+-- Address book: customers can save several delivery addresses (home, work, ...) and pick one at checkout.
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+CREATE TABLE IF NOT EXISTS user_addresses (
+    id SERIAL PRIMARY KEY,
+    user_id BIGINT NOT NULL,                 -- Telegram user id, like user_profiles.user_id
+    label VARCHAR(50) NOT NULL,              -- e.g. 'Home', 'Work', 'Mum'
+    full_name VARCHAR(255) NOT NULL,
+    phone_number VARCHAR(50) NOT NULL,
+    address_line1 TEXT NOT NULL,
+    address_line2 TEXT,
+    city_id INTEGER NOT NULL REFERENCES cities(id),
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_addresses_user_id ON user_addresses (user_id);
+-- At most one default address per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_one_default ON user_addresses (user_id) WHERE is_default;
+
+-- Which saved address an order was placed with (the address itself is still copied into orders.shipping_*)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_address_id INTEGER REFERENCES user_addresses(id) ON DELETE SET NULL;
@@ -0,0 +1,52 @@
+-- migrations/008_supplier_orders.sql
+-- A checkout spanning several suppliers becomes one parent order (orders) plus one sub-order per supplier
+-- (supplier_orders), each with its own totals, delivery fee, status and delivery status.
+-- orders.total_amount is the sum of its sub-orders' totals.
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+-- Flat delivery fee a supplier charges per sub-order
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS delivery_fee NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS supplier_orders (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+    status VARCHAR(50) NOT NULL DEFAULT 'pending',                       -- same lifecycle as orders.status
+    delivery_status VARCHAR(50) NOT NULL DEFAULT 'pending_assignment',   -- same values as orders.delivery_status
+    items_subtotal NUMERIC(10, 2) NOT NULL DEFAULT 0,                    -- active items only
+    delivery_fee NUMERIC(10, 2) NOT NULL DEFAULT 0,                      -- suppliers.delivery_fee at checkout
+    total_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,                      -- items_subtotal + delivery_fee (0 once nothing is left)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (order_id, supplier_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_supplier_orders_supplier_id ON supplier_orders (supplier_id, created_at DESC);
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS supplier_order_id INTEGER REFERENCES supplier_orders(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_order_items_supplier_order_id ON order_items (supplier_order_id);
+
+-- Sub-order transitions are recorded with status_field 'supplier_order_status'
+ALTER TABLE order_status_history ADD COLUMN IF NOT EXISTS supplier_order_id INTEGER REFERENCES supplier_orders(id) ON DELETE CASCADE;
+
+-- Split existing orders into sub-orders (no delivery fee was charged for them)
+INSERT INTO supplier_orders (order_id, supplier_id, status, delivery_status, items_subtotal, delivery_fee, total_amount, created_at)
+SELECT o.id, p.supplier_id, o.status, COALESCE(o.delivery_status, 'pending_assignment'),
+       COALESCE(SUM(oi.quantity * oi.price_at_time_of_order)
+                FILTER (WHERE COALESCE(oi.supplier_item_status, 'pending') NOT IN ('rejected', 'cancelled')), 0),
+       0,
+       COALESCE(SUM(oi.quantity * oi.price_at_time_of_order)
+                FILTER (WHERE COALESCE(oi.supplier_item_status, 'pending') NOT IN ('rejected', 'cancelled')), 0),
+       o.order_date
+FROM orders o
+JOIN order_items oi ON oi.order_id = o.id
+JOIN products p ON oi.product_id = p.id
+GROUP BY o.id, p.supplier_id
+ON CONFLICT (order_id, supplier_id) DO NOTHING;
+
+UPDATE order_items oi
+SET supplier_order_id = so.id
+FROM products p, supplier_orders so
+WHERE oi.product_id = p.id
+  AND so.order_id = oi.order_id
+  AND so.supplier_id = p.supplier_id
+  AND oi.supplier_order_id IS NULL;
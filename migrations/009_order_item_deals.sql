@@ -0,0 +1,10 @@
+-- migrations/009_order_item_deals.sql
+-- Supplier deals with a discount_percentage now lower product prices (see services/pricing.js).
+-- Each order item records which deal it was bought under, and at what discount.
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS applied_deal_id INTEGER REFERENCES deals(id) ON DELETE SET NULL;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS deal_discount_percentage NUMERIC(5, 2); -- Kept even if the deal is deleted later
+
+-- Active deals are looked up per product on every priced query
+CREATE INDEX IF NOT EXISTS idx_deals_active_supplier ON deals (supplier_id, product_id) WHERE is_active = TRUE;
@@ -0,0 +1,55 @@
+-- migrations/010_coupons.sql
+-- Promo codes (see services/coupons.js). Admins create platform-wide coupons; suppliers create coupons that only
+-- discount their own products. A redemption is stored per order, and the discount is split across the sub-orders.
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+CREATE TABLE IF NOT EXISTS coupons (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL,                       -- Stored upper-case; customers can type any case
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+    discount_value NUMERIC(10, 2) NOT NULL CHECK (discount_value > 0),
+    max_discount_amount NUMERIC(10, 2),              -- Optional cap for percentage coupons
+    min_basket_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    usage_limit_total INTEGER,                       -- NULL = unlimited
+    usage_limit_per_user INTEGER,                    -- NULL = unlimited
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ,
+    supplier_id INTEGER REFERENCES suppliers(id) ON DELETE CASCADE, -- NULL = platform coupon (all suppliers)
+    created_by_type VARCHAR(20) NOT NULL,            -- 'admin' or 'supplier'
+    created_by_id INTEGER,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_code ON coupons (UPPER(code));
+CREATE INDEX IF NOT EXISTS idx_coupons_supplier_id ON coupons (supplier_id);
+
+-- Cities a coupon is limited to (no rows = valid everywhere)
+CREATE TABLE IF NOT EXISTS coupon_cities (
+    coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    city_id INTEGER NOT NULL REFERENCES cities(id) ON DELETE CASCADE,
+    PRIMARY KEY (coupon_id, city_id)
+);
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id SERIAL PRIMARY KEY,
+    coupon_id INTEGER NOT NULL REFERENCES coupons(id),
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    user_id BIGINT NOT NULL,
+    discount_amount NUMERIC(10, 2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'applied',   -- 'applied', or 'released' once the order is cancelled
+    redeemed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    released_at TIMESTAMPTZ,
+    UNIQUE (order_id)                                -- One coupon per order
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon_user ON coupon_redemptions (coupon_id, user_id);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_id INTEGER REFERENCES coupons(id);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+-- The part of the order's discount that comes off this supplier's sub-order
+ALTER TABLE supplier_orders ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
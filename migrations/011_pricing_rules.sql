@@ -0,0 +1,52 @@
+-- migrations/011_pricing_rules.sql
+-- Demand-based pricing rules used by services/pricingEngine.js instead of hardcoded constants.
+-- A rule applies globally, to a master product category or to one master product, optionally only in one city.
+-- On every run the engine picks the most specific active rule per product (see services/pricingRules.js).
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+CREATE TABLE IF NOT EXISTS pricing_rules (
+    id SERIAL PRIMARY KEY,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('global', 'category', 'master_product')),
+    category VARCHAR(255),                             -- Matches master_products.category when scope = 'category'
+    master_product_id INTEGER REFERENCES master_products(id) ON DELETE CASCADE, -- When scope = 'master_product'
+    city_id INTEGER REFERENCES cities(id) ON DELETE CASCADE, -- NULL = every city
+    high_demand_threshold INTEGER NOT NULL,            -- Units sold in the window above which the price goes up
+    low_demand_threshold INTEGER NOT NULL,             -- Units sold in the window below which the price goes down
+    adjustment_step NUMERIC(6, 4) NOT NULL CHECK (adjustment_step > 0),      -- e.g. 0.0050 = 0.5% per run
+    max_increase NUMERIC(6, 4) NOT NULL CHECK (max_increase >= 0),           -- e.g. 0.1000 = at most +10%
+    max_decrease NUMERIC(6, 4) NOT NULL CHECK (max_decrease <= 0),           -- e.g. -0.0500 = at most -5%
+    demand_window_days INTEGER NOT NULL DEFAULT 7 CHECK (demand_window_days > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (low_demand_threshold <= high_demand_threshold),
+    CHECK (
+        (scope = 'global' AND category IS NULL AND master_product_id IS NULL)
+        OR (scope = 'category' AND category IS NOT NULL AND master_product_id IS NULL)
+        OR (scope = 'master_product' AND master_product_id IS NOT NULL AND category IS NULL)
+    )
+);
+
+-- One rule per target and city
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pricing_rules_target
+    ON pricing_rules (scope, COALESCE(category, ''), COALESCE(master_product_id, 0), COALESCE(city_id, 0));
+
+-- The values the engine used to hardcode
+INSERT INTO pricing_rules (scope, high_demand_threshold, low_demand_threshold, adjustment_step, max_increase, max_decrease)
+SELECT 'global', 20, 5, 0.0050, 0.1000, -0.0500
+WHERE NOT EXISTS (SELECT 1 FROM pricing_rules WHERE scope = 'global' AND city_id IS NULL);
+
+-- A master product's adjustment in a city where a city-specific rule applies to it (demand counted from orders
+-- delivered to that city). Everywhere else master_products.current_price_adjustment_percentage applies.
+CREATE TABLE IF NOT EXISTS master_product_city_adjustments (
+    master_product_id INTEGER NOT NULL REFERENCES master_products(id) ON DELETE CASCADE,
+    city_id INTEGER NOT NULL REFERENCES cities(id) ON DELETE CASCADE,
+    adjustment_percentage NUMERIC(6, 4) NOT NULL DEFAULT 0,
+    demand_score INTEGER NOT NULL DEFAULT 0,
+    pricing_rule_id INTEGER REFERENCES pricing_rules(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (master_product_id, city_id)
+);
+
+-- Which rule last priced the master product (everywhere without a city-specific rule)
+ALTER TABLE master_products ADD COLUMN IF NOT EXISTS pricing_rule_id INTEGER REFERENCES pricing_rules(id) ON DELETE SET NULL;
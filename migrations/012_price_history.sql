@@ -0,0 +1,32 @@
+-- migrations/012_price_history.sql
+-- Audit trail of price changes: every adjustment the pricing engine makes to a master product (globally or in a
+-- city) and every supplier change to a product's price, discount price or sale flag (see services/priceHistory.js).
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+CREATE TABLE IF NOT EXISTS price_history (
+    id BIGSERIAL PRIMARY KEY,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('adjustment', 'supplier_price')),
+    -- No foreign keys on purpose: the history stays readable after a product or master product is deleted
+    product_id INTEGER,                      -- supplier_price rows
+    supplier_id INTEGER,                     -- supplier_price rows
+    master_product_id INTEGER,               -- adjustment rows (and the product's master at the time otherwise)
+    city_id INTEGER,                         -- adjustment rows for a city-specific adjustment; NULL = global
+    old_adjustment_percentage NUMERIC(6, 4),
+    new_adjustment_percentage NUMERIC(6, 4), -- NULL when a city adjustment was removed (the global one applies again)
+    old_price NUMERIC(10, 2),
+    new_price NUMERIC(10, 2),
+    old_discount_price NUMERIC(10, 2),
+    new_discount_price NUMERIC(10, 2),
+    old_is_on_sale BOOLEAN,
+    new_is_on_sale BOOLEAN,
+    demand_score INTEGER,                    -- Demand the engine saw (adjustment rows)
+    pricing_rule_id INTEGER,                 -- Rule the engine applied (adjustment rows)
+    cause VARCHAR(50) NOT NULL,              -- 'pricing_engine', 'supplier_product_create', 'supplier_product_update'
+    changed_by_type VARCHAR(20) NOT NULL,    -- 'system' or 'supplier'
+    changed_by_id INTEGER,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_history_product ON price_history (product_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_price_history_master_product ON price_history (master_product_id, created_at DESC);
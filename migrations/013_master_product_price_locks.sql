@@ -0,0 +1,18 @@
+-- migrations/013_master_product_price_locks.sql
+-- Admins can pin a master product's price adjustment (a manual override, e.g. for a promotion or a legal price cap)
+-- or just lock it; the pricing engine skips locked products. A lock can expire, and an expiring override restores
+-- the adjustment it replaced (see services/priceLocks.js).
+-- Each lock, override, unlock and expiry is written to price_history (cause 'admin_lock', 'admin_override',
+-- 'admin_unlock' or 'lock_expired').
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+ALTER TABLE master_products ADD COLUMN IF NOT EXISTS price_locked BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE master_products ADD COLUMN IF NOT EXISTS price_lock_expires_at TIMESTAMPTZ;   -- NULL = until unlocked
+ALTER TABLE master_products ADD COLUMN IF NOT EXISTS price_lock_reason TEXT;
+ALTER TABLE master_products ADD COLUMN IF NOT EXISTS price_locked_by_admin_id INTEGER;
+ALTER TABLE master_products ADD COLUMN IF NOT EXISTS price_locked_at TIMESTAMPTZ;
+-- Set when the lock is a manual override: the adjustment to restore when it ends (NULL for a plain lock)
+ALTER TABLE master_products ADD COLUMN IF NOT EXISTS adjustment_before_override NUMERIC(6, 4);
+
+CREATE INDEX IF NOT EXISTS idx_master_products_price_lock_expiry
+    ON master_products (price_lock_expires_at) WHERE price_locked;
@@ -0,0 +1,28 @@
+-- migrations/014_pricing_engine_runs.sql
+-- One row per pricing engine run (services/pricingEngine.js): when it ran, how long it took, what it changed and
+-- whether it succeeded. The engine works in batches with their own transactions, so a run can be 'partial'.
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+CREATE TABLE IF NOT EXISTS pricing_engine_runs (
+    id SERIAL PRIMARY KEY,
+    trigger VARCHAR(20) NOT NULL DEFAULT 'schedule',  -- 'schedule' (cron) or 'manual' (admin)
+    triggered_by_admin_id INTEGER,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'partial', 'failed')),
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    batch_size INTEGER,
+    batches_total INTEGER NOT NULL DEFAULT 0,
+    batches_failed INTEGER NOT NULL DEFAULT 0,      -- Rolled back; their products keep last run's adjustment
+    products_total INTEGER NOT NULL DEFAULT 0,
+    products_adjusted INTEGER NOT NULL DEFAULT 0,
+    products_unchanged INTEGER NOT NULL DEFAULT 0,
+    products_skipped_locked INTEGER NOT NULL DEFAULT 0,
+    products_skipped_no_rule INTEGER NOT NULL DEFAULT 0,
+    city_adjustments_updated INTEGER NOT NULL DEFAULT 0,
+    city_adjustments_removed INTEGER NOT NULL DEFAULT 0,
+    expired_locks_released INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_engine_runs_started_at ON pricing_engine_runs (started_at DESC);
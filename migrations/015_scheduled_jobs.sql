@@ -0,0 +1,24 @@
+-- migrations/015_scheduled_jobs.sql
+-- Scheduled jobs (services/jobScheduler.js). Every server instance runs node-cron, but a job only runs where it
+-- wins the lease on its row here, so each scheduled run happens once across all instances. The row also keeps the
+-- outcome of the last run.
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name VARCHAR(100) PRIMARY KEY,
+    schedule VARCHAR(100) NOT NULL,                  -- cron pattern
+    description TEXT,
+    locked_by VARCHAR(255),                          -- Instance running it right now (hostname:pid)
+    locked_until TIMESTAMPTZ,                        -- Lease end; an instance that died mid-run loses it here
+    last_scheduled_for TIMESTAMPTZ,                  -- Cron slot of the last scheduled run (dedupes instances)
+    last_trigger VARCHAR(20),                        -- 'schedule' or 'manual'
+    last_triggered_by_admin_id INTEGER,
+    last_started_at TIMESTAMPTZ,
+    last_finished_at TIMESTAMPTZ,
+    last_status VARCHAR(20),                         -- 'running', 'succeeded' or 'failed'
+    last_duration_ms INTEGER,
+    last_error TEXT,
+    last_result JSONB,
+    run_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,22 @@
+-- migrations/016_product_linking_decisions.sql
+-- Admin review of how supplier products are linked to master products. Each decision (confirm the current link,
+-- relink to another master product, create a new master product, or reject the product) is recorded here and sets
+-- products.linking_status to 'admin_confirmed', 'admin_linked', 'admin_master_created' or 'rejected'.
+-- Rejected products are hidden from customers until the supplier edits them (which puts them back in the queue).
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+CREATE TABLE IF NOT EXISTS product_linking_decisions (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL,             -- No foreign key: decisions stay on record after the product is deleted
+    decision VARCHAR(20) NOT NULL CHECK (decision IN ('confirm', 'relink', 'create_master', 'reject')),
+    previous_master_product_id INTEGER,
+    new_master_product_id INTEGER,
+    previous_linking_status VARCHAR(50),
+    new_linking_status VARCHAR(50) NOT NULL,
+    note TEXT,
+    admin_id INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_linking_decisions_product ON product_linking_decisions (product_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_products_linking_status ON products (linking_status);
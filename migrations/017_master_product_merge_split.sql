@@ -0,0 +1,25 @@
+-- migrations/017_master_product_merge_split.sql
+-- Admins merge duplicate master products and split wrongly grouped products off into a new master product.
+-- A merged master product is kept (for price history, past decisions and links) but points to the one it was
+-- merged into; new supplier products matching its name are linked to that one instead.
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+ALTER TABLE master_products ADD COLUMN IF NOT EXISTS merged_into_id INTEGER REFERENCES master_products(id);
+ALTER TABLE master_products ADD COLUMN IF NOT EXISTS merged_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_master_products_merged_into ON master_products (merged_into_id) WHERE merged_into_id IS NOT NULL;
+
+-- Log of merges and splits
+CREATE TABLE IF NOT EXISTS master_product_operations (
+    id SERIAL PRIMARY KEY,
+    operation VARCHAR(10) NOT NULL CHECK (operation IN ('merge', 'split')),
+    target_master_product_id INTEGER NOT NULL,       -- Merge: the surviving master. Split: the new master.
+    source_master_product_ids INTEGER[] NOT NULL,    -- Merge: the merged masters. Split: the master split from.
+    product_ids INTEGER[] NOT NULL,                  -- Supplier products that were re-pointed
+    details JSONB,                                   -- Demand/adjustment before and after, moved pricing rules, ...
+    note TEXT,
+    admin_id INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_master_product_operations_target ON master_product_operations (target_master_product_id);
@@ -0,0 +1,22 @@
+-- migrations/018_deal_supplier_search.sql
+-- Full-text and trigram search over deals (title, description) and suppliers (name, category, description) for
+-- GET /api/search, the same way products are searched (Arabic text search configuration plus pg_trgm similarity).
+-- Run once against the database (e.g. in the Neon SQL Editor).
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS tsv tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('pg_catalog.arabic', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('pg_catalog.arabic', COALESCE(description, '')), 'B')
+) STORED;
+
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS tsv tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('pg_catalog.arabic', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('pg_catalog.arabic', COALESCE(category, '')), 'B') ||
+    setweight(to_tsvector('pg_catalog.arabic', COALESCE(description, '')), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_deals_tsv ON deals USING GIN (tsv);
+CREATE INDEX IF NOT EXISTS idx_deals_title_trgm ON deals USING GIN (title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_suppliers_tsv ON suppliers USING GIN (tsv);
+CREATE INDEX IF NOT EXISTS idx_suppliers_name_trgm ON suppliers USING GIN (name gin_trgm_ops);
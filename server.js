@@ -1,6 +1,5 @@
 // server.js
 require('dotenv').config(); // Load environment variables from .env file
-const cron = require('node-cron');
 const pricingEngine = require('./services/pricingEngine'); // Adjust path if you placed it elsewhere
 const db = require('./config/db'); // Import the db config
 const express = require('express');
@@ -12,7 +11,24 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const authAdmin = require('./middleware/authAdmin'); // IMPORT THIS
 const authDeliveryAgent = require('./middleware/authDeliveryAgent'); // IMPORT
-const crypto = require('crypto'); // For HMAC SHA256 verification
+const authCustomer = require('./middleware/authCustomer');
+const { verifyTelegramInitData } = require('./services/telegramAuth');
+const orderStateMachine = require('./services/orderStateMachine');
+const deliveryRollup = require('./services/deliveryRollup');
+const notifications = require('./services/notifications');
+const deliveryAssignment = require('./services/deliveryAssignment');
+const inventory = require('./services/inventory');
+const idempotency = require('./services/idempotency');
+const shippingAddress = require('./services/shippingAddress');
+const pricing = require('./services/pricing');
+const coupons = require('./services/coupons');
+const pricingRules = require('./services/pricingRules');
+const priceHistory = require('./services/priceHistory');
+const priceLocks = require('./services/priceLocks');
+const jobScheduler = require('./services/jobScheduler');
+const masterProducts = require('./services/masterProducts');
+const productLinking = require('./services/productLinking');
+const productListing = require('./services/productListing');
 
 const normalizeTextForMatching = (inputText) => {
     if (typeof inputText !== 'string' || !inputText) {
@@ -41,6 +57,13 @@ const normalizeTextForMatching = (inputText) => {
     return normalized;
 };
 
+// Products an admin rejected in the linking review queue are hidden from customers and can't be ordered
+const PRODUCT_NOT_REJECTED_SQL = "p.linking_status IS DISTINCT FROM 'rejected'";
+
+// Sort options of the product listing and the product search (see services/productListing.js)
+const PRODUCT_LIST_SORTS = ['newest', 'price_asc', 'price_desc', 'popularity', 'rating'];
+const PRODUCT_SEARCH_SORTS = ['relevance', ...PRODUCT_LIST_SORTS];
+
 // --- Middleware ---
 // Enable CORS for all routes and origins (adjust for production later)
 app.use(cors());
@@ -90,6 +113,12 @@ app.get('/api/search', async (req, res) => {
     const productLimit = parseInt(req.query.limit, 10) || 10;
     const productOffset = (productPage - 1) * productLimit;
 
+    // Optional product filters and sort, as in GET /api/products (default: by relevance)
+    const listing = productListing.parseListingQuery(req.query, { sorts: PRODUCT_SEARCH_SORTS, defaultSort: 'relevance' });
+    if (listing.error) {
+        return res.status(400).json({ error: listing.error });
+    }
+
     if (searchTerm.trim().length < MIN_SEARCH_LENGTH) {
         return res.json({
             searchTerm: searchTerm,
@@ -99,65 +128,52 @@ app.get('/api/search', async (req, res) => {
 
     const trimmedSearchTerm = searchTerm.trim();
     const trigramThreshold = 0.1;
+    const SEARCH_RESULTS_LIMIT = 10; // Deals and suppliers each
 
     try {
         const productPromise = (async () => {
-            const queryParams = [];
+            const queryParams = [trimmedSearchTerm, cityId, trigramThreshold]; // Parameters 1-3: Search Term, City ID, threshold
+            const filterClauses = productListing.buildFilterClauses(listing.filters, queryParams);
+
+            const fromSql = `
+                FROM products p
+                JOIN suppliers s ON p.supplier_id = s.id
+                JOIN supplier_cities sc ON s.id = sc.supplier_id
+                ${pricing.priceJoins('$2::int')}
+                , LATERAL websearch_to_tsquery('pg_catalog.arabic', $1) AS q(query)
+            `;
+            const whereClauses = [
+                's.is_active = TRUE',
+                PRODUCT_NOT_REJECTED_SQL,
+                'sc.city_id = $2',
+                '(p.tsv @@ q.query OR similarity(COALESCE(mp.display_name, p.name), $1) > $3)'
+            ];
+
             // This SQL query is now more comprehensive to fetch the adjustment percentage
             const productsQuery = `
                 SELECT
-                    p.id, p.name, p.description, p.price AS supplier_base_price, 
-                    p.discount_price AS supplier_discount_price, p.is_on_sale AS supplier_is_on_sale,
-                    p.category, p.image_url, s_prod.name as supplier_name, p.supplier_id,
+                    p.id, p.name, p.description,
+                    p.category, p.image_url, s.name as supplier_name, p.supplier_id,
                     p.master_product_id, mp.display_name AS master_product_display_name,
                     mp.image_url AS master_product_image_url,
-                    COALESCE(mp.current_price_adjustment_percentage, 0.0000) AS price_adjustment_percentage,
+                    ${pricing.PRICE_COLUMNS},
                     ts_rank_cd(p.tsv, q.query) AS rank
-                FROM products p
-                JOIN suppliers s_prod ON p.supplier_id = s_prod.id
-                JOIN supplier_cities sc ON s_prod.id = sc.supplier_id
-                LEFT JOIN master_products mp ON p.master_product_id = mp.id
-                , LATERAL websearch_to_tsquery('pg_catalog.arabic', $1) AS q(query) -- Parameter 1: Search Term
-                WHERE 
-                    s_prod.is_active = TRUE
-                    AND sc.city_id = $2 -- Parameter 2: City ID
-                    AND (p.tsv @@ q.query OR similarity(COALESCE(mp.display_name, p.name), $1) > $3) -- Parameter 1 & 3
-                ORDER BY rank DESC
-                LIMIT $4 OFFSET $5; -- Parameter 4 & 5
+                ${fromSql}
+                WHERE ${whereClauses.join(' AND ')} AND ${productListing.combineClauses(filterClauses)}
+                ORDER BY ${productListing.PRODUCT_SORTS[listing.sort]}
+                LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2};
             `;
-            queryParams.push(trimmedSearchTerm, cityId, trigramThreshold, productLimit, productOffset);
 
-            const countQuery = `
-                SELECT COUNT(DISTINCT p.id) AS total_items 
-                FROM products p
-                JOIN suppliers s_prod ON p.supplier_id = s_prod.id
-                JOIN supplier_cities sc ON s_prod.id = sc.supplier_id
-                LEFT JOIN master_products mp ON p.master_product_id = mp.id
-                , LATERAL websearch_to_tsquery('pg_catalog.arabic', $1) AS q(query)
-                WHERE 
-                    s_prod.is_active = TRUE
-                    AND sc.city_id = $2
-                    AND (p.tsv @@ q.query OR similarity(COALESCE(mp.display_name, p.name), $1) > $3);
-            `;
-            const countQueryParams = [trimmedSearchTerm, cityId, trigramThreshold];
-            
-            const [productsResult, productCountResult] = await Promise.all([
-                db.query(productsQuery, queryParams),
-                db.query(countQuery, countQueryParams)
+            // The facet query also counts the matching products
+            const [productsResult, facetResult] = await Promise.all([
+                db.query(productsQuery, [...queryParams, productLimit, productOffset]),
+                productListing.fetchFacets(db, { fromSql, baseWhere: whereClauses, clauses: filterClauses, params: queryParams })
             ]);
             
             // =================================================================
             // === THIS IS THE CORRECTED MAPPING LOGIC WITH PRICE CALCULATION ===
             // =================================================================
             const processedProducts = productsResult.rows.map(p => {
-                // Calculate the effective selling price
-                let basePriceForCalc = parseFloat(p.supplier_base_price);
-                if (p.supplier_is_on_sale && p.supplier_discount_price !== null) {
-                    basePriceForCalc = parseFloat(p.supplier_discount_price);
-                }
-                const adjustment = parseFloat(p.price_adjustment_percentage);
-                const effectivePrice = basePriceForCalc * (1 + adjustment);
-
                 // Return the final object shape that the frontend card expects
                 return {
                     id: p.id,
@@ -165,7 +181,7 @@ app.get('/api/search', async (req, res) => {
                     image_url: p.master_product_image_url || p.image_url,
                     supplier_name: p.supplier_name,
                     supplier_id: p.supplier_id,
-                    effective_selling_price: parseFloat(effectivePrice.toFixed(2)),
+                    ...pricing.getPriceFields(p),
                     // These fields are needed to show a "slashed" original price on the card
                     is_on_sale: p.supplier_is_on_sale,
                     discount_price: p.supplier_discount_price,
@@ -175,14 +191,61 @@ app.get('/api/search', async (req, res) => {
             return {
                 items: processedProducts,
                 currentPage: productPage,
-                totalPages: Math.ceil(parseInt(productCountResult.rows[0].total_items, 10) / productLimit),
-                totalItems: parseInt(productCountResult.rows[0].total_items, 10),
+                totalPages: Math.ceil(facetResult.totalItems / productLimit),
+                totalItems: facetResult.totalItems,
+                sort: listing.sort,
+                facets: facetResult.facets
             };
         })();
 
-        // Your existing logic for deals and suppliers
-        const dealsPromise = (async () => { /* ... */ })();
-        const suppliersPromise = (async () => { /* ... */ })();
+        // Deals and suppliers: same full-text + trigram match as products (tsv columns from
+        // migrations/018_deal_supplier_search.sql), best matches first, no pagination
+        const dealsPromise = (async () => {
+            // Same city rule as GET /api/deals: platform-wide deals, or deals of active suppliers serving the city
+            const dealsQuery = `
+                SELECT
+                    d.id, d.title, d.description, d.discount_percentage,
+                    d.start_date, d.end_date, d.product_id, d.supplier_id, d.image_url,
+                    s.name AS supplier_name,
+                    ts_rank_cd(d.tsv, q.query) AS rank
+                FROM deals d
+                LEFT JOIN suppliers s ON d.supplier_id = s.id
+                , LATERAL websearch_to_tsquery('pg_catalog.arabic', $1) AS q(query)
+                WHERE
+                    d.is_active = TRUE
+                    AND (d.end_date IS NULL OR d.end_date >= CURRENT_DATE)
+                    AND (
+                        d.supplier_id IS NULL
+                        OR (s.is_active = TRUE AND EXISTS (
+                            SELECT 1 FROM supplier_cities sc WHERE sc.supplier_id = d.supplier_id AND sc.city_id = $2
+                        ))
+                    )
+                    AND (d.tsv @@ q.query OR similarity(d.title, $1) > $3)
+                ORDER BY rank DESC, similarity(d.title, $1) DESC, d.id DESC
+                LIMIT $4;
+            `;
+            const dealsResult = await db.query(dealsQuery, [trimmedSearchTerm, cityId, trigramThreshold, SEARCH_RESULTS_LIMIT]);
+            return dealsResult.rows;
+        })();
+
+        const suppliersPromise = (async () => {
+            const suppliersQuery = `
+                SELECT
+                    s.id, s.name, s.category, s.rating, s.image_url,
+                    ts_rank_cd(s.tsv, q.query) AS rank
+                FROM suppliers s
+                JOIN supplier_cities sc ON s.id = sc.supplier_id
+                , LATERAL websearch_to_tsquery('pg_catalog.arabic', $1) AS q(query)
+                WHERE
+                    s.is_active = TRUE
+                    AND sc.city_id = $2
+                    AND (s.tsv @@ q.query OR similarity(s.name, $1) > $3)
+                ORDER BY rank DESC, similarity(s.name, $1) DESC, s.id ASC
+                LIMIT $4;
+            `;
+            const suppliersResult = await db.query(suppliersQuery, [trimmedSearchTerm, cityId, trigramThreshold, SEARCH_RESULTS_LIMIT]);
+            return suppliersResult.rows;
+        })();
 
         const [paginatedProducts, deals, suppliers] = await Promise.all([productPromise, dealsPromise, suppliersPromise]);
 
@@ -253,9 +316,10 @@ app.get('/api/deals', async (req, res) => {
 // ... (other require statements, middleware, existing /api/deals route) ...
 
 // --- NEW: GET a single deal by ID ---
-// e.g., /api/deals/123
+// e.g., /api/deals/123 (optional ?cityId= prices the linked product in that city)
 app.get('/api/deals/:dealId', async (req, res) => {
     const { dealId } = req.params;
+    const cityId = parseInt(req.query.cityId, 10) || null;
 
     if (isNaN(parseInt(dealId, 10))) {
         return res.status(400).json({ error: 'Invalid Deal ID format.' });
@@ -274,9 +338,10 @@ app.get('/api/deals/:dealId', async (req, res) => {
                 d.product_id, 
                 p.name AS product_name, -- Name of the linked product
                 p.image_url AS product_image_url, -- Image of the linked product
-                p.price AS product_price,             -- <<< ADD THIS
-    p.discount_price AS product_discount_price, -- <<< ADD THIS
-    p.is_on_sale AS product_is_on_sale, -- <<< ADD THIS (or infer from deal)
+                p.price AS product_price,
+                p.discount_price AS product_discount_price,
+                p.is_on_sale AS product_is_on_sale,
+                ${pricing.PRICE_COLUMNS},
                 d.supplier_id,
                 s.name AS supplier_name, -- Name of the linked supplier
                 d.image_url, 
@@ -284,13 +349,25 @@ app.get('/api/deals/:dealId', async (req, res) => {
                 d.created_at
             FROM deals d
             LEFT JOIN products p ON d.product_id = p.id       -- Join to get linked product's name/image
+            ${pricing.priceJoins('$2::int')}
             LEFT JOIN suppliers s ON d.supplier_id = s.id    -- Join to get linked supplier's name
-            WHERE d.id = $1 AND d.is_active = TRUE;          -- Fetch only active deals, or remove d.is_active for all
+            WHERE d.id = $1 AND d.is_active = TRUE           -- Fetch only active deals, or remove d.is_active for all
+              AND (d.product_id IS NULL OR ${PRODUCT_NOT_REJECTED_SQL}); -- A deal on a rejected product is hidden with it
         `;
-        const result = await db.query(query, [dealId]);
+        const result = await db.query(query, [dealId, cityId]);
 
         if (result.rows.length > 0) {
-            res.json(result.rows[0]);
+            const deal = result.rows[0];
+            // Same customer price as the product's own page (null when the deal isn't linked to a product). That price
+            // uses the product's best active deal, which isn't necessarily this one: applied_deal_id says which deal
+            // it is, and is_applied_deal whether it's this one.
+            const priceFields = deal.product_id ? pricing.getPriceFields(deal) : null;
+            deal.product_effective_selling_price = priceFields ? priceFields.effective_selling_price : null;
+            deal.product_price_before_deal = priceFields ? priceFields.price_before_deal : null;
+            deal.applied_deal_id = priceFields ? priceFields.applied_deal_id : null;
+            deal.deal_discount_percentage = priceFields ? priceFields.deal_discount_percentage : null;
+            deal.is_applied_deal = deal.applied_deal_id === deal.id;
+            res.json(deal);
         } else {
             res.status(404).json({ error: 'Deal not found or not active' });
         }
@@ -303,9 +380,10 @@ app.get('/api/deals/:dealId', async (req, res) => {
 // ... (other require statements, middleware, existing /api/suppliers route) ...
 
 // --- NEW: GET a single supplier by ID, including some of their products ---
-// e.g., /api/suppliers/1
+// e.g., /api/suppliers/1 (optional ?cityId= prices the products in that city)
 app.get('/api/suppliers/:supplierId', async (req, res) => {
     const { supplierId } = req.params;
+    const cityId = parseInt(req.query.cityId, 10) || null;
     const PRODUCTS_LIMIT_IN_DETAIL = 6; // How many products to show in the supplier detail view
 
     if (isNaN(parseInt(supplierId, 10))) {
@@ -333,7 +411,6 @@ app.get('/api/suppliers/:supplierId', async (req, res) => {
         const supplierResult = await client.query(supplierQuery, [supplierId]);
 
         if (supplierResult.rows.length === 0) {
-            client.release();
             return res.status(404).json({ error: 'Supplier not found' });
         }
         const supplierDetails = supplierResult.rows[0];
@@ -341,20 +418,26 @@ app.get('/api/suppliers/:supplierId', async (req, res) => {
         // --- Query 2: Get some products for this supplier ---
         const productsQuery = `
             SELECT 
-                id, 
-                name, 
-                price, 
-                discount_price, 
-                image_url, 
-                is_on_sale,
-                category AS product_category -- Alias to avoid conflict if supplier also has 'category'
-            FROM products 
-            WHERE supplier_id = $1
-            ORDER BY created_at DESC -- Or by popularity, etc.
+                p.id, 
+                p.name, 
+                p.price, 
+                p.discount_price, 
+                p.image_url, 
+                p.is_on_sale,
+                p.category AS product_category, -- Alias to avoid conflict if supplier also has 'category'
+                ${pricing.PRICE_COLUMNS}
+            FROM products p
+            ${pricing.priceJoins('$3::int')}
+            WHERE p.supplier_id = $1 AND ${PRODUCT_NOT_REJECTED_SQL}
+            ORDER BY p.created_at DESC -- Or by popularity, etc.
             LIMIT $2;
         `;
-        const productsResult = await client.query(productsQuery, [supplierId, PRODUCTS_LIMIT_IN_DETAIL]);
-        supplierDetails.products = productsResult.rows; // Add products array to supplierDetails
+        const productsResult = await client.query(productsQuery, [supplierId, PRODUCTS_LIMIT_IN_DETAIL, cityId]);
+        // Add products array to supplierDetails, priced like every other catalog route
+        supplierDetails.products = productsResult.rows.map(product => ({
+            ...product,
+            ...pricing.getPriceFields(product)
+        }));
 
         // --- Query 3 (Optional): Get total count of products for this supplier to indicate if there are more ---
         const totalProductsCountQuery = 'SELECT COUNT(*) AS total_supplier_products FROM products WHERE supplier_id = $1;';
@@ -397,79 +480,58 @@ app.get('/api/products', async (req, res) => {
         return res.status(400).json({ error: "A cityId query parameter is required." });
     }
 
+    // Optional filters (category, supplierId, minPrice, maxPrice, onSale, inStock, hasDeal) and sort
+    const listing = productListing.parseListingQuery(req.query, { sorts: PRODUCT_LIST_SORTS, defaultSort: 'newest' });
+    if (listing.error) {
+        return res.status(400).json({ error: listing.error });
+    }
+
     try {
         const queryParams = [cityId]; // [CITY_FILTER] Start params with cityId
-        let paramCount = 1;
-        
-        // [CITY_FILTER] The items query now JOINS supplier_cities
-        let itemsQuery = `
+        const filterClauses = productListing.buildFilterClauses(listing.filters, queryParams);
+
+        // [CITY_FILTER] JOIN supplier_cities to filter by city; the price joins are needed by the price/deal filters too
+        const fromSql = `
+            FROM products p
+            JOIN suppliers s ON p.supplier_id = s.id
+            JOIN supplier_cities sc ON s.id = sc.supplier_id -- [CITY_FILTER] Join to filter by city
+            ${pricing.priceJoins('$1::int')}
+        `;
+        // [CITY_FILTER] The where clause includes the city filter
+        const whereClauses = ["s.is_active = TRUE", "sc.city_id = $1", PRODUCT_NOT_REJECTED_SQL];
+
+        const itemsQuery = `
             SELECT 
                 p.id,
                 p.name,
                 p.description,
-                p.price AS supplier_base_price,
-                p.discount_price AS supplier_discount_price,
                 p.category,
                 p.image_url,
-                p.is_on_sale AS supplier_is_on_sale,
                 p.stock_level,
                 p.created_at,
                 p.supplier_id,
                 s.name AS supplier_name,
+                s.rating AS supplier_rating,
                 p.master_product_id,
-                COALESCE(mp.current_price_adjustment_percentage, 0.0000) AS price_adjustment_percentage 
-            FROM products p
-            JOIN suppliers s ON p.supplier_id = s.id
-            JOIN supplier_cities sc ON s.id = sc.supplier_id -- [CITY_FILTER] Join to filter by city
-            LEFT JOIN master_products mp ON p.master_product_id = mp.id
+                ${pricing.PRICE_COLUMNS}
+            ${fromSql}
+            WHERE ${whereClauses.join(' AND ')} AND ${productListing.combineClauses(filterClauses)}
+            ORDER BY ${productListing.PRODUCT_SORTS[listing.sort]}
+            LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
         `;
-        
-        // [CITY_FILTER] The where clause now includes the city filter
-        let whereClauses = ["s.is_active = TRUE", "sc.city_id = $1"];
-        
-        if (whereClauses.length > 0) {
-            itemsQuery += ' WHERE ' + whereClauses.join(' AND ');
-        }
 
-        itemsQuery += ' ORDER BY p.created_at DESC';
-        itemsQuery += ` LIMIT $${++paramCount} OFFSET $${++paramCount}`;
-        queryParams.push(safeLimit, offset);
-
-        const itemsResult = await db.query(itemsQuery, queryParams);
+        // The facet query also counts the matching products, so there is no separate count query
+        const [itemsResult, facetResult] = await Promise.all([
+            db.query(itemsQuery, [...queryParams, safeLimit, offset]),
+            productListing.fetchFacets(db, { fromSql, baseWhere: whereClauses, clauses: filterClauses, params: queryParams })
+        ]);
         
-        const productsWithEffectivePrice = itemsResult.rows.map(p => {
-            // Your existing price calculation logic is perfect and remains unchanged
-            let basePriceForCalc = parseFloat(p.supplier_base_price);
-            if (p.supplier_is_on_sale && p.supplier_discount_price !== null) {
-                basePriceForCalc = parseFloat(p.supplier_discount_price);
-            }
-            const adjustment = parseFloat(p.price_adjustment_percentage);
-            const effectivePrice = basePriceForCalc * (1 + adjustment);
-            
-            return {
-                ...p,
-                effective_selling_price: parseFloat(effectivePrice.toFixed(2))
-            };
-        });
+        const productsWithEffectivePrice = itemsResult.rows.map(p => ({
+            ...p,
+            ...pricing.getPriceFields(p)
+        }));
 
-        // [CITY_FILTER] The count query must also be updated to match the filtering logic
-        let countQuery = `
-            SELECT COUNT(DISTINCT p.id) AS total_items 
-            FROM products p
-            JOIN suppliers s ON p.supplier_id = s.id
-            JOIN supplier_cities sc ON s.id = sc.supplier_id -- [CITY_FILTER] Join for count
-        `;
-        
-        // [CITY_FILTER] The where clause for the count query
-        let countWhereClauses = ["s.is_active = TRUE", "sc.city_id = $1"];
-        
-        if (countWhereClauses.length > 0) {
-            countQuery += ' WHERE ' + countWhereClauses.join(' AND ');
-        }
-        
-        // [CITY_FILTER] The count query now also needs the cityId parameter
-        const countResult = await db.query(countQuery, [cityId]);
-        const totalItems = parseInt(countResult.rows[0].total_items, 10);
+        const totalItems = facetResult.totalItems;
         const totalPages = Math.ceil(totalItems / safeLimit);
 
         res.json({
@@ -477,7 +539,9 @@ app.get('/api/products', async (req, res) => {
             currentPage: safePage,
             totalPages: totalPages,
             totalItems: totalItems,
-            limit: safeLimit
+            limit: safeLimit,
+            sort: listing.sort,
+            facets: facetResult.facets
         });
 
     } catch (err) {
@@ -518,40 +582,32 @@ app.get('/api/products/batch', async (req, res) => {
                 p.id, 
                 p.name, 
                 p.description, 
-                p.price AS supplier_base_price, 
-                p.discount_price AS supplier_discount_price, 
                 p.category, 
                 p.image_url, 
-                p.is_on_sale AS supplier_is_on_sale, 
                 p.stock_level, 
                 p.created_at,
                 p.supplier_id,
                 s.name AS supplier_name,
                 p.master_product_id,
-                COALESCE(mp.current_price_adjustment_percentage, 0.0000) AS price_adjustment_percentage,
+                ${pricing.PRICE_COLUMNS},
                 mp.display_name AS master_product_display_name,
                 mp.image_url AS master_product_image_url 
             FROM products p
             LEFT JOIN suppliers s ON p.supplier_id = s.id
-            LEFT JOIN master_products mp ON p.master_product_id = mp.id
+            ${pricing.priceJoins('$2::int')}
             WHERE p.id = ANY($1::int[]) 
-              AND s.is_active = TRUE; -- Only products from active suppliers
+              AND s.is_active = TRUE -- Only products from active suppliers
+              AND ${PRODUCT_NOT_REJECTED_SQL};
         `;
-        const result = await db.query(query, [productIds]);
+        // Optional cityId: prices in that city (the pricing engine may adjust them per city)
+        const result = await db.query(query, [productIds, parseInt(req.query.cityId, 10) || null]);
 
         const productsWithEffectivePrice = result.rows.map(p => {
-            let basePriceForCalc = parseFloat(p.supplier_base_price);
-            if (p.supplier_is_on_sale && p.supplier_discount_price !== null) {
-                basePriceForCalc = parseFloat(p.supplier_discount_price);
-            }
-            const adjustment = parseFloat(p.price_adjustment_percentage);
-            const effectivePrice = basePriceForCalc * (1 + adjustment);
-
             return {
                 ...p,
                 name: p.master_product_id && p.master_product_display_name ? p.master_product_display_name : p.name,
                 image_url: p.master_product_id && p.master_product_image_url ? p.master_product_image_url : p.image_url,
-                effective_selling_price: parseFloat(effectivePrice.toFixed(2)),
+                ...pricing.getPriceFields(p),
                 // Optionally remove adjustment percentage from final response
                 // price_adjustment_percentage: undefined 
             };
@@ -585,36 +641,27 @@ app.get('/api/products/:productId', async (req, res) => {
                 p.id, 
                 p.name, 
                 p.description, 
-                p.price AS supplier_base_price, 
-                p.discount_price AS supplier_discount_price, 
                 p.category, 
                 p.image_url, 
-                p.is_on_sale AS supplier_is_on_sale, 
                 p.stock_level, 
                 p.created_at,
                 p.supplier_id, 
                 s.name AS supplier_name,
                 s.location AS supplier_location,
                 p.master_product_id,
-                COALESCE(mp.current_price_adjustment_percentage, 0.0000) AS price_adjustment_percentage,
+                ${pricing.PRICE_COLUMNS},
                 mp.display_name AS master_product_display_name, -- Optional: get master display name
                 mp.description AS master_product_description -- Optional: get master description
             FROM products p
             LEFT JOIN suppliers s ON p.supplier_id = s.id
-            LEFT JOIN master_products mp ON p.master_product_id = mp.id
-            WHERE p.id = $1 AND s.is_active = TRUE; -- Ensure supplier is active
+            ${pricing.priceJoins('$2::int')}
+            WHERE p.id = $1 AND s.is_active = TRUE AND ${PRODUCT_NOT_REJECTED_SQL}; -- Ensure supplier is active
         `;
-        const result = await db.query(query, [parsedProductId]);
+        // Optional cityId: prices in that city (the pricing engine may adjust them per city)
+        const result = await db.query(query, [parsedProductId, parseInt(req.query.cityId, 10) || null]);
 
         if (result.rows.length > 0) {
             const product = result.rows[0];
-            
-            let basePriceForCalc = parseFloat(product.supplier_base_price);
-            if (product.supplier_is_on_sale && product.supplier_discount_price !== null) {
-                basePriceForCalc = parseFloat(product.supplier_discount_price);
-            }
-            const adjustment = parseFloat(product.price_adjustment_percentage);
-            const effectivePrice = basePriceForCalc * (1 + adjustment);
 
             // Decide which name/description to show to the user: supplier's or master's?
             // For now, let's prioritize master if available and product is linked, else supplier's.
@@ -629,7 +676,7 @@ app.get('/api/products/:productId', async (req, res) => {
                 ...product, // Spread original fields (includes supplier_base_price etc.)
                 name: displayName, // Override name with display name
                 description: displayDescription, // Override description
-                effective_selling_price: parseFloat(effectivePrice.toFixed(2))
+                ...pricing.getPriceFields(product)
             };
             // delete finalProductData.price_adjustment_percentage;
             // delete finalProductData.master_product_display_name;
@@ -689,14 +736,10 @@ app.get('/api/suppliers', async (req, res) => {
 // --- NEW: User Profile API Endpoints ---
 
 // GET user profile
-// Expects userId as a query parameter, e.g., /api/user/profile?userId=12345
+// The user comes from the customer JWT (see authCustomer), e.g., GET /api/user/profile
 // [CITY_FILTER] UPDATED GET user profile
-app.get('/api/user/profile', async (req, res) => {
-  const { userId } = req.query;
-
-  if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
-  }
+app.get('/api/user/profile', authCustomer, async (req, res) => {
+  const userId = req.customer.userId;
 
   try {
       // The query now joins with the cities table to get the name of the selected city
@@ -729,7 +772,7 @@ app.get('/api/user/profile', async (req, res) => {
 });
 
 // POST (Create or Update) user profile
-// Expects profile data in request body: { userId, fullName, phoneNumber, addressLine1, addressLine2, city }
+// Expects profile data in request body: { fullName, phoneNumber, addressLine1, addressLine2, city }; user comes from the customer JWT
 // [CITY_FILTER] UPDATED POST (Create or Update) user profile
 // In server.js
 
@@ -740,12 +783,8 @@ app.get('/api/user/profile', async (req, res) => {
 // In server.js
 
 // [CITY_FILTER] REVISED v4 POST (Create or Update) user profile
-app.post('/api/user/profile', async (req, res) => {
-    const { userId } = req.body;
-
-    if (!userId) {
-        return res.status(400).json({ error: 'User ID is required' });
-    }
+app.post('/api/user/profile', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
     
     console.log(`[PROFILE_SAVE] Received request for user ${userId} with body:`, req.body);
 
@@ -853,99 +892,508 @@ app.post('/api/user/profile', async (req, res) => {
 });
 
 
+// --- Address Book API Endpoints ---
+// Customers keep several delivery addresses (home, work, ...), each in one of our cities.
+// At most one is the default; POST /api/orders uses it when no addressId is given.
+
+const USER_ADDRESS_COLUMNS = `
+    ua.id, ua.label, ua.full_name, ua.phone_number, ua.address_line1, ua.address_line2,
+    ua.city_id, c.name AS city_name, ua.is_default, ua.created_at, ua.updated_at`;
+
+// Maps request body fields to user_addresses columns. Returns { fields } or { error }.
+// With requireAll (create), every mandatory field must be present.
+const parseUserAddressBody = (body, requireAll) => {
+    const mapping = {
+        label: 'label',
+        fullName: 'full_name',
+        phoneNumber: 'phone_number',
+        addressLine1: 'address_line1',
+        addressLine2: 'address_line2',
+        cityId: 'city_id'
+    };
+    const requiredKeys = ['label', 'fullName', 'phoneNumber', 'addressLine1', 'cityId'];
+    const fields = {};
+
+    for (const [key, column] of Object.entries(mapping)) {
+        if (body[key] === undefined) continue;
+        if (key === 'addressLine2') {
+            fields[column] = body[key] ? String(body[key]).trim() : null;
+        } else if (key === 'cityId') {
+            const cityId = parseInt(body[key], 10);
+            if (isNaN(cityId)) return { error: 'cityId must be a valid city ID.' };
+            fields[column] = cityId;
+        } else {
+            if (typeof body[key] !== 'string' || body[key].trim() === '') return { error: `${key} cannot be empty.` };
+            fields[column] = body[key].trim();
+        }
+    }
+    if (fields.label && fields.label.length > 50) {
+        return { error: 'label must be at most 50 characters.' };
+    }
+    if (requireAll) {
+        const missing = requiredKeys.filter(key => fields[mapping[key]] === undefined);
+        if (missing.length > 0) return { error: `Missing required fields: ${missing.join(', ')}.` };
+    }
+    if (body.isDefault !== undefined && typeof body.isDefault !== 'boolean') {
+        return { error: 'isDefault must be a boolean.' };
+    }
+    return { fields };
+};
+
+const ensureActiveCity = async (client, cityId) => {
+    const cityResult = await client.query('SELECT id FROM cities WHERE id = $1 AND is_active = TRUE', [cityId]);
+    return cityResult.rows.length > 0;
+};
+
+const fetchUserAddress = async (client, userId, addressId) => {
+    const result = await client.query(
+        `SELECT ${USER_ADDRESS_COLUMNS} FROM user_addresses ua JOIN cities c ON ua.city_id = c.id WHERE ua.user_id = $1 AND ua.id = $2`,
+        [userId, addressId]
+    );
+    return result.rows[0] || null;
+};
+
+// GET the user's saved addresses, default first
+app.get('/api/user/addresses', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
+    try {
+        const result = await db.query(
+            `SELECT ${USER_ADDRESS_COLUMNS}
+             FROM user_addresses ua
+             JOIN cities c ON ua.city_id = c.id
+             WHERE ua.user_id = $1
+             ORDER BY ua.is_default DESC, ua.created_at ASC;`,
+            [userId]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error(`[ADDRESS_BOOK] Error fetching addresses for user ${userId}:`, err);
+        res.status(500).json({ error: 'Failed to fetch addresses' });
+    }
+});
+
+// POST - Save a new address: { label, fullName, phoneNumber, addressLine1, addressLine2?, cityId, isDefault? }
+// The user's first address always becomes the default.
+app.post('/api/user/addresses', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
+    const { fields, error } = parseUserAddressBody(req.body, true);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        if (!(await ensureActiveCity(client, fields.city_id))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'cityId does not refer to an active city.' });
+        }
+
+        const countResult = await client.query('SELECT COUNT(*) AS address_count FROM user_addresses WHERE user_id = $1', [userId]);
+        const isDefault = parseInt(countResult.rows[0].address_count, 10) === 0 || req.body.isDefault === true;
+        if (isDefault) {
+            await client.query('UPDATE user_addresses SET is_default = FALSE WHERE user_id = $1 AND is_default', [userId]);
+        }
+
+        const insertResult = await client.query(
+            `INSERT INTO user_addresses (user_id, label, full_name, phone_number, address_line1, address_line2, city_id, is_default)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id;`,
+            [userId, fields.label, fields.full_name, fields.phone_number, fields.address_line1, fields.address_line2 || null, fields.city_id, isDefault]
+        );
+        const savedAddress = await fetchUserAddress(client, userId, insertResult.rows[0].id);
+        await client.query('COMMIT');
+        console.log(`[ADDRESS_BOOK] User ${userId} saved address ${savedAddress.id}${isDefault ? ' (default)' : ''}`);
+        res.status(201).json(savedAddress);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`[ADDRESS_BOOK] Error saving address for user ${userId}:`, err);
+        if (err.code === '23505') { // idx_user_addresses_one_default: a concurrent request changed the default
+            return res.status(409).json({ error: 'Your default address was changed at the same time. Please try again.' });
+        }
+        res.status(500).json({ error: 'Failed to save address' });
+    } finally {
+        client.release();
+    }
+});
+
+// PUT - Update some fields of a saved address; { isDefault: true } makes it the default
+app.put('/api/user/addresses/:addressId', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
+    const addressId = parseInt(req.params.addressId, 10);
+    if (isNaN(addressId)) {
+        return res.status(400).json({ error: 'Invalid address ID format.' });
+    }
+    const { fields, error } = parseUserAddressBody(req.body, false);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (req.body.isDefault === false) {
+        return res.status(400).json({ error: 'To change the default address, set isDefault on the new default instead.' });
+    }
+    if (Object.keys(fields).length === 0 && req.body.isDefault === undefined) {
+        return res.status(400).json({ error: 'No fields provided for update.' });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const existingResult = await client.query(
+            'SELECT id FROM user_addresses WHERE id = $1 AND user_id = $2 FOR UPDATE',
+            [addressId, userId]
+        );
+        if (existingResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Address not found.' });
+        }
+        if (fields.city_id !== undefined && !(await ensureActiveCity(client, fields.city_id))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'cityId does not refer to an active city.' });
+        }
+
+        if (req.body.isDefault === true) {
+            await client.query('UPDATE user_addresses SET is_default = FALSE WHERE user_id = $1 AND is_default AND id <> $2', [userId, addressId]);
+            fields.is_default = true;
+        }
+        fields.updated_at = new Date();
+        const setClauses = Object.keys(fields).map((key, index) => `${key} = $${index + 1}`).join(', ');
+        const values = [...Object.values(fields), addressId];
+        await client.query(`UPDATE user_addresses SET ${setClauses} WHERE id = $${values.length};`, values);
+
+        const updatedAddress = await fetchUserAddress(client, userId, addressId);
+        await client.query('COMMIT');
+        console.log(`[ADDRESS_BOOK] User ${userId} updated address ${addressId}`);
+        res.json(updatedAddress);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`[ADDRESS_BOOK] Error updating address ${addressId} for user ${userId}:`, err);
+        if (err.code === '23505') { // idx_user_addresses_one_default: a concurrent request changed the default
+            return res.status(409).json({ error: 'Your default address was changed at the same time. Please try again.' });
+        }
+        res.status(500).json({ error: 'Failed to update address' });
+    } finally {
+        client.release();
+    }
+});
+
+// DELETE a saved address. If it was the default, the oldest remaining address becomes the default.
+// Orders keep their own copy of the address (orders.shipping_*), so past orders are unaffected.
+app.delete('/api/user/addresses/:addressId', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
+    const addressId = parseInt(req.params.addressId, 10);
+    if (isNaN(addressId)) {
+        return res.status(400).json({ error: 'Invalid address ID format.' });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const deleteResult = await client.query(
+            'DELETE FROM user_addresses WHERE id = $1 AND user_id = $2 RETURNING is_default;',
+            [addressId, userId]
+        );
+        if (deleteResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Address not found.' });
+        }
+        if (deleteResult.rows[0].is_default) {
+            await client.query(
+                `UPDATE user_addresses SET is_default = TRUE
+                 WHERE id = (SELECT id FROM user_addresses WHERE user_id = $1 ORDER BY created_at ASC, id ASC LIMIT 1);`,
+                [userId]
+            );
+        }
+        await client.query('COMMIT');
+        console.log(`[ADDRESS_BOOK] User ${userId} deleted address ${addressId}`);
+        res.status(200).json({ message: 'Address deleted successfully.' });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`[ADDRESS_BOOK] Error deleting address ${addressId} for user ${userId}:`, err);
+        res.status(500).json({ error: 'Failed to delete address' });
+    } finally {
+        client.release();
+    }
+});
+
+
 
 // --- NEW: Orders API Endpoint ---
 
 // POST Create a new order from user's cart
-// Expects { userId } in request body
+// The user comes from the customer JWT (see authCustomer)
+// Creates the parent order plus one sub-order (supplier_orders) per supplier in the cart, each charging that
+// supplier's delivery fee. The order's total_amount is the sum of its sub-orders' totals.
+// Optional body: { stockPolicy: 'reject' | 'trim' } - what to do when a cart line exceeds available stock.
+//   'reject' (default) fails with 409 and lists the shortages; 'trim' orders what's available and reports what was cut.
+// Optional body: { addressId } - ship to one of the user's saved addresses (see /api/user/addresses), or
+//   { shippingAddress: { fullName, phoneNumber, addressLine1, addressLine2, city, cityId } } - ship somewhere else.
+//   Without either, the default saved address (or else the profile address) is used. Whatever address is used is
+//   copied onto the order (orders.shipping_*), and every supplier in the cart must serve its city (409 otherwise).
+// Optional body: { couponCode } - see services/coupons.js; the discount is split across the sub-orders it applies to.
+// Optional header: Idempotency-Key - a retry with the same key (within services/idempotency.js retention) gets the
+//   original response back instead of creating a second order.
 // telegram-app-backend/server.js
 
-app.post('/api/orders', async (req, res) => {
-    const { userId } = req.body;
+app.post('/api/orders', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
+    const stockPolicy = req.body.stockPolicy || 'reject';
+    const idempotencyKey = req.get('Idempotency-Key');
+    const { couponCode } = req.body;
 
-    if (!userId) return res.status(400).json({ error: 'User ID is required' });
+    if (!['reject', 'trim'].includes(stockPolicy)) {
+        return res.status(400).json({ error: "stockPolicy must be 'reject' or 'trim'." });
+    }
+    if (couponCode !== undefined && couponCode !== null && typeof couponCode !== 'string') {
+        return res.status(400).json({ error: 'couponCode must be a string.' });
+    }
+    if (idempotencyKey !== undefined && (idempotencyKey.trim() === '' || idempotencyKey.length > idempotency.MAX_KEY_LENGTH)) {
+        return res.status(400).json({ error: `Idempotency-Key must be a non-empty string of at most ${idempotency.MAX_KEY_LENGTH} characters.` });
+    }
 
     const client = await db.pool.connect();
     try {
         await client.query('BEGIN');
         console.log(`[ORDER_CREATE_V2] Transaction BEGIN for user ${userId}`);
 
+        // 0. Claim the idempotency key, or replay the response of the attempt that already used it
+        const requestFingerprint = idempotency.fingerprintRequest(req.body);
+        if (idempotencyKey) {
+            const claim = await idempotency.claimKey(client, { userId, key: idempotencyKey, fingerprint: requestFingerprint });
+            if (!claim.claimed) {
+                await client.query('ROLLBACK');
+                if (claim.record.request_fingerprint !== requestFingerprint) {
+                    return res.status(422).json({ error: 'This Idempotency-Key was already used with a different request.' });
+                }
+                if (claim.record.response_status) {
+                    console.log(`[ORDER_CREATE_V2] Replaying stored response for user ${userId}, key ${idempotencyKey}, OrderID=${claim.record.order_id}`);
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.status(claim.record.response_status).json(claim.record.response_body);
+                }
+                return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed.' });
+            }
+        }
+
+        // 0b. Snapshot the delivery address (saved address, address given at checkout, or profile)
+        const shipping = await shippingAddress.resolveShippingAddress(client, userId, {
+            addressId: req.body.addressId,
+            shippingAddress: req.body.shippingAddress
+        });
+        if (shipping.error) {
+            await client.query('ROLLBACK');
+            return res.status(shipping.status).json({ error: shipping.error, missingFields: shipping.missingFields });
+        }
+        const { address } = shipping;
+
         // 1. Fetch cart items, including master_product_id and adjustment percentage
         const cartQuery = `
             SELECT
                 ci.product_id,
                 ci.quantity,
-                p.price AS supplier_base_price,
-                p.discount_price AS supplier_discount_price,
-                p.is_on_sale AS supplier_is_on_sale,
                 p.master_product_id,
-                COALESCE(mp.current_price_adjustment_percentage, 0.0000) AS price_adjustment_percentage,
-                s.is_active AS supplier_is_active -- Get supplier active status
+                p.supplier_id,
+                ${pricing.PRICE_COLUMNS},
+                s.is_active AS supplier_is_active, -- Get supplier active status
+                p.linking_status AS product_linking_status,
+                s.delivery_fee AS supplier_delivery_fee
             FROM cart_items ci
             JOIN products p ON ci.product_id = p.id
             JOIN suppliers s ON p.supplier_id = s.id -- Crucial JOIN for is_active check
-            LEFT JOIN master_products mp ON p.master_product_id = mp.id
+            ${pricing.priceJoins('$2::int')}
             WHERE ci.user_id = $1; 
             -- FOR UPDATE OF p, mp; -- Consider row-level locking if high concurrency on price changes
         `;
-        const cartResult = await client.query(cartQuery, [userId]);
+        // Priced for the delivery city
+        const cartResult = await client.query(cartQuery, [userId, address.city_id]);
         
         // Filter out items from inactive suppliers *before* processing
-        const validCartItems = cartResult.rows.filter(item => item.supplier_is_active);
+        const activeCartItems = cartResult.rows.filter(item => item.supplier_is_active && item.product_linking_status !== 'rejected');
 
-        if (validCartItems.length === 0) {
+        if (activeCartItems.length === 0) {
             await client.query('ROLLBACK');
-            client.release();
             console.log(`[ORDER_CREATE_V2] No valid items in cart (all from inactive suppliers or cart empty) for user ${userId}.`);
             return res.status(400).json({ error: 'Cart is empty or contains only items from inactive suppliers.' });
         }
 
-        // 2. Calculate total amount and prepare order items using effective selling price
-        let totalOrderAmount = 0;
+        // 1a. Every supplier in the cart has to deliver to the chosen city (resolveShippingAddress guarantees a city ID)
+        const cartSupplierIds = [...new Set(activeCartItems.map(item => item.supplier_id))];
+        const unservedSuppliers = await shippingAddress.findSuppliersNotServingCity(client, cartSupplierIds, address.city_id);
+        if (unservedSuppliers.length > 0) {
+            await client.query('ROLLBACK');
+            console.log(`[ORDER_CREATE_V2] Suppliers ${unservedSuppliers.map(s => s.id).join(', ')} don't serve city ${address.city_id} for user ${userId}.`);
+            return res.status(409).json({
+                error: `Some suppliers in your cart do not deliver to ${address.city}.`,
+                unservedSuppliers
+            });
+        }
+
+        // 1b. Lock the products and check stock so two checkouts can't sell the same units
+        const { lines: validCartItems, shortages } = await inventory.reserveStock(client, activeCartItems, stockPolicy);
+
+        if (stockPolicy === 'reject' && shortages.length > 0) {
+            await client.query('ROLLBACK');
+            console.log(`[ORDER_CREATE_V2] Insufficient stock for user ${userId}:`, shortages);
+            return res.status(409).json({ error: 'Some items in your cart exceed the available stock.', shortages });
+        }
+        if (validCartItems.length === 0) {
+            await client.query('ROLLBACK');
+            console.log(`[ORDER_CREATE_V2] Every cart item is out of stock for user ${userId}.`);
+            return res.status(409).json({ error: 'All items in your cart are out of stock.', shortages });
+        }
+
+        // 2. Calculate totals and prepare order items using effective selling price, grouped into one sub-order per supplier
+        const subOrdersBySupplierId = new Map();
         const orderItemsData = validCartItems.map(item => {
-            let basePriceForCalc = parseFloat(item.supplier_base_price);
-            if (item.supplier_is_on_sale && item.supplier_discount_price !== null) {
-                basePriceForCalc = parseFloat(item.supplier_discount_price);
+            const { effective_selling_price: priceAtTimeOfOrder, applied_deal_id, deal_discount_percentage } = pricing.getPriceFields(item);
+
+            if (!subOrdersBySupplierId.has(item.supplier_id)) {
+                subOrdersBySupplierId.set(item.supplier_id, {
+                    supplierId: item.supplier_id,
+                    itemsSubtotal: 0,
+                    discountAmount: 0,
+                    deliveryFee: parseFloat(item.supplier_delivery_fee) || 0
+                });
             }
-            const adjustment = parseFloat(item.price_adjustment_percentage);
-            const priceAtTimeOfOrder = parseFloat((basePriceForCalc * (1 + adjustment)).toFixed(2));
-            
-            totalOrderAmount += priceAtTimeOfOrder * item.quantity;
+            subOrdersBySupplierId.get(item.supplier_id).itemsSubtotal += priceAtTimeOfOrder * item.quantity;
             return {
                 productId: item.product_id,
+                supplierId: item.supplier_id,
                 quantity: item.quantity,
-                price_at_time_of_order: priceAtTimeOfOrder // Store the final calculated price
+                price_at_time_of_order: priceAtTimeOfOrder, // Store the final calculated price
+                appliedDealId: applied_deal_id,
+                dealDiscountPercentage: deal_discount_percentage
             };
         });
-        console.log(`[ORDER_CREATE_V2] Order for user ${userId}: Total=${totalOrderAmount.toFixed(2)}, Items=${orderItemsData.length}`);
+        const subOrders = Array.from(subOrdersBySupplierId.values());
+
+        // 2b. Apply the coupon, if any. The coupon row is locked so its usage limits hold under concurrent checkouts.
+        let appliedCoupon = null;
+        if (couponCode && couponCode.trim() !== '') {
+            const couponResult = await coupons.evaluateCoupon(client, {
+                code: couponCode,
+                userId,
+                cityId: address.city_id,
+                lines: orderItemsData.map(item => ({ supplier_id: item.supplierId, line_total: item.price_at_time_of_order * item.quantity })),
+                lock: true
+            });
+            if (couponResult.error) {
+                await client.query('ROLLBACK');
+                console.log(`[ORDER_CREATE_V2] Coupon '${couponCode}' refused for user ${userId}: ${couponResult.error}`);
+                const { status, ...couponError } = couponResult;
+                return res.status(status).json(couponError);
+            }
+            appliedCoupon = couponResult;
+            subOrders.forEach(subOrder => {
+                subOrder.discountAmount = couponResult.allocations.get(subOrder.supplierId) || 0;
+            });
+        }
+
+        subOrders.forEach(subOrder => {
+            subOrder.totalAmount = Math.max(subOrder.itemsSubtotal - subOrder.discountAmount, 0) + subOrder.deliveryFee;
+        });
+        const totalOrderAmount = subOrders.reduce((sum, subOrder) => sum + subOrder.totalAmount, 0);
+        console.log(`[ORDER_CREATE_V2] Order for user ${userId}: Total=${totalOrderAmount.toFixed(2)}, Items=${orderItemsData.length}, SubOrders=${subOrders.length}`);
 
         // 3. Insert into orders table
         const orderInsertQuery = `
-            INSERT INTO orders (user_id, total_amount, status) VALUES ($1, $2, 'pending') RETURNING id;
+            INSERT INTO orders (
+                user_id, total_amount, status, delivery_status, idempotency_key,
+                shipping_full_name, shipping_phone_number, shipping_address_line1, shipping_address_line2, shipping_city, shipping_city_id,
+                shipping_address_id, coupon_id, coupon_code, discount_amount
+            )
+            VALUES ($1, $2, 'pending', 'pending_assignment', $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING id;
         `;
-        const orderInsertResult = await client.query(orderInsertQuery, [userId, totalOrderAmount.toFixed(2)]);
+        const orderInsertResult = await client.query(orderInsertQuery, [
+            userId, totalOrderAmount.toFixed(2), idempotencyKey || null,
+            address.full_name, address.phone_number, address.address_line1, address.address_line2, address.city, address.city_id,
+            address.address_id,
+            appliedCoupon ? appliedCoupon.coupon.id : null,
+            appliedCoupon ? appliedCoupon.coupon.code : null,
+            appliedCoupon ? appliedCoupon.discountAmount.toFixed(2) : '0.00'
+        ]);
         const newOrderId = orderInsertResult.rows[0].id;
 
+        if (appliedCoupon) {
+            await coupons.recordRedemption(client, {
+                couponId: appliedCoupon.coupon.id, orderId: newOrderId, userId, discountAmount: appliedCoupon.discountAmount
+            });
+        }
+
+        // 3b. Insert one sub-order per supplier
+        for (const subOrder of subOrders) {
+            const subOrderInsertResult = await client.query(
+                `INSERT INTO supplier_orders (order_id, supplier_id, status, delivery_status, items_subtotal, discount_amount, delivery_fee, total_amount)
+                 VALUES ($1, $2, 'pending', 'pending_assignment', $3, $4, $5, $6) RETURNING id;`,
+                [
+                    newOrderId, subOrder.supplierId, subOrder.itemsSubtotal.toFixed(2), subOrder.discountAmount.toFixed(2),
+                    subOrder.deliveryFee.toFixed(2), subOrder.totalAmount.toFixed(2)
+                ]
+            );
+            subOrder.id = subOrderInsertResult.rows[0].id;
+        }
+
         // 4. Insert into order_items table
         const orderItemsInsertQuery = `
-            INSERT INTO order_items (order_id, product_id, quantity, price_at_time_of_order, supplier_item_status)
+            INSERT INTO order_items (
+                order_id, supplier_order_id, product_id, quantity, price_at_time_of_order,
+                supplier_item_status, delivery_item_status, applied_deal_id, deal_discount_percentage
+            )
             VALUES ${orderItemsData.map((_, index) => 
-                `($${index * 5 + 1}, $${index * 5 + 2}, $${index * 5 + 3}, $${index * 5 + 4}, $${index * 5 + 5})`
+                `(${Array.from({ length: 9 }, (__, column) => `$${index * 9 + column + 1}`).join(', ')})`
             ).join(', ')};
         `;
         const orderItemsValues = orderItemsData.reduce((acc, item) => {
-            acc.push(newOrderId, item.productId, item.quantity, item.price_at_time_of_order, 'pending'); // Default item status
+            acc.push(
+                newOrderId, subOrdersBySupplierId.get(item.supplierId).id, item.productId, item.quantity, item.price_at_time_of_order,
+                'pending', 'pending_assignment', // Initial item statuses
+                item.appliedDealId, item.dealDiscountPercentage
+            );
             return acc;
         }, []);
         await client.query(orderItemsInsertQuery, orderItemsValues);
 
+        // 4b. Take the ordered quantities off stock (rows were locked in step 1b)
+        await inventory.decrementStock(client, validCartItems);
+
+        // Start the order's status history (see services/orderStateMachine.js)
+        await orderStateMachine.recordStatusHistory(client, {
+            orderId: newOrderId, statusField: 'status', fromStatus: null, toStatus: 'pending',
+            actor: { type: 'customer', id: userId }, note: 'Order placed.'
+        });
+        for (const subOrder of subOrders) {
+            await orderStateMachine.recordStatusHistory(client, {
+                orderId: newOrderId, supplierOrderId: subOrder.id, statusField: 'supplier_order_status',
+                fromStatus: null, toStatus: 'pending', actor: { type: 'customer', id: userId }, note: 'Order placed.'
+            });
+        }
+
         // 5. Delete items from cart_items table
         const cartDeleteQuery = 'DELETE FROM cart_items WHERE user_id = $1';
         await client.query(cartDeleteQuery, [userId]);
 
+        const responseBody = {
+            message: 'Order created successfully',
+            orderId: newOrderId,
+            totalAmount: totalOrderAmount.toFixed(2),
+            couponCode: appliedCoupon ? appliedCoupon.coupon.code : null,
+            discountAmount: appliedCoupon ? appliedCoupon.discountAmount.toFixed(2) : '0.00',
+            subOrders: subOrders.map(subOrder => ({
+                supplierOrderId: subOrder.id,
+                supplierId: subOrder.supplierId,
+                itemsSubtotal: subOrder.itemsSubtotal.toFixed(2),
+                discountAmount: subOrder.discountAmount.toFixed(2),
+                deliveryFee: subOrder.deliveryFee.toFixed(2),
+                totalAmount: subOrder.totalAmount.toFixed(2)
+            })),
+            trimmedItems: shortages // Non-empty only with stockPolicy 'trim'
+        };
+
+        // 6. Remember the response for retries with the same key (committed together with the order)
+        if (idempotencyKey) {
+            await idempotency.saveResponse(client, { userId, key: idempotencyKey, orderId: newOrderId, status: 201, body: responseBody });
+        }
+
         await client.query('COMMIT');
         console.log(`[ORDER_CREATE_V2] Transaction COMMIT for user ${userId}, OrderID=${newOrderId}`);
-        res.status(201).json({ message: 'Order created successfully', orderId: newOrderId, totalAmount: totalOrderAmount.toFixed(2) });
+        res.status(201).json(responseBody);
 
     } catch (err) {
         if (client) await client.query('ROLLBACK');
@@ -962,12 +1410,8 @@ app.post('/api/orders', async (req, res) => {
 // telegram-app-backend/server.js
 // Replace the existing GET /api/orders route with this:
 
-app.get('/api/orders', async (req, res) => {
-    const { userId } = req.query;
-
-    if (!userId) {
-        return res.status(400).json({ error: 'User ID is required' });
-    }
+app.get('/api/orders', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
 
     try {
         // 1. Fetch all orders for the user
@@ -977,7 +1421,15 @@ app.get('/api/orders', async (req, res) => {
                 user_id, 
                 total_amount, 
                 status, 
-                order_date
+                delivery_status,
+                order_date,
+                coupon_code,
+                discount_amount,
+                shipping_full_name,
+                shipping_phone_number,
+                shipping_address_line1,
+                shipping_address_line2,
+                shipping_city
             FROM orders
             WHERE user_id = $1
             ORDER BY order_date DESC;
@@ -996,13 +1448,25 @@ app.get('/api/orders', async (req, res) => {
         const orderItemsQuery = `
             SELECT 
                 oi.order_id, -- Crucial for grouping
+                oi.supplier_order_id,
+                oi.id AS order_item_id,
                 oi.product_id, 
                 oi.quantity, 
                 oi.price_at_time_of_order,
+                oi.applied_deal_id,
+                oi.deal_discount_percentage,
+                oi.supplier_item_status,
+                oi.delivery_item_status,
+                oi.rejection_reason,
+                oi.cancellation_reason,
+                oi.cancelled_at,
                 p.name AS product_name,
-                p.image_url AS product_image_url
+                p.image_url AS product_image_url,
+                p.supplier_id,
+                s.name AS supplier_name
             FROM order_items oi
             JOIN products p ON oi.product_id = p.id
+            JOIN suppliers s ON p.supplier_id = s.id
             WHERE oi.order_id = ANY($1::int[]); -- Use ANY to match multiple order IDs
         `;
         const allOrderItemsResult = await db.query(orderItemsQuery, [orderIds]);
@@ -1014,20 +1478,53 @@ app.get('/api/orders', async (req, res) => {
                 acc[item.order_id] = [];
             }
             acc[item.order_id].push({
+                order_item_id: item.order_item_id,
+                supplier_order_id: item.supplier_order_id,
                 product_id: item.product_id,
                 quantity: item.quantity,
                 price_at_time_of_order: item.price_at_time_of_order,
+                applied_deal_id: item.applied_deal_id,
+                deal_discount_percentage: item.deal_discount_percentage,
                 product_name: item.product_name,
-                product_image_url: item.product_image_url
+                product_image_url: item.product_image_url,
+                supplier_id: item.supplier_id,
+                supplier_name: item.supplier_name,
+                supplier_item_status: item.supplier_item_status,
+                delivery_item_status: item.delivery_item_status,
+                rejection_reason: item.rejection_reason,
+                cancellation_reason: item.cancellation_reason,
+                cancelled_at: item.cancelled_at
             });
             return acc;
         }, {});
 
-        // 5. Combine orders with their grouped items
-        const ordersWithItems = userOrders.map(order => ({
-            ...order,
-            items: itemsByOrderId[order.id] || [] // Ensure 'items' is always an array
-        }));
+        // 5. Fetch the per-supplier sub-orders of these orders
+        const subOrdersResult = await db.query(
+            `SELECT so.id AS supplier_order_id, so.order_id, so.supplier_id, s.name AS supplier_name,
+                    so.status, so.delivery_status, so.items_subtotal, so.discount_amount, so.delivery_fee, so.total_amount
+             FROM supplier_orders so
+             JOIN suppliers s ON so.supplier_id = s.id
+             WHERE so.order_id = ANY($1::int[])
+             ORDER BY so.order_id, so.id;`,
+            [orderIds]
+        );
+
+        // 6. Combine orders with their items, grouped under their sub-orders (items stay available flat as well)
+        const ordersWithItems = userOrders.map(order => {
+            const items = itemsByOrderId[order.id] || []; // Ensure 'items' is always an array
+            const subOrders = subOrdersResult.rows
+                .filter(subOrder => subOrder.order_id === order.id)
+                .map(({ order_id, ...subOrder }) => ({
+                    ...subOrder,
+                    items: items.filter(item => item.supplier_order_id === subOrder.supplier_order_id)
+                }));
+            return {
+                ...order,
+                delivery_status: order.delivery_status || deliveryRollup.computeDeliveryRollup(items),
+                sub_orders: subOrders,
+                items
+            };
+        });
 
         res.json(ordersWithItems);
 
@@ -1037,48 +1534,154 @@ app.get('/api/orders', async (req, res) => {
     }
 });
 
-// ... (rest of server.js, app.listen) ...
-// --- Start the Server ---
-// ... (app.listen code) ...
+// POST - Customer cancels a whole order or some of its items, e.g. { "orderItemIds": [12, 13], "reason": "Ordered by mistake" }
+// Without orderItemIds every still-active item is cancelled. Only items the supplier hasn't accepted yet
+// (supplier_item_status 'pending') can be cancelled; otherwise nothing is cancelled and 409 lists the blocking items.
+// Totals, stock and the order status are updated by services/orderStateMachine.js.
+app.post('/api/orders/:orderId/cancel', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
+    const orderId = parseInt(req.params.orderId, 10);
+    const { orderItemIds, reason } = req.body;
+
+    if (isNaN(orderId)) {
+        return res.status(400).json({ error: 'Invalid order ID format.' });
+    }
+    if (orderItemIds !== undefined && (!Array.isArray(orderItemIds) || orderItemIds.length === 0
+        || orderItemIds.some(id => !Number.isInteger(id)))) {
+        return res.status(400).json({ error: 'orderItemIds must be a non-empty array of integer IDs.' });
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+        return res.status(400).json({ error: 'reason must be a string.' });
+    }
+    const cancellationReason = reason && reason.trim() !== '' ? reason.trim() : null;
 
-// server.js
-// ... (other require statements, middleware, existing routes) ...
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
 
-// --- NEW: Cart API Endpoints ---
+        const orderResult = await client.query('SELECT id FROM orders WHERE id = $1 AND user_id = $2', [orderId, userId]);
+        if (orderResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Order not found.' });
+        }
 
-// GET user's cart items
-// Expects user_id as a query parameter, e.g., /api/cart?userId=12345
-// telegram-app-backend/server.js
+        // Lock the order's items (items before the order row, as in services/orderStateMachine.js)
+        const itemsResult = await client.query(
+            `SELECT oi.id, oi.supplier_item_status, p.name AS product_name
+             FROM order_items oi
+             JOIN products p ON oi.product_id = p.id
+             WHERE oi.order_id = $1
+             ORDER BY oi.id
+             FOR UPDATE OF oi;`,
+            [orderId]
+        );
 
-app.get('/api/cart', async (req, res) => {
-    const userId = req.query.userId;
+        let targetItems;
+        if (orderItemIds) {
+            const requestedIds = new Set(orderItemIds);
+            targetItems = itemsResult.rows.filter(item => requestedIds.has(item.id));
+            if (targetItems.length !== requestedIds.size) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'One or more order items were not found in this order.' });
+            }
+        } else {
+            targetItems = itemsResult.rows.filter(orderStateMachine.isItemActive);
+            if (targetItems.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'This order has no items left to cancel.' });
+            }
+        }
 
-    if (!userId) {
-        return res.status(400).json({ error: 'User ID is required' });
-    }
+        const blockingItems = targetItems.filter(item =>
+            !orderStateMachine.CUSTOMER_CANCELLABLE_SUPPLIER_ITEM_STATUSES.includes(item.supplier_item_status || 'pending'));
+        if (blockingItems.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: 'Some items can no longer be cancelled because the supplier has already handled them.',
+                items: blockingItems.map(item => ({
+                    orderItemId: item.id,
+                    productName: item.product_name,
+                    supplierItemStatus: item.supplier_item_status
+                }))
+            });
+        }
 
-    try {
-        const query = `
-            SELECT
-                ci.product_id,
-                ci.quantity,
-                p.name AS product_original_name, -- Supplier's name for the product
-                p.price AS supplier_base_price,
-                p.discount_price AS supplier_discount_price,
+        const cancelledItems = [];
+        for (const item of targetItems) {
+            const updatedItem = await orderStateMachine.transitionOrderItem(client, {
+                orderItemId: item.id,
+                statusField: 'supplier_item_status',
+                toStatus: 'cancelled',
+                actor: { type: 'customer', id: userId },
+                note: cancellationReason || 'Cancelled by customer.',
+                extraFields: { cancellation_reason: cancellationReason }
+            });
+            cancelledItems.push(updatedItem);
+        }
+
+        const updatedOrderResult = await client.query(
+            'SELECT id, status, delivery_status, total_amount FROM orders WHERE id = $1',
+            [orderId]
+        );
+        await client.query('COMMIT');
+        console.log(`[ORDER_CANCEL] User ${userId} cancelled ${cancelledItems.length} item(s) of order ${orderId}`);
+
+        res.json({
+            message: 'Cancellation successful.',
+            order: updatedOrderResult.rows[0],
+            cancelledItems
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (orderStateMachine.respondToTransitionError(res, err)) return;
+        console.error(`[ORDER_CANCEL] Error cancelling order ${orderId} for user ${userId}:`, err);
+        res.status(500).json({ error: 'Failed to cancel order.' });
+    } finally {
+        client.release();
+    }
+});
+
+// ... (rest of server.js, app.listen) ...
+// --- Start the Server ---
+// ... (app.listen code) ...
+
+// server.js
+// ... (other require statements, middleware, existing routes) ...
+
+// --- NEW: Cart API Endpoints ---
+
+// GET user's cart items
+// The user comes from the customer JWT (see authCustomer), e.g., GET /api/cart
+// telegram-app-backend/server.js
+
+// The cart is priced for the city checkout would deliver to by default: the default saved address, else the profile city
+const CART_PRICING_CITY_SQL = `COALESCE(
+    (SELECT ua.city_id FROM user_addresses ua WHERE ua.user_id = $1 AND ua.is_default),
+    (SELECT up.selected_city_id FROM user_profiles up WHERE up.user_id = $1))`;
+
+app.get('/api/cart', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
+
+    try {
+        const query = `
+            SELECT
+                ci.product_id,
+                ci.quantity,
+                p.name AS product_original_name, -- Supplier's name for the product
                 p.image_url AS product_original_image_url, -- Supplier's image
-                p.is_on_sale AS supplier_is_on_sale,
                 p.supplier_id,
                 s.is_active AS supplier_is_active,
                 p.master_product_id,
-                COALESCE(mp.current_price_adjustment_percentage, 0.0000) AS price_adjustment_percentage,
+                ${pricing.PRICE_COLUMNS},
                 mp.display_name AS master_product_display_name,
                 mp.image_url AS master_product_image_url
             FROM cart_items ci
             JOIN products p ON ci.product_id = p.id
             JOIN suppliers s ON p.supplier_id = s.id -- Ensure supplier is joined
-            LEFT JOIN master_products mp ON p.master_product_id = mp.id
+            ${pricing.priceJoins(CART_PRICING_CITY_SQL)}
             WHERE ci.user_id = $1 
               AND s.is_active = TRUE -- Only include items from active suppliers in cart calculation
+              AND ${PRODUCT_NOT_REJECTED_SQL}
             ORDER BY ci.added_at DESC;
         `;
         const result = await db.query(query, [userId]);
@@ -1086,19 +1689,12 @@ app.get('/api/cart', async (req, res) => {
         const cartItemsWithEffectivePrice = result.rows
             .filter(item => item.supplier_is_active) // Ensure we only process items from active suppliers
             .map(item => {
-                let basePriceForCalc = parseFloat(item.supplier_base_price);
-                if (item.supplier_is_on_sale && item.supplier_discount_price !== null) {
-                    basePriceForCalc = parseFloat(item.supplier_discount_price);
-                }
-                const adjustment = parseFloat(item.price_adjustment_percentage);
-                const effectivePrice = basePriceForCalc * (1 + adjustment);
-
                 return {
                     product_id: item.product_id,
                     quantity: item.quantity,
                     name: item.master_product_id && item.master_product_display_name ? item.master_product_display_name : item.product_original_name,
                     image_url: item.master_product_id && item.master_product_image_url ? item.master_product_image_url : item.product_original_image_url,
-                    effective_selling_price: parseFloat(effectivePrice.toFixed(2)),
+                    ...pricing.getPriceFields(item),
                     // Keep original prices if needed for display ("was $X, now $Y")
                     supplier_base_price: item.supplier_base_price, 
                     supplier_discount_price: item.supplier_discount_price,
@@ -1130,16 +1726,26 @@ app.get('/api/supplier/products', authSupplier, async (req, res) => { // <<< Use
 });
 
 // POST - Add or update item in cart
-// Expects { userId, productId, quantity } in request body
-app.post('/api/cart', async (req, res) => {
-  const { userId, productId, quantity } = req.body;
+// Expects { productId, quantity } in request body; user comes from the customer JWT
+app.post('/api/cart', authCustomer, async (req, res) => {
+  const userId = req.customer.userId;
+  const { productId, quantity } = req.body;
 
   // Basic validation
-  if (!userId || !productId || quantity === undefined || quantity <= 0) {
-      return res.status(400).json({ error: 'Missing or invalid userId, productId, or quantity' });
+  if (!productId || quantity === undefined || quantity <= 0) {
+      return res.status(400).json({ error: 'Missing or invalid productId or quantity' });
   }
 
   try {
+      // Products an admin rejected can't be bought (GET /api/cart and checkout skip them too)
+      const productResult = await db.query('SELECT linking_status FROM products p WHERE p.id = $1', [productId]);
+      if (productResult.rows.length === 0) {
+          return res.status(404).json({ error: 'Product not found' });
+      }
+      if (productResult.rows[0].linking_status === 'rejected') {
+          return res.status(409).json({ error: 'This product is not available.' });
+      }
+
       // Use INSERT ... ON CONFLICT to add or update quantity
       const query = `
           INSERT INTO cart_items (user_id, product_id, quantity)
@@ -1162,13 +1768,13 @@ app.post('/api/cart', async (req, res) => {
 });
 
 // DELETE - Remove item from cart
-// Expects user_id as query param, productId in URL path e.g., /api/cart/item/101?userId=12345
-app.delete('/api/cart/item/:productId', async (req, res) => {
-  const userId = req.query.userId;
+// Expects productId in URL path e.g., /api/cart/item/101; user comes from the customer JWT
+app.delete('/api/cart/item/:productId', authCustomer, async (req, res) => {
+  const userId = req.customer.userId;
   const { productId } = req.params;
 
-  if (!userId || !productId) {
-      return res.status(400).json({ error: 'Missing userId or productId' });
+  if (!productId) {
+      return res.status(400).json({ error: 'Missing productId' });
   }
 
   try {
@@ -1314,8 +1920,9 @@ app.post('/api/supplier/products', authSupplier, async (req, res) => {
         const similarityThreshold = 0.7; // Tune this threshold (0.0 to 1.0)
 
         if (normalizedSupplierStandardName) {
+            // A merged master product's name still matches; the product is linked to the master it was merged into
             const matchMasterQuery = `
-                SELECT id, similarity(standardized_name_normalized, $1) AS sim
+                SELECT COALESCE(merged_into_id, id) AS id, similarity(standardized_name_normalized, $1) AS sim
                 FROM master_products
                 WHERE similarity(standardized_name_normalized, $1) >= $2 
                    OR standardized_name_normalized = $1 -- Also check for exact match after normalization
@@ -1362,7 +1969,7 @@ app.post('/api/supplier/products', authSupplier, async (req, res) => {
                     // This means ON CONFLICT DO NOTHING happened. The master product was likely just created by a concurrent request.
                     // Try to fetch it again.
                     console.log(`[PRODUCT_GROUPING] Master product with normalized name "${normalizedSupplierStandardName}" likely created concurrently. Fetching it.`);
-                    newMasterResult = await client.query('SELECT id FROM master_products WHERE standardized_name_normalized = $1', [normalizedSupplierStandardName]);
+                    newMasterResult = await client.query('SELECT COALESCE(merged_into_id, id) AS id FROM master_products WHERE standardized_name_normalized = $1', [normalizedSupplierStandardName]);
                     if (newMasterResult.rows.length === 0) {
                          // This should be very rare if the ON CONFLICT logic is sound.
                         throw new Error('Failed to create or retrieve master product after ON CONFLICT.');
@@ -1399,6 +2006,9 @@ app.post('/api/supplier/products', authSupplier, async (req, res) => {
         ];
 
         const productResult = await client.query(insertProductQuery, productValues);
+        await priceHistory.recordSupplierPriceChange(client, {
+            oldProduct: null, newProduct: productResult.rows[0], cause: 'supplier_product_create', supplierId
+        });
         await client.query('COMMIT');
         
         console.log(`[SUPPLIER_PRODUCT_ADD] Product ${productResult.rows[0].id} created by supplier ${supplierId}. Linked to master: ${masterProductIdToLink}, Status: ${linkingStatus}`);
@@ -1453,16 +2063,18 @@ app.put('/api/supplier/products/:productId', authSupplier, async (req, res) => {
 
         // 1. Verify ownership and get current product data
         const productCheckResult = await client.query(
-            'SELECT supplier_id, master_product_id, linking_status, standardized_name_input AS old_standardized_name FROM products WHERE id = $1',
+            `SELECT supplier_id, master_product_id, linking_status, standardized_name_input AS old_standardized_name,
+                    price, discount_price, is_on_sale
+             FROM products WHERE id = $1 FOR UPDATE`,
             [parsedProductId]
         );
         if (productCheckResult.rows.length === 0) {
-            await client.query('ROLLBACK'); client.release();
+            await client.query('ROLLBACK');
             return res.status(404).json({ error: 'Product not found.' });
         }
         const currentProduct = productCheckResult.rows[0];
         if (currentProduct.supplier_id !== supplierId) {
-            await client.query('ROLLBACK'); client.release();
+            await client.query('ROLLBACK');
             return res.status(403).json({ error: 'Forbidden: You do not own this product.' });
         }
 
@@ -1476,7 +2088,7 @@ app.put('/api/supplier/products/:productId', authSupplier, async (req, res) => {
             console.log(`[PRODUCT_GROUPING_UPDATE] Standardized name changed for product ${parsedProductId}. Re-evaluating master link.`);
             const similarityThreshold = 0.7;
             const matchMasterQuery = `
-                SELECT id, similarity(standardized_name_normalized, $1) AS sim
+                SELECT COALESCE(merged_into_id, id) AS id, similarity(standardized_name_normalized, $1) AS sim
                 FROM master_products
                 WHERE similarity(standardized_name_normalized, $1) >= $2
                 ORDER BY sim DESC LIMIT 1;
@@ -1502,6 +2114,11 @@ app.put('/api/supplier/products/:productId', authSupplier, async (req, res) => {
              masterProductIdToSet = null;
              linkingStatusToSet = 'needs_admin_review';
         }
+        // A product an admin rejected goes back to the review queue when the supplier edits it, instead of being auto-linked
+        if (currentProduct.linking_status === 'rejected') {
+            masterProductIdToSet = null;
+            linkingStatusToSet = 'needs_admin_review';
+        }
 
 
         // 3. Update the supplier's product
@@ -1524,6 +2141,9 @@ app.put('/api/supplier/products/:productId', authSupplier, async (req, res) => {
         ];
 
         const updatedProductResult = await client.query(updateProductQuery, productValues);
+        await priceHistory.recordSupplierPriceChange(client, {
+            oldProduct: currentProduct, newProduct: updatedProductResult.rows[0], cause: 'supplier_product_update', supplierId
+        });
         await client.query('COMMIT');
         
         console.log(`[SUPPLIER_PRODUCT_UPDATE] Product ${parsedProductId} updated by supplier ${supplierId}. Linked to master: ${masterProductIdToSet}, Status: ${linkingStatusToSet}`);
@@ -1543,6 +2163,33 @@ app.put('/api/supplier/products/:productId', authSupplier, async (req, res) => {
     }
 });
 
+// GET - Price timeline of one of the supplier's products: their own price changes and the platform's demand
+// adjustments of the linked master product (optional ?cityId= limits city-specific adjustments to that city)
+app.get('/api/supplier/products/:productId/price-history', authSupplier, async (req, res) => {
+    const supplierId = req.supplier.supplierId;
+    const productId = parseInt(req.params.productId, 10);
+    if (isNaN(productId)) {
+        return res.status(400).json({ error: 'Invalid Product ID.' });
+    }
+    try {
+        const productResult = await db.query(
+            'SELECT id, name, master_product_id FROM products WHERE id = $1 AND supplier_id = $2',
+            [productId, supplierId]
+        );
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Product not found or you do not own it.' });
+        }
+        const product = productResult.rows[0];
+        const history = await priceHistory.getProductPriceTimeline(db, {
+            productId, masterProductId: product.master_product_id, cityId: parseInt(req.query.cityId, 10) || null
+        });
+        res.json({ product, history });
+    } catch (err) {
+        console.error(`[SUPPLIER_PRICE_HISTORY] Error fetching price history of product ${productId} for supplier ${supplierId}:`, err);
+        res.status(500).json({ error: 'Failed to fetch price history.' });
+    }
+});
+
 // ... (DELETE for products will go here later) ...
 app.delete('/api/supplier/products/:productId', authSupplier, async (req, res) => {
     const supplierId = req.supplier.supplierId; // From JWT
@@ -1593,15 +2240,15 @@ app.delete('/api/supplier/products/:productId', authSupplier, async (req, res) =
 // ... (PUT and DELETE for products will go here later) ...
 // ... (app.listen) ...
 // --- NEW: PUT - Update quantity of a specific item in cart ---
-// Expects userId in query, productId in URL path, { newQuantity } in request body
-// e.g., PUT /api/cart/item/101?userId=12345  Body: { "newQuantity": 3 }
-app.put('/api/cart/item/:productId', async (req, res) => {
-    const userId = req.query.userId;
+// Expects productId in URL path, { newQuantity } in request body; user comes from the customer JWT
+// e.g., PUT /api/cart/item/101  Body: { "newQuantity": 3 }
+app.put('/api/cart/item/:productId', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
     const { productId } = req.params;
     const { newQuantity } = req.body;
 
-    if (!userId || !productId || newQuantity === undefined) {
-        return res.status(400).json({ error: 'Missing userId, productId, or newQuantity' });
+    if (!productId || newQuantity === undefined) {
+        return res.status(400).json({ error: 'Missing productId or newQuantity' });
     }
 
     const quantity = parseInt(newQuantity, 10);
@@ -1641,16 +2288,74 @@ app.put('/api/cart/item/:productId', async (req, res) => {
     }
 });
 
-// --- NEW: Favorites API Endpoints ---
+// POST - Check a coupon code against the current cart, e.g. { "code": "WELCOME10", "addressId": 3 }
+// addressId / shippingAddress work as in POST /api/orders and decide the delivery city the coupon is checked for.
+// Returns the discount POST /api/orders would apply right now (stock is only checked at checkout).
+app.post('/api/cart/coupon/validate', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
+    const { code, addressId, shippingAddress: shippingAddressOverride } = req.body;
 
-// GET user's favorite product IDs
-// Expects userId as a query parameter, e.g., /api/favorites?userId=12345
-app.get('/api/favorites', async (req, res) => {
-    const { userId } = req.query;
+    if (typeof code !== 'string' || code.trim() === '') {
+        return res.status(400).json({ error: 'A coupon code is required.' });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        const shipping = await shippingAddress.resolveShippingAddress(client, userId, {
+            addressId, shippingAddress: shippingAddressOverride
+        });
+        // Without a usable address the coupon can still be checked, just not against city restrictions
+        const cityId = shipping.address ? shipping.address.city_id : null;
+
+        const cartResult = await client.query(
+            `SELECT ci.quantity, p.supplier_id, ${pricing.PRICE_COLUMNS}
+             FROM cart_items ci
+             JOIN products p ON ci.product_id = p.id
+             JOIN suppliers s ON p.supplier_id = s.id
+             ${pricing.priceJoins('$2::int')}
+             WHERE ci.user_id = $1 AND s.is_active = TRUE AND ${PRODUCT_NOT_REJECTED_SQL};`,
+            [userId, cityId]
+        );
+        if (cartResult.rows.length === 0) {
+            return res.status(400).json({ error: 'Cart is empty or contains only items from inactive suppliers.' });
+        }
+
+        const lines = cartResult.rows.map(item => ({
+            supplier_id: item.supplier_id,
+            line_total: pricing.computeEffectivePrice(item) * item.quantity
+        }));
+        const result = await coupons.evaluateCoupon(client, { code, userId, cityId, lines });
+        if (result.error) {
+            const { status, ...couponError } = result;
+            return res.status(status).json({ valid: false, ...couponError });
+        }
 
-    if (!userId) {
-        return res.status(400).json({ error: 'User ID is required' });
+        const cartSubtotal = lines.reduce((sum, line) => sum + line.line_total, 0);
+        res.json({
+            valid: true,
+            code: result.coupon.code,
+            description: result.coupon.description,
+            discountType: result.coupon.discount_type,
+            discountValue: result.coupon.discount_value,
+            eligibleSubtotal: result.eligibleSubtotal.toFixed(2),
+            discountAmount: result.discountAmount.toFixed(2),
+            cartSubtotal: pricing.roundPrice(cartSubtotal).toFixed(2),
+            cartSubtotalAfterDiscount: pricing.roundPrice(cartSubtotal - result.discountAmount).toFixed(2)
+        });
+    } catch (err) {
+        console.error(`[COUPONS] Error validating coupon for user ${userId}:`, err);
+        res.status(500).json({ error: 'Failed to validate coupon.' });
+    } finally {
+        client.release();
     }
+});
+
+// --- NEW: Favorites API Endpoints ---
+
+// GET user's favorite product IDs
+// The user comes from the customer JWT (see authCustomer), e.g., GET /api/favorites
+app.get('/api/favorites', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
 
     try {
         // Select only the product_id for efficiency if that's all the frontend needs initially
@@ -1665,12 +2370,13 @@ app.get('/api/favorites', async (req, res) => {
 });
 
 // POST - Add a product to user's favorites
-// Expects { userId, productId } in request body
-app.post('/api/favorites', async (req, res) => {
-    const { userId, productId } = req.body;
+// Expects { productId } in request body; user comes from the customer JWT
+app.post('/api/favorites', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
+    const { productId } = req.body;
 
-    if (!userId || !productId) {
-        return res.status(400).json({ error: 'User ID and Product ID are required' });
+    if (!productId) {
+        return res.status(400).json({ error: 'Product ID is required' });
     }
 
     try {
@@ -1688,15 +2394,13 @@ app.post('/api/favorites', async (req, res) => {
 });
 
 // DELETE - Remove a product from user's favorites
-// Expects userId in query, productId in URL path e.g., /api/favorites/101?userId=12345
-// OR { userId, productId } in request body (choose one style and stick to it)
-// Let's use query params for consistency with GET, and productId in path for RESTfulness.
-app.delete('/api/favorites/:productId', async (req, res) => {
-    const { userId } = req.query;
+// Expects productId in URL path e.g., /api/favorites/101; user comes from the customer JWT
+app.delete('/api/favorites/:productId', authCustomer, async (req, res) => {
+    const userId = req.customer.userId;
     const { productId } = req.params;
 
-    if (!userId || !productId) {
-        return res.status(400).json({ error: 'User ID and Product ID are required' });
+    if (!productId) {
+        return res.status(400).json({ error: 'Product ID is required' });
     }
 
     try {
@@ -1730,6 +2434,7 @@ app.delete('/api/favorites/:productId', async (req, res) => {
 // [CITY_FILTER] UPDATED GET featured items with city filtering
 app.get('/api/featured-items', async (req, res) => {
     const SLIDER_ITEM_LIMIT = 5;
+    const cityId = parseInt(req.query.cityId, 10) || null; // Optional: featured products are priced in that city
     console.log(`[FEATURED_API_V3] Fetching up to ${SLIDER_ITEM_LIMIT} featured items.`);
 
     try {
@@ -1749,13 +2454,16 @@ app.get('/api/featured-items', async (req, res) => {
             LEFT JOIN suppliers s_supp_check ON fi.item_type = 'supplier' AND fi.item_id = s_supp_check.id
             LEFT JOIN deals d_check ON fi.item_type = 'deal' AND fi.item_id = d_check.id
             LEFT JOIN suppliers s_deal_check ON d_check.supplier_id = s_deal_check.id
+            LEFT JOIN products p_deal_check ON d_check.product_id = p_deal_check.id
             WHERE fi.is_active = TRUE
               AND (fi.active_from IS NULL OR fi.active_from <= NOW())
               AND (fi.active_until IS NULL OR fi.active_until >= NOW())
               AND (
-                    (fi.item_type = 'product' AND s_prod_check.is_active = TRUE) OR
+                    (fi.item_type = 'product' AND s_prod_check.is_active = TRUE
+                        AND p_check.linking_status IS DISTINCT FROM 'rejected') OR
                     (fi.item_type = 'supplier' AND s_supp_check.is_active = TRUE) OR
-                    (fi.item_type = 'deal' AND (d_check.supplier_id IS NULL OR s_deal_check.is_active = TRUE)) OR
+                    (fi.item_type = 'deal' AND (d_check.supplier_id IS NULL OR s_deal_check.is_active = TRUE)
+                        AND p_deal_check.linking_status IS DISTINCT FROM 'rejected') OR
                     (fi.item_type NOT IN ('product', 'supplier', 'deal')) -- For any other types not supplier-dependent
                   )
             ORDER BY fi.display_order ASC, fi.created_at DESC
@@ -1790,33 +2498,24 @@ app.get('/api/featured-items', async (req, res) => {
                 const productDetailQuery = `
                     SELECT 
                         p.name, p.description, p.image_url, 
-                        p.price AS supplier_base_price, 
-                        p.discount_price AS supplier_discount_price, 
-                        p.is_on_sale AS supplier_is_on_sale,
-                        COALESCE(mp.current_price_adjustment_percentage, 0.0000) AS price_adjustment_percentage,
+                        ${pricing.PRICE_COLUMNS},
                         mp.display_name AS master_product_display_name,
                         mp.image_url AS master_product_image_url
                     FROM products p
-                    LEFT JOIN master_products mp ON p.master_product_id = mp.id
-                    WHERE p.id = $1; 
+                    ${pricing.priceJoins('$2::int')}
+                    WHERE p.id = $1 AND ${PRODUCT_NOT_REJECTED_SQL}; 
                 `;
                 // Note: The initial featuredDefinitionsQuery already ensures p.supplier_id links to an active supplier.
-                       originalItemResult = await db.query(productDetailQuery, [definition.item_id]);
+                       originalItemResult = await db.query(productDetailQuery, [definition.item_id, cityId]);
 
                 if (originalItemResult.rows.length > 0) { 
                     const p_orig = originalItemResult.rows[0];
                     title = title || (p_orig.master_product_display_name || p_orig.name);
                     description = description || p_orig.description; // Or master_product_description
                     imageUrl = imageUrl || (p_orig.master_product_image_url || p_orig.image_url);
-                     let basePriceForCalc = parseFloat(p_orig.supplier_base_price);
-                    if (p_orig.supplier_is_on_sale && p_orig.supplier_discount_price !== null) {
-                        basePriceForCalc = parseFloat(p_orig.supplier_discount_price);
-                    }
-                    const adjustment = parseFloat(p_orig.price_adjustment_percentage);
-                    const effectivePrice = basePriceForCalc * (1 + adjustment);
 
                     originalItemData = { 
-                        effective_selling_price: parseFloat(effectivePrice.toFixed(2)),
+                        ...pricing.getPriceFields(p_orig),
                         // You might want to include original_price if different for display ("Was X, Now Y")
                         // original_price: parseFloat(p_orig.supplier_base_price).toFixed(2), 
                         is_on_sale: p_orig.supplier_is_on_sale // Or a more complex logic if effective price < supplier base
@@ -1864,6 +2563,8 @@ app.get('/api/featured-items', async (req, res) => {
 // ... (authSupplier middleware is imported) ...
 
 // GET orders relevant to the authenticated supplier
+// Each entry is the supplier's own sub-order (supplier_orders): its totals, status and items only, never the
+// rest of the customer's order.
 app.get('/api/supplier/orders', authSupplier, async (req, res) => {
     const supplierId = req.supplier.supplierId;
 
@@ -1875,32 +2576,34 @@ app.get('/api/supplier/orders', authSupplier, async (req, res) => {
     const client = await db.pool.connect(); // Use a client for multiple operations
 
     try {
-        // Step 1: Find distinct order IDs that contain products from this supplier
-        // Also get overall order details and customer info
-        const distinctOrdersQuery = `
-            SELECT DISTINCT
-                o.id AS order_id,
+        // Step 1: This supplier's sub-orders, with the delivery details snapshotted on the parent order
+        const subOrdersQuery = `
+            SELECT
+                so.id AS supplier_order_id,
+                so.order_id,
                 o.order_date,
-                o.status AS order_status,
-                o.total_amount AS order_total_amount, -- Total for the entire customer order
-                up.full_name AS customer_name,
-                up.phone_number AS customer_phone,
-                up.address_line1 AS customer_address1,
-                up.address_line2 AS customer_address2,
-                up.city AS customer_city
-            FROM orders o
-            JOIN order_items oi ON o.id = oi.order_id
-            JOIN products p ON oi.product_id = p.id
-            LEFT JOIN user_profiles up ON o.user_id = up.user_id
-            WHERE p.supplier_id = $1
-            ORDER BY o.order_date DESC
+                so.status AS order_status,
+                so.delivery_status,
+                so.items_subtotal,
+                so.discount_amount,
+                so.delivery_fee,
+                so.total_amount AS supplier_order_value,
+                -- Address snapshot taken at checkout, not the customer's current profile
+                o.shipping_full_name AS customer_name,
+                o.shipping_phone_number AS customer_phone,
+                o.shipping_address_line1 AS customer_address1,
+                o.shipping_address_line2 AS customer_address2,
+                o.shipping_city AS customer_city
+            FROM supplier_orders so
+            JOIN orders o ON so.order_id = o.id
+            WHERE so.supplier_id = $1
+            ORDER BY o.order_date DESC, so.id DESC
             LIMIT $2 OFFSET $3;
         `;
-        const distinctOrdersResult = await client.query(distinctOrdersQuery, [supplierId, limit, offset]);
-        const orders = distinctOrdersResult.rows;
+        const subOrdersResult = await client.query(subOrdersQuery, [supplierId, limit, offset]);
+        const subOrders = subOrdersResult.rows;
 
-        if (orders.length === 0) {
-            client.release();
+        if (subOrders.length === 0) {
             return res.json({
                 items: [],
                 currentPage: page,
@@ -1909,10 +2612,11 @@ app.get('/api/supplier/orders', authSupplier, async (req, res) => {
             });
         }
 
-        // Step 2: For each order, fetch the specific items that belong to this supplier
-        const orderIds = orders.map(o => o.order_id);
+        // Step 2: Fetch the items of these sub-orders
+        const supplierOrderIds = subOrders.map(subOrder => subOrder.supplier_order_id);
         const orderItemsQuery = `
             SELECT 
+                oi.supplier_order_id,
                 oi.order_id,
                 oi.id AS order_item_id,
                 oi.product_id,
@@ -1920,43 +2624,38 @@ app.get('/api/supplier/orders', authSupplier, async (req, res) => {
                 p.image_url AS product_image_url,
                 oi.quantity,
                 oi.price_at_time_of_order,
-                oi.supplier_item_status -- Assuming you added this column
+                oi.applied_deal_id,
+                oi.deal_discount_percentage,
+                oi.supplier_item_status,
+                oi.rejection_reason,
+                oi.cancellation_reason,
+                oi.cancelled_at,
+                oi.delivery_item_status
             FROM order_items oi
             JOIN products p ON oi.product_id = p.id
-            WHERE oi.order_id = ANY($1::int[]) AND p.supplier_id = $2;
+            WHERE oi.supplier_order_id = ANY($1::int[])
+            ORDER BY oi.id;
         `;
-        const orderItemsResult = await client.query(orderItemsQuery, [orderIds, supplierId]);
-        const itemsByOrderId = {};
+        const orderItemsResult = await client.query(orderItemsQuery, [supplierOrderIds]);
+        const itemsBySupplierOrderId = {};
         orderItemsResult.rows.forEach(item => {
-            if (!itemsByOrderId[item.order_id]) {
-                itemsByOrderId[item.order_id] = [];
+            if (!itemsBySupplierOrderId[item.supplier_order_id]) {
+                itemsBySupplierOrderId[item.supplier_order_id] = [];
             }
-            itemsByOrderId[item.order_id].push(item);
+            itemsBySupplierOrderId[item.supplier_order_id].push(item);
         });
 
-        // Step 3: Combine order details with their respective items and calculate supplier's portion value
-        const responseOrders = orders.map(order => {
-            const itemsForThisSupplier = itemsByOrderId[order.order_id] || [];
-            const supplierOrderValue = itemsForThisSupplier.reduce((sum, item) => {
-                return sum + (parseFloat(item.price_at_time_of_order) * item.quantity);
-            }, 0);
-
-            return {
-                ...order,
-                items_for_this_supplier: itemsForThisSupplier,
-                supplier_order_value: supplierOrderValue.toFixed(2)
-            };
-        });
+        // Step 3: Combine sub-orders with their items
+        const responseOrders = subOrders.map(subOrder => ({
+            ...subOrder,
+            items_for_this_supplier: itemsBySupplierOrderId[subOrder.supplier_order_id] || []
+        }));
 
-        // Step 4: Get total count of relevant orders for pagination metadata
-        const totalRelevantOrdersCountQuery = `
-            SELECT COUNT(DISTINCT o.id) AS total_items
-            FROM orders o
-            JOIN order_items oi ON o.id = oi.order_id
-            JOIN products p ON oi.product_id = p.id
-            WHERE p.supplier_id = $1;
-        `;
-        const totalCountResult = await client.query(totalRelevantOrdersCountQuery, [supplierId]);
+        // Step 4: Get total count of this supplier's sub-orders for pagination metadata
+        const totalCountResult = await client.query(
+            'SELECT COUNT(*) AS total_items FROM supplier_orders WHERE supplier_id = $1;',
+            [supplierId]
+        );
         const totalItems = parseInt(totalCountResult.rows[0].total_items, 10);
         const totalPages = Math.ceil(totalItems / limit);
 
@@ -1976,6 +2675,203 @@ app.get('/api/supplier/orders', authSupplier, async (req, res) => {
         }
     }
 });
+// --- SUPPLIER ORDER ITEM ACTIONS ---
+// Suppliers accept, reject, prepare and mark ready their own order items. Status changes go through
+// services/orderStateMachine.js, so illegal moves (e.g. rejecting an item already out for delivery) come back as 409.
+const SUPPLIER_ITEM_ACTIONS = {
+    accept: 'confirmed',
+    prepare: 'preparing',
+    ready: 'ready_for_pickup',
+    reject: 'rejected'
+};
+
+// Applies one action to the given items of one supplier inside the caller's transaction (all-or-nothing).
+// Returns { updatedItems, rejectedItemsByOrder } or { error, status } if the request is invalid.
+const applySupplierItemAction = async (client, supplierId, orderItemIds, action, reason) => {
+    const ownedItemsResult = await client.query(
+        `SELECT oi.id, oi.order_id, o.user_id, p.name AS product_name
+         FROM order_items oi
+         JOIN products p ON oi.product_id = p.id
+         JOIN orders o ON oi.order_id = o.id
+         WHERE oi.id = ANY($1::int[]) AND p.supplier_id = $2
+         ORDER BY oi.id;`,
+        [orderItemIds, supplierId]
+    );
+    if (ownedItemsResult.rows.length !== orderItemIds.length) {
+        return { status: 403, error: 'One or more order items were not found or do not belong to you.' };
+    }
+
+    const updatedItems = [];
+    const rejectedItemsByOrder = {};
+    for (const ownedItem of ownedItemsResult.rows) {
+        const updatedItem = await orderStateMachine.transitionOrderItem(client, {
+            orderItemId: ownedItem.id,
+            statusField: 'supplier_item_status',
+            toStatus: SUPPLIER_ITEM_ACTIONS[action],
+            actor: { type: 'supplier', id: supplierId },
+            note: reason || null,
+            extraFields: action === 'reject' ? { rejection_reason: reason } : {}
+        });
+        updatedItems.push(updatedItem);
+
+        if (action === 'reject') {
+            if (!rejectedItemsByOrder[ownedItem.order_id]) {
+                rejectedItemsByOrder[ownedItem.order_id] = { userId: ownedItem.user_id, productNames: [] };
+            }
+            rejectedItemsByOrder[ownedItem.order_id].productNames.push(ownedItem.product_name);
+        }
+    }
+    return { updatedItems, rejectedItemsByOrder };
+};
+
+// Tells customers which items were rejected and what they now owe. Runs after COMMIT; failures are only logged.
+const notifyCustomersOfRejections = async (rejectedItemsByOrder, reason) => {
+    for (const [orderId, { userId, productNames }] of Object.entries(rejectedItemsByOrder)) {
+        const orderResult = await db.query('SELECT total_amount, status FROM orders WHERE id = $1', [orderId]);
+        const order = orderResult.rows[0];
+        const message = order && order.status === 'cancelled'
+            ? `Your order #${orderId} was cancelled because the supplier could not fulfil: ${productNames.join(', ')}. Reason: ${reason}`
+            : `The supplier could not fulfil ${productNames.join(', ')} from your order #${orderId}. Reason: ${reason}. Your new order total is ${order ? parseFloat(order.total_amount).toFixed(2) : '-'}.`;
+        await notifications.notifyCustomer(userId, message);
+    }
+};
+
+const validateSupplierItemAction = (action, reason) => {
+    if (typeof action !== 'string' || !Object.hasOwn(SUPPLIER_ITEM_ACTIONS, action)) {
+        return `Invalid action. Must be one of: ${Object.keys(SUPPLIER_ITEM_ACTIONS).join(', ')}`;
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+        return 'reason must be a string.';
+    }
+    if (action === 'reject' && (!reason || reason.trim() === '')) {
+        return 'A rejection reason is required.';
+    }
+    return null;
+};
+
+// PUT - Supplier acts on a single order item, e.g. { "action": "reject", "reason": "Out of stock" }
+app.put('/api/supplier/order-items/:orderItemId/status', authSupplier, async (req, res) => {
+    const supplierId = req.supplier.supplierId;
+    const parsedOrderItemId = parseInt(req.params.orderItemId, 10);
+    const { action, reason } = req.body;
+
+    if (isNaN(parsedOrderItemId)) {
+        return res.status(400).json({ error: 'Invalid Order Item ID.' });
+    }
+    const validationError = validateSupplierItemAction(action, reason);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await applySupplierItemAction(client, supplierId, [parsedOrderItemId], action, reason && reason.trim());
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(result.status).json({ error: result.error });
+        }
+        await client.query('COMMIT');
+
+        console.log(`[SUPPLIER_ORDERS] Supplier ${supplierId} applied '${action}' to item ${parsedOrderItemId}`);
+        res.status(200).json(result.updatedItems[0]);
+
+        notifyCustomersOfRejections(result.rejectedItemsByOrder, reason && reason.trim())
+            .catch(notifyErr => console.error('[SUPPLIER_ORDERS] Error notifying customers of rejected items:', notifyErr));
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (orderStateMachine.respondToTransitionError(res, err)) return;
+        console.error(`[SUPPLIER_ORDERS] Error applying '${action}' to item ${parsedOrderItemId} for supplier ${supplierId}:`, err);
+        res.status(500).json({ error: 'Failed to update order item.' });
+    } finally {
+        client.release();
+    }
+});
+
+// PUT - Supplier acts on several of their items in one order at once.
+// Body: { "action": "accept" } applies to all of this supplier's items in the order that can still take it (e.g. not
+// the cancelled or already accepted ones); { "action": "ready", "orderItemIds": [12, 13] } applies to just those.
+app.put('/api/supplier/orders/:orderId/items/status', authSupplier, async (req, res) => {
+    const supplierId = req.supplier.supplierId;
+    const parsedOrderId = parseInt(req.params.orderId, 10);
+    const { action, reason, orderItemIds } = req.body;
+
+    if (isNaN(parsedOrderId)) {
+        return res.status(400).json({ error: 'Invalid Order ID.' });
+    }
+    const validationError = validateSupplierItemAction(action, reason);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    if (orderItemIds !== undefined && (!Array.isArray(orderItemIds) || orderItemIds.length === 0
+        || orderItemIds.some(id => isNaN(parseInt(id, 10))))) {
+        return res.status(400).json({ error: 'orderItemIds must be a non-empty array of order item IDs if provided.' });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const supplierItemsResult = await client.query(
+            `SELECT oi.id, oi.supplier_item_status FROM order_items oi
+             JOIN products p ON oi.product_id = p.id
+             WHERE oi.order_id = $1 AND p.supplier_id = $2
+             ORDER BY oi.id;`,
+            [parsedOrderId, supplierId]
+        );
+        const supplierItemIds = supplierItemsResult.rows.map(row => row.id);
+        if (supplierItemIds.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Order not found or it has no items from you.' });
+        }
+
+        let targetItemIds;
+        if (orderItemIds) {
+            targetItemIds = [...new Set(orderItemIds.map(id => parseInt(id, 10)))];
+            if (targetItemIds.some(id => !supplierItemIds.includes(id))) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: 'One or more order items do not belong to you in this order.' });
+            }
+        } else {
+            const toStatus = SUPPLIER_ITEM_ACTIONS[action];
+            targetItemIds = supplierItemsResult.rows
+                .filter(row => orderStateMachine.canTransition(
+                    orderStateMachine.SUPPLIER_ITEM_TRANSITIONS, row.supplier_item_status || 'pending', toStatus
+                ))
+                .map(row => row.id);
+            if (targetItemIds.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: `None of your items in this order can be moved to '${toStatus}'.` });
+            }
+        }
+
+        const result = await applySupplierItemAction(client, supplierId, targetItemIds, action, reason && reason.trim());
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(result.status).json({ error: result.error });
+        }
+        const supplierOrderResult = await client.query(
+            `SELECT id AS supplier_order_id, order_id, status, delivery_status, items_subtotal, discount_amount, delivery_fee, total_amount
+             FROM supplier_orders WHERE order_id = $1 AND supplier_id = $2;`,
+            [parsedOrderId, supplierId]
+        );
+        await client.query('COMMIT');
+
+        console.log(`[SUPPLIER_ORDERS] Supplier ${supplierId} applied '${action}' to ${targetItemIds.length} items of order ${parsedOrderId}`);
+        res.status(200).json({ items: result.updatedItems, supplierOrder: supplierOrderResult.rows[0] || null });
+
+        notifyCustomersOfRejections(result.rejectedItemsByOrder, reason && reason.trim())
+            .catch(notifyErr => console.error('[SUPPLIER_ORDERS] Error notifying customers of rejected items:', notifyErr));
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (orderStateMachine.respondToTransitionError(res, err)) return;
+        console.error(`[SUPPLIER_ORDERS] Error applying '${action}' to order ${parsedOrderId} for supplier ${supplierId}:`, err);
+        res.status(500).json({ error: 'Failed to update order items.' });
+    } finally {
+        client.release();
+    }
+});
+
 // server.js
 // ... (bcrypt, jwt imports are already there) ...
 
@@ -2589,20 +3485,1095 @@ app.delete('/api/supplier/deals/:dealId', authSupplier, async (req, res) => {
         const deleteQuery = 'DELETE FROM deals WHERE id = $1 RETURNING id;'; // Only need id for confirmation
         const result = await db.query(deleteQuery, [parsedDealId]);
 
-        if (result.rowCount === 0) { // Should not happen if above check passed
-            return res.status(404).json({ error: 'Deal not found during delete attempt.' });
+        if (result.rowCount === 0) { // Should not happen if above check passed
+            return res.status(404).json({ error: 'Deal not found during delete attempt.' });
+        }
+        
+        console.log(`[SUPPLIER_DEALS] Deal ID ${parsedDealId} deleted by supplier ${supplierId}`);
+        res.status(200).json({ message: 'Deal deleted successfully', deletedDealId: parsedDealId });
+
+    } catch (err) {
+        console.error(`[SUPPLIER_DEALS] Error deleting deal ${dealId} for supplier ${supplierId}:`, err);
+        // Check for foreign key constraints if deals are referenced elsewhere (e.g., featured_items)
+        if (err.code === '23503') { // Foreign key violation
+             return res.status(409).json({ error: 'Cannot delete this deal as it is currently featured or referenced elsewhere. Please remove it from features first.' });
+        }
+        res.status(500).json({ error: 'Failed to delete deal.' });
+    }
+});
+
+// --- COUPONS ---
+// Admins manage platform coupons (optionally scoped to one supplier); suppliers manage coupons for their own
+// products. Coupons are never deleted once created - set isActive: false instead, so past redemptions stay reportable.
+// Rules are evaluated by services/coupons.js.
+
+const COUPON_SELECT = `
+    SELECT c.*,
+           COALESCE(ARRAY_AGG(cc.city_id ORDER BY cc.city_id) FILTER (WHERE cc.city_id IS NOT NULL), '{}') AS city_ids,
+           (SELECT COUNT(*) FROM coupon_redemptions cr WHERE cr.coupon_id = c.id AND cr.status = 'applied')::int AS times_used
+    FROM coupons c
+    LEFT JOIN coupon_cities cc ON cc.coupon_id = c.id`;
+
+const fetchCouponById = async (client, couponId) => {
+    const result = await client.query(`${COUPON_SELECT} WHERE c.id = $1 GROUP BY c.id;`, [couponId]);
+    return result.rows[0] || null;
+};
+
+// Maps request body fields to coupons columns. Returns { fields, cityIds } or { error }.
+// With requireAll (create), code, discountType and discountValue must be present.
+// existing: the stored coupon on update, so cross-field checks (percentage <= 100, dates) see the final values.
+const parseCouponBody = (body, requireAll, existing = {}) => {
+    const fields = {};
+
+    if (body.code !== undefined) {
+        const code = coupons.normalizeCode(body.code);
+        if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+            return { error: 'code must be 3-50 characters: letters, digits, "-" or "_".' };
+        }
+        fields.code = code;
+    }
+    if (body.description !== undefined) fields.description = body.description || null;
+    if (body.discountType !== undefined) {
+        if (!coupons.DISCOUNT_TYPES.includes(body.discountType)) {
+            return { error: `discountType must be one of: ${coupons.DISCOUNT_TYPES.join(', ')}.` };
+        }
+        fields.discount_type = body.discountType;
+    }
+    if (body.discountValue !== undefined) {
+        const discountValue = parseFloat(body.discountValue);
+        if (isNaN(discountValue) || discountValue <= 0) return { error: 'discountValue must be a positive number.' };
+        fields.discount_value = discountValue;
+    }
+    for (const [key, column] of [['maxDiscountAmount', 'max_discount_amount'], ['minBasketAmount', 'min_basket_amount']]) {
+        if (body[key] === undefined) continue;
+        if (body[key] === null && key === 'maxDiscountAmount') { fields[column] = null; continue; }
+        const amount = parseFloat(body[key]);
+        if (isNaN(amount) || amount < 0) return { error: `${key} must be a non-negative number.` };
+        fields[column] = amount;
+    }
+    for (const [key, column] of [['usageLimitTotal', 'usage_limit_total'], ['usageLimitPerUser', 'usage_limit_per_user']]) {
+        if (body[key] === undefined) continue;
+        if (body[key] === null) { fields[column] = null; continue; }
+        const limit = parseInt(body[key], 10);
+        if (isNaN(limit) || limit < 1) return { error: `${key} must be a positive integer or null.` };
+        fields[column] = limit;
+    }
+    for (const [key, column] of [['startsAt', 'starts_at'], ['endsAt', 'ends_at']]) {
+        if (body[key] === undefined) continue;
+        if (body[key] === null) { fields[column] = null; continue; }
+        const date = new Date(body[key]);
+        if (isNaN(date.getTime())) return { error: `Invalid ${key} date format.` };
+        fields[column] = date;
+    }
+    if (body.isActive !== undefined) fields.is_active = Boolean(body.isActive);
+
+    let cityIds;
+    if (body.cityIds !== undefined) {
+        if (!Array.isArray(body.cityIds) || body.cityIds.some(id => isNaN(parseInt(id, 10)))) {
+            return { error: 'cityIds must be an array of city IDs (empty = valid in every city).' };
+        }
+        cityIds = [...new Set(body.cityIds.map(id => parseInt(id, 10)))];
+    }
+
+    if (requireAll && (fields.code === undefined || fields.discount_type === undefined || fields.discount_value === undefined)) {
+        return { error: 'code, discountType and discountValue are required.' };
+    }
+    const finalValues = { ...existing, ...fields };
+    if (finalValues.discount_type === 'percentage' && parseFloat(finalValues.discount_value) > 100) {
+        return { error: 'A percentage discountValue cannot exceed 100.' };
+    }
+    if (finalValues.starts_at && finalValues.ends_at && new Date(finalValues.starts_at) >= new Date(finalValues.ends_at)) {
+        return { error: 'endsAt must be after startsAt.' };
+    }
+    return { fields, cityIds };
+};
+
+// Inserts (couponId null) or updates a coupon and, if cityIds is given, replaces its city list.
+// Runs inside the caller's transaction. Returns the saved coupon.
+const saveCoupon = async (client, couponId, fields, cityIds) => {
+    let savedCouponId = couponId;
+    if (couponId === null) {
+        const columns = Object.keys(fields);
+        const insertResult = await client.query(
+            `INSERT INTO coupons (${columns.join(', ')}) VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')}) RETURNING id;`,
+            Object.values(fields)
+        );
+        savedCouponId = insertResult.rows[0].id;
+    } else if (Object.keys(fields).length > 0) {
+        const updateFields = { ...fields, updated_at: new Date() };
+        const setClauses = Object.keys(updateFields).map((key, index) => `${key} = $${index + 1}`).join(', ');
+        const values = [...Object.values(updateFields), couponId];
+        await client.query(`UPDATE coupons SET ${setClauses} WHERE id = $${values.length};`, values);
+    }
+
+    if (cityIds !== undefined) {
+        await client.query('DELETE FROM coupon_cities WHERE coupon_id = $1', [savedCouponId]);
+        if (cityIds.length > 0) {
+            await client.query(
+                'INSERT INTO coupon_cities (coupon_id, city_id) SELECT $1, UNNEST($2::int[])',
+                [savedCouponId, cityIds]
+            );
+        }
+    }
+    return fetchCouponById(client, savedCouponId);
+};
+
+// Shared error handling for coupon writes. Returns true if a response was sent.
+const respondToCouponSaveError = (res, err) => {
+    if (err.code === '23505') {
+        res.status(409).json({ error: 'A coupon with this code already exists.' });
+        return true;
+    }
+    if (err.code === '23503') {
+        res.status(400).json({ error: 'One or more city IDs (or the supplier ID) do not exist.' });
+        return true;
+    }
+    return false;
+};
+
+// GET all coupons; optional ?supplierId= filter
+app.get('/api/admin/coupons', authAdmin, async (req, res) => {
+    const supplierFilter = req.query.supplierId ? parseInt(req.query.supplierId, 10) : null;
+    try {
+        const result = await db.query(
+            `${COUPON_SELECT}
+             WHERE ($1::int IS NULL OR c.supplier_id = $1)
+             GROUP BY c.id
+             ORDER BY c.created_at DESC;`,
+            [isNaN(supplierFilter) ? null : supplierFilter]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('[ADMIN_COUPONS] Error fetching coupons:', err);
+        res.status(500).json({ error: 'Failed to fetch coupons.' });
+    }
+});
+
+// POST - Admin creates a coupon: { code, discountType, discountValue, maxDiscountAmount?, minBasketAmount?,
+//   usageLimitTotal?, usageLimitPerUser?, startsAt?, endsAt?, cityIds?, supplierId?, isActive?, description? }
+app.post('/api/admin/coupons', authAdmin, async (req, res) => {
+    const { fields, cityIds, error } = parseCouponBody(req.body, true);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (req.body.supplierId !== undefined && req.body.supplierId !== null) {
+        const supplierId = parseInt(req.body.supplierId, 10);
+        if (isNaN(supplierId)) return res.status(400).json({ error: 'Invalid supplierId.' });
+        fields.supplier_id = supplierId;
+    }
+    fields.created_by_type = 'admin';
+    fields.created_by_id = req.admin.adminId;
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const coupon = await saveCoupon(client, null, fields, cityIds);
+        await client.query('COMMIT');
+        console.log(`[ADMIN_COUPONS] Coupon ${coupon.id} (${coupon.code}) created by admin ${req.admin.adminId}`);
+        res.status(201).json(coupon);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (respondToCouponSaveError(res, err)) return;
+        console.error('[ADMIN_COUPONS] Error creating coupon:', err);
+        res.status(500).json({ error: 'Failed to create coupon.' });
+    } finally {
+        client.release();
+    }
+});
+
+// PUT - Admin updates any coupon (same fields as POST, all optional)
+app.put('/api/admin/coupons/:couponId', authAdmin, async (req, res) => {
+    const couponId = parseInt(req.params.couponId, 10);
+    if (isNaN(couponId)) {
+        return res.status(400).json({ error: 'Invalid coupon ID format.' });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const existing = await fetchCouponById(client, couponId);
+        if (!existing) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Coupon not found.' });
+        }
+        const { fields, cityIds, error } = parseCouponBody(req.body, false, existing);
+        if (error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error });
+        }
+        if (req.body.supplierId !== undefined) {
+            const supplierId = req.body.supplierId === null ? null : parseInt(req.body.supplierId, 10);
+            if (Number.isNaN(supplierId)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Invalid supplierId.' });
+            }
+            fields.supplier_id = supplierId;
+        }
+        const coupon = await saveCoupon(client, couponId, fields, cityIds);
+        await client.query('COMMIT');
+        console.log(`[ADMIN_COUPONS] Coupon ${couponId} updated by admin ${req.admin.adminId}`);
+        res.json(coupon);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (respondToCouponSaveError(res, err)) return;
+        console.error(`[ADMIN_COUPONS] Error updating coupon ${couponId}:`, err);
+        res.status(500).json({ error: 'Failed to update coupon.' });
+    } finally {
+        client.release();
+    }
+});
+
+// GET a coupon's redemptions (one per order) for reporting and refunds
+app.get('/api/admin/coupons/:couponId/redemptions', authAdmin, async (req, res) => {
+    const couponId = parseInt(req.params.couponId, 10);
+    if (isNaN(couponId)) {
+        return res.status(400).json({ error: 'Invalid coupon ID format.' });
+    }
+    try {
+        const result = await db.query(
+            `SELECT cr.id, cr.order_id, cr.user_id, cr.discount_amount, cr.status, cr.redeemed_at, cr.released_at,
+                    o.status AS order_status, o.total_amount AS order_total_amount
+             FROM coupon_redemptions cr
+             JOIN orders o ON cr.order_id = o.id
+             WHERE cr.coupon_id = $1
+             ORDER BY cr.redeemed_at DESC;`,
+            [couponId]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error(`[ADMIN_COUPONS] Error fetching redemptions for coupon ${couponId}:`, err);
+        res.status(500).json({ error: 'Failed to fetch coupon redemptions.' });
+    }
+});
+
+// GET the authenticated supplier's coupons
+app.get('/api/supplier/coupons', authSupplier, async (req, res) => {
+    const supplierId = req.supplier.supplierId;
+    try {
+        const result = await db.query(
+            `${COUPON_SELECT} WHERE c.supplier_id = $1 GROUP BY c.id ORDER BY c.created_at DESC;`,
+            [supplierId]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error(`[SUPPLIER_COUPONS] Error fetching coupons for supplier ${supplierId}:`, err);
+        res.status(500).json({ error: 'Failed to fetch coupons.' });
+    }
+});
+
+// POST - Supplier creates a coupon that only discounts their own products (same body as the admin route, minus supplierId)
+app.post('/api/supplier/coupons', authSupplier, async (req, res) => {
+    const supplierId = req.supplier.supplierId;
+    const { fields, cityIds, error } = parseCouponBody(req.body, true);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    fields.supplier_id = supplierId;
+    fields.created_by_type = 'supplier';
+    fields.created_by_id = supplierId;
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const coupon = await saveCoupon(client, null, fields, cityIds);
+        await client.query('COMMIT');
+        console.log(`[SUPPLIER_COUPONS] Coupon ${coupon.id} (${coupon.code}) created by supplier ${supplierId}`);
+        res.status(201).json(coupon);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (respondToCouponSaveError(res, err)) return;
+        console.error(`[SUPPLIER_COUPONS] Error creating coupon for supplier ${supplierId}:`, err);
+        res.status(500).json({ error: 'Failed to create coupon.' });
+    } finally {
+        client.release();
+    }
+});
+
+// PUT - Supplier updates a coupon they created. Admin-created coupons scoped to the supplier are only listed here;
+// they can only be changed through the admin routes.
+app.put('/api/supplier/coupons/:couponId', authSupplier, async (req, res) => {
+    const supplierId = req.supplier.supplierId;
+    const couponId = parseInt(req.params.couponId, 10);
+    if (isNaN(couponId)) {
+        return res.status(400).json({ error: 'Invalid coupon ID format.' });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const existing = await fetchCouponById(client, couponId);
+        if (!existing || existing.supplier_id !== supplierId) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Coupon not found or you do not have permission to edit it.' });
+        }
+        if (existing.created_by_type !== 'supplier') {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'This coupon was created by an admin and can only be changed by an admin.' });
+        }
+        const { fields, cityIds, error } = parseCouponBody(req.body, false, existing);
+        if (error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error });
+        }
+        const coupon = await saveCoupon(client, couponId, fields, cityIds);
+        await client.query('COMMIT');
+        console.log(`[SUPPLIER_COUPONS] Coupon ${couponId} updated by supplier ${supplierId}`);
+        res.json(coupon);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (respondToCouponSaveError(res, err)) return;
+        console.error(`[SUPPLIER_COUPONS] Error updating coupon ${couponId} for supplier ${supplierId}:`, err);
+        res.status(500).json({ error: 'Failed to update coupon.' });
+    } finally {
+        client.release();
+    }
+});
+
+// --- ADMIN PRODUCT LINKING REVIEW ---
+// Supplier products are linked to master products automatically when they are created or renamed
+// (POST/PUT /api/supplier/products). Admins review those links here; every decision is stored in
+// product_linking_decisions (services/productLinking.js).
+const { LINKING_REVIEW_STATUSES, LINKING_STATUSES, LINKING_DECISIONS } = productLinking;
+
+// GET the review queue, oldest first. ?status= one linking status (default: every status awaiting review),
+// ?page=, ?limit=, ?candidates= (master product suggestions per product, default 5, ranked by trigram similarity)
+app.get('/api/admin/product-linking/queue', authAdmin, async (req, res) => {
+    const status = req.query.status || null;
+    if (status && !LINKING_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${LINKING_STATUSES.join(', ')}.` });
+    }
+    const statuses = status ? [status] : LINKING_REVIEW_STATUSES;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const candidateLimit = Math.min(Math.max(parseInt(req.query.candidates, 10) || 5, 1), 20);
+
+    try {
+        const [productsResult, countResult] = await Promise.all([
+            db.query(
+                `SELECT p.id, p.name, p.standardized_name_input, p.description, p.category, p.image_url, p.price,
+                        p.linking_status, p.created_at, p.updated_at, p.supplier_id, s.name AS supplier_name,
+                        p.master_product_id, mp.display_name AS master_product_display_name,
+                        mp.standardized_name_normalized AS master_product_standardized_name
+                 FROM products p
+                 JOIN suppliers s ON p.supplier_id = s.id
+                 LEFT JOIN master_products mp ON p.master_product_id = mp.id
+                 WHERE p.linking_status = ANY($1::varchar[])
+                 ORDER BY p.updated_at ASC, p.id ASC
+                 LIMIT $2 OFFSET $3;`,
+                [statuses, limit, (page - 1) * limit]
+            ),
+            db.query('SELECT COUNT(*) AS total FROM products WHERE linking_status = ANY($1::varchar[]);', [statuses])
+        ]);
+        const products = productsResult.rows;
+
+        // Candidates for the whole page in one query; names normalized like the automatic linking does
+        const candidatesByProductId = new Map(products.map(product => [product.id, []]));
+        if (products.length > 0) {
+            const candidatesResult = await db.query(
+                `SELECT q.product_id, c.id, c.display_name, c.category, c.image_url, c.similarity
+                 FROM UNNEST($1::int[], $2::text[]) AS q(product_id, normalized_name)
+                 CROSS JOIN LATERAL (
+                     SELECT mp.id, mp.display_name, mp.category, mp.image_url,
+                            similarity(mp.standardized_name_normalized, q.normalized_name) AS similarity
+                     FROM master_products mp
+                     WHERE mp.merged_into_id IS NULL
+                     ORDER BY mp.standardized_name_normalized <-> q.normalized_name
+                     LIMIT $3
+                 ) c
+                 ORDER BY q.product_id, c.similarity DESC;`,
+                [
+                    products.map(product => product.id),
+                    products.map(product => normalizeTextForMatching(product.standardized_name_input || product.name)),
+                    candidateLimit
+                ]
+            );
+            candidatesResult.rows.forEach(({ product_id, ...candidate }) => {
+                candidatesByProductId.get(product_id).push({ ...candidate, similarity: parseFloat(candidate.similarity) });
+            });
+        }
+
+        const totalItems = parseInt(countResult.rows[0].total, 10);
+        res.json({
+            items: products.map(product => ({ ...product, candidates: candidatesByProductId.get(product.id) })),
+            currentPage: page,
+            totalPages: Math.ceil(totalItems / limit),
+            totalItems
+        });
+    } catch (err) {
+        console.error('[ADMIN_PRODUCT_LINKING] Error fetching linking review queue:', err);
+        res.status(500).json({ error: 'Failed to fetch the linking review queue.' });
+    }
+});
+
+// GET recorded linking decisions, newest first (optional ?productId=)
+app.get('/api/admin/product-linking/decisions', authAdmin, async (req, res) => {
+    const productId = parseInt(req.query.productId, 10) || null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    try {
+        const result = await db.query(
+            `SELECT d.*, p.name AS product_name,
+                    prev_mp.display_name AS previous_master_product_display_name,
+                    new_mp.display_name AS new_master_product_display_name
+             FROM product_linking_decisions d
+             LEFT JOIN products p ON d.product_id = p.id
+             LEFT JOIN master_products prev_mp ON d.previous_master_product_id = prev_mp.id
+             LEFT JOIN master_products new_mp ON d.new_master_product_id = new_mp.id
+             WHERE ($1::int IS NULL OR d.product_id = $1)
+             ORDER BY d.created_at DESC, d.id DESC
+             LIMIT $2;`,
+            [productId, limit]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('[ADMIN_PRODUCT_LINKING] Error fetching linking decisions:', err);
+        res.status(500).json({ error: 'Failed to fetch linking decisions.' });
+    }
+});
+
+// POST - Resolve a product's link: { decision, note? } where decision is
+//   'confirm'        keep the current master product,
+//   'relink'         link to { masterProductId },
+//   'create_master'  link to a new master product from { master: { displayName?, standardizedName?, description?,
+//                    imageUrl?, brand?, category? } } (defaults from the product),
+//   'reject'         unlink and hide the product from customers.
+app.post('/api/admin/product-linking/:productId/decision', authAdmin, async (req, res) => {
+    const productId = parseInt(req.params.productId, 10);
+    if (isNaN(productId)) {
+        return res.status(400).json({ error: 'Invalid Product ID.' });
+    }
+    const { decision, note, masterProductId, master } = req.body || {};
+    if (!Object.hasOwn(LINKING_DECISIONS, decision)) {
+        return res.status(400).json({ error: `decision must be one of: ${Object.keys(LINKING_DECISIONS).join(', ')}.` });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await productLinking.applyLinkingDecision(client, {
+            productId, decision, masterProductId, master: master || {},
+            note: typeof note === 'string' && note.trim() ? note.trim() : null,
+            adminId: req.admin.adminId,
+            normalizeName: normalizeTextForMatching
+        });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(result.status).json({ error: result.error, masterProductId: result.masterProductId });
+        }
+        await client.query('COMMIT');
+        res.json(result);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'A master product with this standardized name already exists. Relink to it instead.' });
+        }
+        console.error(`[ADMIN_PRODUCT_LINKING] Error recording linking decision for product ${productId}:`, err);
+        res.status(500).json({ error: 'Failed to record the linking decision.' });
+    } finally {
+        client.release();
+    }
+});
+
+// --- ADMIN MASTER PRODUCT MERGE / SPLIT ---
+// Fixes the automatic grouping: merge duplicates into one master product, or split wrongly grouped supplier products
+// off into a new one (services/masterProducts.js). Each operation is logged in master_product_operations.
+
+const parseIdList = (value) => {
+    if (!Array.isArray(value) || value.length === 0 || value.some(id => isNaN(parseInt(id, 10)))) return null;
+    return [...new Set(value.map(id => parseInt(id, 10)))];
+};
+
+// POST - { targetMasterProductId, sourceMasterProductIds: [...], note? }
+app.post('/api/admin/master-products/merge', authAdmin, async (req, res) => {
+    const body = req.body || {};
+    const targetId = parseInt(body.targetMasterProductId, 10);
+    const sourceIds = parseIdList(body.sourceMasterProductIds);
+    if (isNaN(targetId) || !sourceIds) {
+        return res.status(400).json({ error: 'targetMasterProductId and a non-empty sourceMasterProductIds array are required.' });
+    }
+    if (sourceIds.includes(targetId)) {
+        return res.status(400).json({ error: 'The target master product cannot also be a source.' });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await masterProducts.mergeMasterProducts(client, {
+            targetId, sourceIds, note: typeof body.note === 'string' && body.note.trim() ? body.note.trim() : null,
+            adminId: req.admin.adminId
+        });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(result.status).json({ error: result.error });
+        }
+        await client.query('COMMIT');
+        res.json(result);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`[ADMIN_MASTER_PRODUCTS] Error merging master products ${sourceIds.join(', ')} into ${targetId}:`, err);
+        res.status(500).json({ error: 'Failed to merge master products.' });
+    } finally {
+        client.release();
+    }
+});
+
+// POST - { productIds: [...], master: { displayName, standardizedName?, description?, imageUrl?, brand?, category? }, note? }
+app.post('/api/admin/master-products/:masterProductId/split', authAdmin, async (req, res) => {
+    const sourceId = parseInt(req.params.masterProductId, 10);
+    if (isNaN(sourceId)) {
+        return res.status(400).json({ error: 'Invalid master product ID format.' });
+    }
+    const body = req.body || {};
+    const productIds = parseIdList(body.productIds);
+    if (!productIds) {
+        return res.status(400).json({ error: 'A non-empty productIds array is required.' });
+    }
+    const master = body.master || {};
+    const displayName = typeof master.displayName === 'string' ? master.displayName.trim() : '';
+    const standardizedName = normalizeTextForMatching(master.standardizedName || displayName);
+    if (!displayName || !standardizedName) {
+        return res.status(400).json({ error: 'master.displayName is required for the new master product.' });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await masterProducts.splitMasterProduct(client, {
+            sourceId, productIds,
+            master: { ...master, displayName, standardizedName },
+            note: typeof body.note === 'string' && body.note.trim() ? body.note.trim() : null,
+            adminId: req.admin.adminId
+        });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(result.status).json({ error: result.error, masterProductId: result.masterProductId });
+        }
+        await client.query('COMMIT');
+        res.status(201).json(result);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'A master product with this standardized name already exists.' });
+        }
+        console.error(`[ADMIN_MASTER_PRODUCTS] Error splitting master product ${sourceId}:`, err);
+        res.status(500).json({ error: 'Failed to split master product.' });
+    } finally {
+        client.release();
+    }
+});
+
+// GET the merge/split log, newest first (optional ?masterProductId= as target or source)
+app.get('/api/admin/master-products/operations', authAdmin, async (req, res) => {
+    const masterProductId = parseInt(req.query.masterProductId, 10) || null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    try {
+        const result = await db.query(
+            `SELECT * FROM master_product_operations
+             WHERE ($1::int IS NULL OR target_master_product_id = $1 OR $1 = ANY(source_master_product_ids))
+             ORDER BY created_at DESC, id DESC
+             LIMIT $2;`,
+            [masterProductId, limit]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('[ADMIN_MASTER_PRODUCTS] Error fetching master product operations:', err);
+        res.status(500).json({ error: 'Failed to fetch master product operations.' });
+    }
+});
+
+// --- ADMIN PRICING RULES ---
+// Thresholds, step and caps the demand-based pricing engine uses (services/pricingEngine.js). A rule targets every
+// product (scope 'global'), a master product category or one master product, optionally only in one city; the engine
+// uses the most specific active rule (services/pricingRules.js). The global all-cities rule is the fallback for every
+// product, so it can be edited but not deleted or deactivated.
+
+const PRICING_RULE_SELECT = `
+    SELECT pr.*, mp.display_name AS master_product_display_name, c.name AS city_name
+    FROM pricing_rules pr
+    LEFT JOIN master_products mp ON pr.master_product_id = mp.id
+    LEFT JOIN cities c ON pr.city_id = c.id`;
+
+const isFallbackPricingRule = (rule) => rule.scope === 'global' && rule.city_id === null;
+
+// Maps request body fields to pricing_rules columns. Returns { fields } or { error }.
+// With requireAll (create), the target and all numbers must be present. existing: the stored rule on update.
+const parsePricingRuleBody = (body, requireAll, existing = {}) => {
+    const fields = {};
+
+    if (body.scope !== undefined) {
+        if (!pricingRules.RULE_SCOPES.includes(body.scope)) {
+            return { error: `scope must be one of: ${pricingRules.RULE_SCOPES.join(', ')}.` };
+        }
+        fields.scope = body.scope;
+    }
+    if (body.category !== undefined) {
+        fields.category = typeof body.category === 'string' && body.category.trim() ? body.category.trim() : null;
+    }
+    for (const [key, column] of [['masterProductId', 'master_product_id'], ['cityId', 'city_id']]) {
+        if (body[key] === undefined) continue;
+        if (body[key] === null) { fields[column] = null; continue; }
+        const id = parseInt(body[key], 10);
+        if (isNaN(id)) return { error: `Invalid ${key}.` };
+        fields[column] = id;
+    }
+    for (const [key, column] of [['highDemandThreshold', 'high_demand_threshold'], ['lowDemandThreshold', 'low_demand_threshold']]) {
+        if (body[key] === undefined) continue;
+        const threshold = parseInt(body[key], 10);
+        if (isNaN(threshold) || threshold < 0) return { error: `${key} must be a non-negative integer.` };
+        fields[column] = threshold;
+    }
+    if (body.demandWindowDays !== undefined) {
+        const days = parseInt(body.demandWindowDays, 10);
+        if (isNaN(days) || days < 1) return { error: 'demandWindowDays must be a positive integer.' };
+        fields.demand_window_days = days;
+    }
+    // Fractions, e.g. 0.005 = 0.5%
+    if (body.adjustmentStep !== undefined) {
+        const step = parseFloat(body.adjustmentStep);
+        if (isNaN(step) || step <= 0 || step > 1) return { error: 'adjustmentStep must be a fraction between 0 and 1 (e.g. 0.005 for 0.5%).' };
+        fields.adjustment_step = step;
+    }
+    if (body.maxIncrease !== undefined) {
+        const maxIncrease = parseFloat(body.maxIncrease);
+        if (isNaN(maxIncrease) || maxIncrease < 0 || maxIncrease > 1) return { error: 'maxIncrease must be a fraction between 0 and 1 (e.g. 0.1 for +10%).' };
+        fields.max_increase = maxIncrease;
+    }
+    if (body.maxDecrease !== undefined) {
+        const maxDecrease = parseFloat(body.maxDecrease);
+        if (isNaN(maxDecrease) || maxDecrease > 0 || maxDecrease < -1) return { error: 'maxDecrease must be a fraction between -1 and 0 (e.g. -0.05 for -5%).' };
+        fields.max_decrease = maxDecrease;
+    }
+    if (body.isActive !== undefined) fields.is_active = Boolean(body.isActive);
+
+    const finalValues = { ...existing, ...fields };
+    if (requireAll) {
+        const required = ['scope', 'high_demand_threshold', 'low_demand_threshold', 'adjustment_step', 'max_increase', 'max_decrease'];
+        if (required.some(column => finalValues[column] === undefined)) {
+            return { error: 'scope, highDemandThreshold, lowDemandThreshold, adjustmentStep, maxIncrease and maxDecrease are required.' };
+        }
+    }
+    // Only the field matching the scope may be set
+    if (finalValues.scope === 'category') {
+        if (!finalValues.category) return { error: 'A category rule needs a category.' };
+        fields.master_product_id = null;
+    } else if (finalValues.scope === 'master_product') {
+        if (!finalValues.master_product_id) return { error: 'A master_product rule needs a masterProductId.' };
+        fields.category = null;
+    } else {
+        fields.category = null;
+        fields.master_product_id = null;
+    }
+    if (finalValues.low_demand_threshold > finalValues.high_demand_threshold) {
+        return { error: 'lowDemandThreshold cannot be greater than highDemandThreshold.' };
+    }
+    return { fields };
+};
+
+const respondToPricingRuleSaveError = (res, err) => {
+    if (err.code === '23505') {
+        res.status(409).json({ error: 'A pricing rule for this target and city already exists.' });
+        return true;
+    }
+    if (err.code === '23503') {
+        res.status(400).json({ error: 'The master product or city does not exist.' });
+        return true;
+    }
+    return false;
+};
+
+// A rule on a master product that was merged into another one would never apply (nothing points at it any more).
+// Returns the ID it was merged into, or null.
+const findMergedIntoId = async (masterProductId) => {
+    if (!masterProductId) return null;
+    const result = await db.query('SELECT merged_into_id FROM master_products WHERE id = $1', [masterProductId]);
+    return result.rows.length > 0 ? result.rows[0].merged_into_id : null;
+};
+
+// GET all pricing rules; optional ?scope=, ?cityId= and ?masterProductId= filters
+app.get('/api/admin/pricing-rules', authAdmin, async (req, res) => {
+    const scope = req.query.scope || null;
+    if (scope && !pricingRules.RULE_SCOPES.includes(scope)) {
+        return res.status(400).json({ error: `scope must be one of: ${pricingRules.RULE_SCOPES.join(', ')}.` });
+    }
+    const cityId = parseInt(req.query.cityId, 10) || null;
+    const masterProductId = parseInt(req.query.masterProductId, 10) || null;
+    try {
+        const result = await db.query(
+            `${PRICING_RULE_SELECT}
+             WHERE ($1::varchar IS NULL OR pr.scope = $1)
+               AND ($2::int IS NULL OR pr.city_id = $2)
+               AND ($3::int IS NULL OR pr.master_product_id = $3)
+             ORDER BY CASE pr.scope WHEN 'global' THEN 0 WHEN 'category' THEN 1 ELSE 2 END,
+                      pr.category NULLS FIRST, pr.master_product_id NULLS FIRST, pr.city_id NULLS FIRST;`,
+            [scope, cityId, masterProductId]
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('[ADMIN_PRICING_RULES] Error fetching pricing rules:', err);
+        res.status(500).json({ error: 'Failed to fetch pricing rules.' });
+    }
+});
+
+// POST - { scope, category?, masterProductId?, cityId?, highDemandThreshold, lowDemandThreshold, adjustmentStep,
+//   maxIncrease, maxDecrease, demandWindowDays?, isActive? }. Takes effect on the engine's next run.
+app.post('/api/admin/pricing-rules', authAdmin, async (req, res) => {
+    const { fields, error } = parsePricingRuleBody(req.body, true);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        const mergedIntoId = await findMergedIntoId(fields.master_product_id);
+        if (mergedIntoId) {
+            return res.status(409).json({ error: 'This master product was merged into another one.', mergedIntoId });
+        }
+        const columns = Object.keys(fields);
+        const insertResult = await db.query(
+            `INSERT INTO pricing_rules (${columns.join(', ')}) VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')}) RETURNING id;`,
+            Object.values(fields)
+        );
+        const ruleId = insertResult.rows[0].id;
+        const result = await db.query(`${PRICING_RULE_SELECT} WHERE pr.id = $1;`, [ruleId]);
+        console.log(`[ADMIN_PRICING_RULES] Pricing rule ${ruleId} (${fields.scope}) created by admin ${req.admin.adminId}`);
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        if (respondToPricingRuleSaveError(res, err)) return;
+        console.error('[ADMIN_PRICING_RULES] Error creating pricing rule:', err);
+        res.status(500).json({ error: 'Failed to create pricing rule.' });
+    }
+});
+
+// PUT - same fields as POST, all optional
+app.put('/api/admin/pricing-rules/:ruleId', authAdmin, async (req, res) => {
+    const ruleId = parseInt(req.params.ruleId, 10);
+    if (isNaN(ruleId)) {
+        return res.status(400).json({ error: 'Invalid pricing rule ID format.' });
+    }
+    try {
+        const existingResult = await db.query('SELECT * FROM pricing_rules WHERE id = $1', [ruleId]);
+        const existing = existingResult.rows[0];
+        if (!existing) {
+            return res.status(404).json({ error: 'Pricing rule not found.' });
+        }
+        const { fields, error } = parsePricingRuleBody(req.body, false, existing);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const updated = { ...existing, ...fields };
+        if (isFallbackPricingRule(existing) && (!isFallbackPricingRule(updated) || !updated.is_active)) {
+            return res.status(409).json({ error: 'The global rule for all cities is the fallback for every product. Change its values instead.' });
+        }
+        const mergedIntoId = await findMergedIntoId(updated.master_product_id);
+        if (mergedIntoId) {
+            return res.status(409).json({ error: 'This master product was merged into another one.', mergedIntoId });
+        }
+
+        const updateFields = { ...fields, updated_at: new Date() };
+        const setClauses = Object.keys(updateFields).map((key, index) => `${key} = $${index + 1}`).join(', ');
+        const values = [...Object.values(updateFields), ruleId];
+        await db.query(`UPDATE pricing_rules SET ${setClauses} WHERE id = $${values.length};`, values);
+        const result = await db.query(`${PRICING_RULE_SELECT} WHERE pr.id = $1;`, [ruleId]);
+        console.log(`[ADMIN_PRICING_RULES] Pricing rule ${ruleId} updated by admin ${req.admin.adminId}`);
+        res.json(result.rows[0]);
+    } catch (err) {
+        if (respondToPricingRuleSaveError(res, err)) return;
+        console.error(`[ADMIN_PRICING_RULES] Error updating pricing rule ${ruleId}:`, err);
+        res.status(500).json({ error: 'Failed to update pricing rule.' });
+    }
+});
+
+// DELETE - products it covered fall back to the next most specific rule on the engine's next run
+app.delete('/api/admin/pricing-rules/:ruleId', authAdmin, async (req, res) => {
+    const ruleId = parseInt(req.params.ruleId, 10);
+    if (isNaN(ruleId)) {
+        return res.status(400).json({ error: 'Invalid pricing rule ID format.' });
+    }
+    try {
+        const existingResult = await db.query('SELECT scope, city_id FROM pricing_rules WHERE id = $1', [ruleId]);
+        if (existingResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Pricing rule not found.' });
+        }
+        if (isFallbackPricingRule(existingResult.rows[0])) {
+            return res.status(409).json({ error: 'The global rule for all cities is the fallback for every product and cannot be deleted.' });
+        }
+        await db.query('DELETE FROM pricing_rules WHERE id = $1', [ruleId]);
+        console.log(`[ADMIN_PRICING_RULES] Pricing rule ${ruleId} deleted by admin ${req.admin.adminId}`);
+        res.status(200).json({ message: 'Pricing rule deleted successfully.', deletedRuleId: ruleId });
+    } catch (err) {
+        console.error(`[ADMIN_PRICING_RULES] Error deleting pricing rule ${ruleId}:`, err);
+        res.status(500).json({ error: 'Failed to delete pricing rule.' });
+    }
+});
+
+// POST - Dry run of the pricing engine: what it would set for every master product, without writing anything.
+// Body (all optional): { candidateRule: { highDemandThreshold, lowDemandThreshold, adjustmentStep, maxIncrease,
+//   maxDecrease } (replaces those values in every product's rule), demandWindowDays, cityId, masterProductIds,
+//   from, to, stepHours (replay the engine every stepHours, default 6, between two past dates) }
+const MAX_SIMULATION_STEPS = 1000;
+app.post('/api/admin/pricing-engine/simulate', authAdmin, async (req, res) => {
+    const body = req.body || {};
+    const { fields, error } = parsePricingRuleBody({ ...(body.candidateRule || {}), demandWindowDays: body.demandWindowDays }, false);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const candidateRule = {};
+    pricingEngine.CANDIDATE_RULE_FIELDS.forEach(field => {
+        if (fields[field] !== undefined) candidateRule[field] = fields[field];
+    });
+
+    const cityId = body.cityId !== undefined && body.cityId !== null ? parseInt(body.cityId, 10) : null;
+    if (Number.isNaN(cityId)) {
+        return res.status(400).json({ error: 'Invalid cityId.' });
+    }
+    let masterProductIds = null;
+    if (body.masterProductIds !== undefined) {
+        if (!Array.isArray(body.masterProductIds) || body.masterProductIds.some(id => isNaN(parseInt(id, 10)))) {
+            return res.status(400).json({ error: 'masterProductIds must be an array of master product IDs.' });
+        }
+        masterProductIds = body.masterProductIds.map(id => parseInt(id, 10));
+    }
+
+    let from = null;
+    let to = null;
+    const stepHours = body.stepHours !== undefined ? parseFloat(body.stepHours) : 6;
+    if (body.from !== undefined || body.to !== undefined) {
+        from = new Date(body.from);
+        to = body.to !== undefined ? new Date(body.to) : new Date();
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to || to > new Date()) {
+            return res.status(400).json({ error: 'from and to must be valid past dates with from before to.' });
+        }
+        if (isNaN(stepHours) || stepHours <= 0) {
+            return res.status(400).json({ error: 'stepHours must be a positive number.' });
+        }
+        if ((to - from) / (stepHours * 3600 * 1000) > MAX_SIMULATION_STEPS) {
+            return res.status(400).json({ error: `A replay can have at most ${MAX_SIMULATION_STEPS} steps; shorten the range or increase stepHours.` });
+        }
+    }
+
+    const client = await db.pool.connect();
+    try {
+        // Read only, so a simulation can never change prices
+        await client.query('BEGIN TRANSACTION READ ONLY');
+        const products = await pricingEngine.simulateAdjustments(client, {
+            candidateRule, cityId, masterProductIds, from, to, stepHours
+        });
+        await client.query('COMMIT');
+
+        const simulated = products.filter(product => !product.skipped);
+        const finalAdjustment = (product) => (from ? product.final_adjustment : product.proposed_adjustment);
+        const startAdjustment = (product) => (from ? product.start_adjustment : product.current_adjustment);
+        console.log(`[ADMIN_PRICING_ENGINE] Admin ${req.admin.adminId} simulated ${from ? 'a replay' : 'a dry run'} for ${products.length} master products`);
+        res.json({
+            mode: from ? 'replay' : 'dry_run',
+            from, to, stepHours: from ? stepHours : null, cityId, candidateRule,
+            summary: {
+                products: products.length,
+                skipped: products.length - simulated.length,
+                increased: simulated.filter(product => finalAdjustment(product) > startAdjustment(product)).length,
+                decreased: simulated.filter(product => finalAdjustment(product) < startAdjustment(product)).length,
+                unchanged: simulated.filter(product => finalAdjustment(product) === startAdjustment(product)).length
+            },
+            products
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('[ADMIN_PRICING_ENGINE] Error simulating pricing engine:', err);
+        res.status(500).json({ error: 'Failed to simulate the pricing engine.' });
+    } finally {
+        client.release();
+    }
+});
+
+// GET pricing engine runs, newest first (?page=, ?limit=, optional ?status=)
+app.get('/api/admin/pricing-engine/runs', authAdmin, async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const status = req.query.status || null;
+    try {
+        const [runsResult, countResult] = await Promise.all([
+            db.query(
+                `SELECT * FROM pricing_engine_runs
+                 WHERE ($1::varchar IS NULL OR status = $1)
+                 ORDER BY started_at DESC, id DESC
+                 LIMIT $2 OFFSET $3;`,
+                [status, limit, (page - 1) * limit]
+            ),
+            db.query('SELECT COUNT(*) AS total FROM pricing_engine_runs WHERE ($1::varchar IS NULL OR status = $1);', [status])
+        ]);
+        const totalItems = parseInt(countResult.rows[0].total, 10);
+        res.json({
+            items: runsResult.rows,
+            currentPage: page,
+            totalPages: Math.ceil(totalItems / limit),
+            totalItems
+        });
+    } catch (err) {
+        console.error('[ADMIN_PRICING_ENGINE] Error fetching pricing engine runs:', err);
+        res.status(500).json({ error: 'Failed to fetch pricing engine runs.' });
+    }
+});
+
+// GET one pricing engine run
+app.get('/api/admin/pricing-engine/runs/:runId', authAdmin, async (req, res) => {
+    const runId = parseInt(req.params.runId, 10);
+    if (isNaN(runId)) {
+        return res.status(400).json({ error: 'Invalid run ID format.' });
+    }
+    try {
+        const result = await db.query('SELECT * FROM pricing_engine_runs WHERE id = $1', [runId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Pricing engine run not found.' });
+        }
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error(`[ADMIN_PRICING_ENGINE] Error fetching pricing engine run ${runId}:`, err);
+        res.status(500).json({ error: 'Failed to fetch pricing engine run.' });
+    }
+});
+
+// --- ADMIN PRICE LOCKS / MANUAL OVERRIDES ---
+// A locked master product keeps its adjustment until it is unlocked or the lock expires (services/priceLocks.js);
+// the pricing engine skips it. An override also sets the adjustment and restores the previous one when it ends.
+
+// GET all currently locked master products
+app.get('/api/admin/price-locks', authAdmin, async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT id, display_name, category, current_price_adjustment_percentage, price_lock_expires_at,
+                    price_lock_reason, price_locked_by_admin_id, price_locked_at, adjustment_before_override
+             FROM master_products
+             WHERE price_locked
+             ORDER BY price_lock_expires_at NULLS LAST, id;`
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('[ADMIN_PRICE_LOCKS] Error fetching price locks:', err);
+        res.status(500).json({ error: 'Failed to fetch price locks.' });
+    }
+});
+
+// Shared by the lock and override routes: { expiresAt?, reason? } -> { expiresAt, reason } or { error }
+const parsePriceLockBody = (body) => {
+    let expiresAt = null;
+    if (body.expiresAt !== undefined && body.expiresAt !== null) {
+        expiresAt = new Date(body.expiresAt);
+        if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+            return { error: 'expiresAt must be a valid future date (or null for no expiry).' };
+        }
+    }
+    const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim() : null;
+    return { expiresAt, reason };
+};
+
+// Locks (adjustment === null) or overrides a master product's price adjustment and sends the response
+const applyPriceLock = async (req, res, adjustment) => {
+    const masterProductId = parseInt(req.params.masterProductId, 10);
+    if (isNaN(masterProductId)) {
+        return res.status(400).json({ error: 'Invalid master product ID format.' });
+    }
+    const { expiresAt, reason, error } = parsePriceLockBody(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const masterProduct = await priceLocks.lockPrice(client, masterProductId, {
+            adjustment, expiresAt, reason, adminId: req.admin.adminId
+        });
+        if (!masterProduct) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Master product not found.' });
+        }
+        if (masterProduct.merged_into_id !== null) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'This master product was merged into another one.', mergedIntoId: masterProduct.merged_into_id });
+        }
+        await client.query('COMMIT');
+        res.json(masterProduct);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`[ADMIN_PRICE_LOCKS] Error locking price of master product ${masterProductId}:`, err);
+        res.status(500).json({ error: 'Failed to lock the price.' });
+    } finally {
+        client.release();
+    }
+};
+
+// PUT - Manual override: { adjustmentPercentage (fraction, e.g. -0.1 for -10%), expiresAt?, reason? }
+app.put('/api/admin/master-products/:masterProductId/price-override', authAdmin, async (req, res) => {
+    const adjustment = parseFloat((req.body || {}).adjustmentPercentage);
+    if (isNaN(adjustment) || adjustment <= -1 || adjustment > 1) {
+        return res.status(400).json({ error: 'adjustmentPercentage must be a fraction above -1 and at most 1 (e.g. -0.1 for -10%).' });
+    }
+    await applyPriceLock(req, res, parseFloat(adjustment.toFixed(4)));
+});
+
+// PUT - Lock the current adjustment: { expiresAt?, reason? }
+app.put('/api/admin/master-products/:masterProductId/price-lock', authAdmin, async (req, res) => {
+    await applyPriceLock(req, res, null);
+});
+
+// DELETE - Unlock (ends an override and restores the adjustment from before it)
+app.delete('/api/admin/master-products/:masterProductId/price-lock', authAdmin, async (req, res) => {
+    const masterProductId = parseInt(req.params.masterProductId, 10);
+    if (isNaN(masterProductId)) {
+        return res.status(400).json({ error: 'Invalid master product ID format.' });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const existing = await client.query('SELECT price_locked FROM master_products WHERE id = $1', [masterProductId]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Master product not found.' });
+        }
+        if (!existing.rows[0].price_locked) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'This master product is not locked.' });
+        }
+        const masterProduct = await priceLocks.unlockPrice(client, masterProductId, {
+            actor: { type: 'admin', id: req.admin.adminId }
+        });
+        await client.query('COMMIT');
+        res.json(masterProduct);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`[ADMIN_PRICE_LOCKS] Error unlocking price of master product ${masterProductId}:`, err);
+        res.status(500).json({ error: 'Failed to unlock the price.' });
+    } finally {
+        client.release();
+    }
+});
+
+// GET - Price timeline of any product (supplier price changes + pricing engine adjustments of its master product).
+// Optional ?cityId= limits city-specific adjustments to that city; ?limit= (default 200, max 1000).
+app.get('/api/admin/products/:productId/price-history', authAdmin, async (req, res) => {
+    const productId = parseInt(req.params.productId, 10);
+    if (isNaN(productId)) {
+        return res.status(400).json({ error: 'Invalid Product ID.' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    try {
+        const productResult = await db.query(
+            `SELECT p.id, p.name, p.supplier_id, s.name AS supplier_name, p.master_product_id,
+                    p.price, p.discount_price, p.is_on_sale
+             FROM products p
+             LEFT JOIN suppliers s ON p.supplier_id = s.id
+             WHERE p.id = $1`,
+            [productId]
+        );
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Product not found.' });
         }
-        
-        console.log(`[SUPPLIER_DEALS] Deal ID ${parsedDealId} deleted by supplier ${supplierId}`);
-        res.status(200).json({ message: 'Deal deleted successfully', deletedDealId: parsedDealId });
-
+        const product = productResult.rows[0];
+        const history = await priceHistory.getProductPriceTimeline(db, {
+            productId, masterProductId: product.master_product_id, cityId: parseInt(req.query.cityId, 10) || null, limit
+        });
+        res.json({ product, history });
     } catch (err) {
-        console.error(`[SUPPLIER_DEALS] Error deleting deal ${dealId} for supplier ${supplierId}:`, err);
-        // Check for foreign key constraints if deals are referenced elsewhere (e.g., featured_items)
-        if (err.code === '23503') { // Foreign key violation
-             return res.status(409).json({ error: 'Cannot delete this deal as it is currently featured or referenced elsewhere. Please remove it from features first.' });
-        }
-        res.status(500).json({ error: 'Failed to delete deal.' });
+        console.error(`[ADMIN_PRICE_HISTORY] Error fetching price history of product ${productId}:`, err);
+        res.status(500).json({ error: 'Failed to fetch price history.' });
     }
 });
 
@@ -3030,10 +5001,14 @@ app.get('/api/supplier/delivery-agents', authSupplier, async (req, res) => {
 
     try {
         const query = `
-            SELECT id, full_name, phone_number, email, telegram_user_id, is_active, created_at 
-            FROM delivery_agents
-            WHERE supplier_id = $1
-            ORDER BY created_at DESC;
+            SELECT 
+                da.id, da.full_name, da.phone_number, da.email, da.telegram_user_id, da.is_active, da.created_at,
+                COALESCE(ARRAY_AGG(dac.city_id) FILTER (WHERE dac.city_id IS NOT NULL), '{}') AS city_ids -- Empty = covers all cities
+            FROM delivery_agents da
+            LEFT JOIN delivery_agent_cities dac ON dac.delivery_agent_id = da.id
+            WHERE da.supplier_id = $1
+            GROUP BY da.id
+            ORDER BY da.created_at DESC;
             -- LIMIT $2 OFFSET $3; -- For pagination
         `;
         // const result = await db.query(query, [supplierId, limit, offset]);
@@ -3211,6 +5186,216 @@ app.put('/api/supplier/delivery-agents/:agentId/toggle-active', authSupplier, as
         res.status(500).json({ error: 'Failed to update agent status.' });
     }
 });
+// PUT - Supplier sets the cities a delivery agent covers, e.g. { "cityIds": [1, 3] }. An empty list means all cities.
+app.put('/api/supplier/delivery-agents/:agentId/cities', authSupplier, async (req, res) => {
+    const supplierId = req.supplier.supplierId;
+    const parsedAgentId = parseInt(req.params.agentId, 10);
+    const { cityIds } = req.body;
+
+    if (isNaN(parsedAgentId)) {
+        return res.status(400).json({ error: 'Invalid Delivery Agent ID format.' });
+    }
+    if (!Array.isArray(cityIds) || cityIds.some(id => isNaN(parseInt(id, 10)))) {
+        return res.status(400).json({ error: 'cityIds must be an array of city IDs.' });
+    }
+    const parsedCityIds = [...new Set(cityIds.map(id => parseInt(id, 10)))];
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const agentCheckResult = await client.query(
+            'SELECT id FROM delivery_agents WHERE id = $1 AND supplier_id = $2',
+            [parsedAgentId, supplierId]
+        );
+        if (agentCheckResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Delivery agent not found or you do not have permission to modify it.' });
+        }
+
+        await client.query('DELETE FROM delivery_agent_cities WHERE delivery_agent_id = $1', [parsedAgentId]);
+        if (parsedCityIds.length > 0) {
+            await client.query(
+                'INSERT INTO delivery_agent_cities (delivery_agent_id, city_id) SELECT $1, UNNEST($2::int[])',
+                [parsedAgentId, parsedCityIds]
+            );
+        }
+        await client.query('COMMIT');
+
+        console.log(`[DELIVERY_AGENT_MGMT] Agent ID ${parsedAgentId} now covers cities [${parsedCityIds.join(', ')}] (supplier ${supplierId})`);
+        res.status(200).json({ agentId: parsedAgentId, cityIds: parsedCityIds });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`[DELIVERY_AGENT_MGMT] Error setting cities for agent ${parsedAgentId} by supplier ${supplierId}:`, err);
+        if (err.code === '23503') {
+            return res.status(400).json({ error: 'One or more city IDs do not exist.' });
+        }
+        res.status(500).json({ error: 'Failed to update agent cities.' });
+    } finally {
+        client.release();
+    }
+});
+
+// --- SUPPLIER ASSIGNMENT OF ORDER ITEMS TO DELIVERY AGENTS ---
+
+// Locks and returns this supplier's order items (with the city they ship to), or null if any item isn't theirs.
+const loadSupplierItemsForAssignment = async (client, supplierId, orderItemIds) => {
+    const result = await client.query(
+        `SELECT oi.id, oi.order_id, oi.supplier_item_status, oi.delivery_item_status, o.shipping_city_id AS city_id
+         FROM order_items oi
+         JOIN products p ON oi.product_id = p.id
+         JOIN orders o ON oi.order_id = o.id
+         WHERE oi.id = ANY($1::int[]) AND p.supplier_id = $2
+         ORDER BY oi.id
+         FOR UPDATE OF oi;`,
+        [orderItemIds, supplierId]
+    );
+    return result.rows.length === orderItemIds.length ? result.rows : null;
+};
+
+// PUT - Supplier assigns (or reassigns) one or many of their order items to one of their active agents.
+// Body: { "orderItemIds": [12, 13], "agentId": 4 }
+app.put('/api/supplier/order-items/assign', authSupplier, async (req, res) => {
+    const supplierId = req.supplier.supplierId;
+    const { orderItemIds, agentId } = req.body;
+    const parsedAgentId = parseInt(agentId, 10);
+
+    if (!Array.isArray(orderItemIds) || orderItemIds.length === 0 || orderItemIds.some(id => isNaN(parseInt(id, 10)))) {
+        return res.status(400).json({ error: 'orderItemIds must be a non-empty array of order item IDs.' });
+    }
+    if (isNaN(parsedAgentId)) {
+        return res.status(400).json({ error: 'A valid agentId is required.' });
+    }
+    const parsedOrderItemIds = [...new Set(orderItemIds.map(id => parseInt(id, 10)))];
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const agents = await deliveryAssignment.loadAssignableAgents(client, supplierId);
+        const agent = agents.find(a => a.id === parsedAgentId);
+        if (!agent) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Delivery agent not found, inactive, or not one of your agents.' });
+        }
+
+        const items = await loadSupplierItemsForAssignment(client, supplierId, parsedOrderItemIds);
+        if (!items) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'One or more order items were not found or do not belong to you.' });
+        }
+
+        const uncoveredItems = items.filter(item => !deliveryAssignment.agentCoversCity(agent, item.city_id));
+        if (uncoveredItems.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: `Agent ${agent.full_name} does not cover the delivery city of some items.`,
+                orderItemIds: uncoveredItems.map(item => item.id)
+            });
+        }
+
+        const updatedItems = [];
+        for (const item of items) {
+            updatedItems.push(await orderStateMachine.assignOrderItemToAgent(client, {
+                orderItemId: item.id,
+                deliveryAgentId: parsedAgentId,
+                actor: { type: 'supplier', id: supplierId }
+            }));
+        }
+        await client.query('COMMIT');
+
+        console.log(`[SUPPLIER_ASSIGN] Supplier ${supplierId} assigned items [${parsedOrderItemIds.join(', ')}] to agent ${parsedAgentId}`);
+        res.status(200).json({ items: updatedItems });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (orderStateMachine.respondToTransitionError(res, err)) return;
+        console.error(`[SUPPLIER_ASSIGN] Error assigning items for supplier ${supplierId}:`, err);
+        res.status(500).json({ error: 'Failed to assign order items.' });
+    } finally {
+        client.release();
+    }
+});
+
+// POST - Supplier auto-assigns items to their active agents, balancing open tasks and respecting agent cities.
+// Body: { "orderItemIds": [12, 13] } or {} for every accepted item of theirs still waiting for an agent.
+app.post('/api/supplier/order-items/auto-assign', authSupplier, async (req, res) => {
+    const supplierId = req.supplier.supplierId;
+    const { orderItemIds } = req.body;
+
+    if (orderItemIds !== undefined && (!Array.isArray(orderItemIds) || orderItemIds.some(id => isNaN(parseInt(id, 10))))) {
+        return res.status(400).json({ error: 'orderItemIds must be an array of order item IDs if provided.' });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        let targetItemIds;
+        if (orderItemIds && orderItemIds.length > 0) {
+            targetItemIds = [...new Set(orderItemIds.map(id => parseInt(id, 10)))];
+        } else {
+            const waitingResult = await client.query(
+                `SELECT oi.id FROM order_items oi
+                 JOIN products p ON oi.product_id = p.id
+                 WHERE p.supplier_id = $1
+                   AND oi.delivery_item_status = 'pending_assignment'
+                   AND oi.supplier_item_status IN ('confirmed', 'preparing', 'ready_for_pickup')
+                 ORDER BY oi.id;`,
+                [supplierId]
+            );
+            targetItemIds = waitingResult.rows.map(row => row.id);
+        }
+
+        if (targetItemIds.length === 0) {
+            await client.query('COMMIT');
+            return res.status(200).json({ assigned: [], unassigned: [] });
+        }
+
+        const items = await loadSupplierItemsForAssignment(client, supplierId, targetItemIds);
+        if (!items) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'One or more order items were not found or do not belong to you.' });
+        }
+
+        const agents = await deliveryAssignment.loadAssignableAgents(client, supplierId);
+        if (agents.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'You have no active delivery agents to assign items to.' });
+        }
+
+        const assigned = [];
+        const unassigned = [];
+        for (const item of items) {
+            const agent = deliveryAssignment.pickAgentForCity(agents, item.city_id);
+            if (!agent) {
+                unassigned.push({ orderItemId: item.id, reason: 'No active agent covers this delivery city.' });
+                continue;
+            }
+            const updatedItem = await orderStateMachine.assignOrderItemToAgent(client, {
+                orderItemId: item.id,
+                deliveryAgentId: agent.id,
+                actor: { type: 'supplier', id: supplierId },
+                note: `Auto-assigned to delivery agent ${agent.id}.`
+            });
+            assigned.push({ orderItemId: item.id, agentId: agent.id, agentName: agent.full_name, item: updatedItem });
+        }
+        await client.query('COMMIT');
+
+        console.log(`[SUPPLIER_ASSIGN] Supplier ${supplierId} auto-assigned ${assigned.length} items, ${unassigned.length} left unassigned`);
+        res.status(200).json({ assigned, unassigned });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (orderStateMachine.respondToTransitionError(res, err)) return;
+        console.error(`[SUPPLIER_ASSIGN] Error auto-assigning items for supplier ${supplierId}:`, err);
+        res.status(500).json({ error: 'Failed to auto-assign order items.' });
+    } finally {
+        client.release();
+    }
+});
+
 // TODO LATER for Supplier Panel:
 // PUT /api/supplier/delivery-agents/:agentId (authSupplier) - Update an agent's details (name, phone, email, is_active)
 // DELETE /api/supplier/delivery-agents/:agentId (authSupplier) - Delete an agent
@@ -3333,17 +5518,20 @@ app.get('/api/delivery/assigned-items', authDeliveryAgent, async (req, res) => {
             SELECT 
                 oi.id AS order_item_id, oi.quantity, oi.price_at_time_of_order,
                 oi.delivery_item_status, oi.delivery_notes, oi.item_payment_collected, oi.item_delivered_at,
+                oi.supplier_item_status, oi.cancellation_reason, oi.cancelled_at,
                 p.name AS product_name, p.image_url AS product_image_url, p.description AS product_description,
-                o.id AS order_id, o.order_date, o.delivery_status AS overall_order_delivery_status,
-                up.full_name AS customer_name, up.phone_number AS customer_phone,
-                up.address_line1 AS customer_address1, up.address_line2 AS customer_address2, up.city AS customer_city,
+                o.id AS order_id, o.order_date, o.status AS order_status, o.delivery_status AS overall_order_delivery_status,
+                -- Address snapshot taken at checkout, not the customer's current profile
+                o.shipping_full_name AS customer_name, o.shipping_phone_number AS customer_phone,
+                o.shipping_address_line1 AS customer_address1, o.shipping_address_line2 AS customer_address2,
+                o.shipping_city AS customer_city,
                 (oi.quantity * oi.price_at_time_of_order) AS item_total_value 
             FROM order_items oi
             JOIN products p ON oi.product_id = p.id
             JOIN orders o ON oi.order_id = o.id
-            JOIN user_profiles up ON o.user_id = up.user_id
             WHERE oi.assigned_delivery_agent_id = $1
               AND oi.delivery_item_status = ANY($2::varchar[]) -- Use ANY for array of statuses
+              AND COALESCE(oi.supplier_item_status, 'pending') NOT IN ('rejected', 'cancelled') -- Cancelled items drop out of the agent's list
             ORDER BY 
                 -- Custom sort to prioritize actionable items, then by date
                 CASE oi.delivery_item_status
@@ -3366,7 +5554,8 @@ app.get('/api/delivery/assigned-items', authDeliveryAgent, async (req, res) => {
             SELECT COUNT(*) AS total_items
             FROM order_items oi
             WHERE oi.assigned_delivery_agent_id = $1
-              AND oi.delivery_item_status = ANY($2::varchar[]);
+              AND oi.delivery_item_status = ANY($2::varchar[])
+              AND COALESCE(oi.supplier_item_status, 'pending') NOT IN ('rejected', 'cancelled');
         `;
         const countResult = await db.query(countQuery, [deliveryAgentId, targetStatuses]);
         const totalItems = parseInt(countResult.rows[0].total_items, 10);
@@ -3417,101 +5606,160 @@ app.put('/api/delivery/order-items/:orderItemId/status', authDeliveryAgent, asyn
             client.release();
             return res.status(403).json({ error: 'Order item not found or not assigned to you.' });
         }
-        
-        const order_id = checkResult.rows[0].order_id; // Get order_id for potential overall status update
-
-        // Update the order item
-        let updateQuery = 'UPDATE order_items SET delivery_item_status = $1';
-        const queryParams = [newStatus];
-        let paramCount = 1;
-
-        if (notes !== undefined) {
-            updateQuery += `, delivery_notes = $${++paramCount}`;
-            queryParams.push(notes);
-        }
-        if (paymentCollected !== undefined) {
-            updateQuery += `, item_payment_collected = $${++paramCount}`;
-            queryParams.push(Boolean(paymentCollected));
-        }
-        if (newStatus === 'delivered') {
-            updateQuery += `, item_delivered_at = NOW()`; // Set delivery timestamp
-        }
-        
-        updateQuery += ` WHERE id = $${++paramCount} RETURNING *;`;
-        queryParams.push(parsedOrderItemId);
 
-        const result = await client.query(updateQuery, queryParams);
-
-        // TODO LATER: After item status update, check if all items in the order (or all items from this supplier in the order)
-        // have reached a final status, and if so, update the main orders.delivery_status.
-        // This can be complex if an order has items from multiple suppliers.
-        // For now, we just update the item.
+        // Notes and payment flag are written together with the status change
+        const extraFields = {};
+        if (notes !== undefined) extraFields.delivery_notes = notes;
+        if (paymentCollected !== undefined) extraFields.item_payment_collected = Boolean(paymentCollected);
+
+        // Validates the transition, records it in order_status_history and keeps orders.status / orders.delivery_status in sync
+        const updatedItem = await orderStateMachine.transitionOrderItem(client, {
+            orderItemId: parsedOrderItemId,
+            statusField: 'delivery_item_status',
+            toStatus: newStatus,
+            actor: { type: 'delivery_agent', id: deliveryAgentId },
+            note: notes || null,
+            extraFields
+        });
 
         await client.query('COMMIT');
         console.log(`[DELIVERY_APP] Item ${parsedOrderItemId} status updated to ${newStatus} by agent ${deliveryAgentId}`);
-        res.status(200).json(result.rows[0]);
+        res.status(200).json(updatedItem);
 
     } catch (err) {
         if (client) await client.query('ROLLBACK');
+        if (orderStateMachine.respondToTransitionError(res, err)) return;
         console.error(`[DELIVERY_APP] Error updating status for item ${parsedOrderItemId}:`, err);
         res.status(500).json({ error: 'Failed to update item status.' });
     } finally {
         if (client) client.release();
     }
 });
-// ... (app.listen) ...
-app.post('/api/auth/delivery/verify-telegram', async (req, res) => {
-    const { initData } = req.body;
 
-    if (!initData) {
-        return res.status(400).json({ error: 'initData is required.' });
+// --- ADMIN ORDER STATUS MANAGEMENT ---
+// All status changes go through services/orderStateMachine.js; illegal transitions are rejected with 409.
+
+// PUT - Admin cancels an order, e.g. { "newStatus": "cancelled", "note": "Customer called support" }.
+// Cancelling is the only order-level change: every other order status follows from its items, which admins move
+// with PUT /api/admin/order-items/:orderItemId/status (so e.g. returned items get their stock back).
+app.put('/api/admin/orders/:orderId/status', authAdmin, async (req, res) => {
+    const parsedOrderId = parseInt(req.params.orderId, 10);
+    const { newStatus, note } = req.body;
+
+    if (isNaN(parsedOrderId)) {
+        return res.status(400).json({ error: 'Invalid Order ID.' });
+    }
+    if (newStatus !== 'cancelled') {
+        return res.status(400).json({
+            error: "newStatus must be 'cancelled'. Other order statuses follow from the items; change those with PUT /api/admin/order-items/:orderItemId/status."
+        });
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const updatedOrder = await orderStateMachine.cancelOrder(client, {
+            orderId: parsedOrderId,
+            actor: { type: 'admin', id: req.admin.adminId },
+            note: note || null
+        });
+        await client.query('COMMIT');
+
+        console.log(`[ADMIN_ORDERS] Order ${parsedOrderId} moved to ${newStatus} by admin ${req.admin.adminId}`);
+        res.status(200).json(updatedOrder);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (orderStateMachine.respondToTransitionError(res, err)) return;
+        console.error(`[ADMIN_ORDERS] Error updating status for order ${parsedOrderId}:`, err);
+        res.status(500).json({ error: 'Failed to update order status.' });
+    } finally {
+        client.release();
     }
+});
 
-    // --- 1. Validate initData ---
-    // (Refer to Telegram's documentation for the most up-to-date validation method)
-    // The general idea is to check the hash parameter against a calculated hash.
-    const params = new URLSearchParams(initData);
-    const hash = params.get('hash');
-    params.delete('hash'); // Remove hash from params before sorting and stringifying
+// PUT - Admin moves one order item, e.g. { "statusField": "delivery_item_status", "newStatus": "returned", "note": "..." }
+app.put('/api/admin/order-items/:orderItemId/status', authAdmin, async (req, res) => {
+    const parsedOrderItemId = parseInt(req.params.orderItemId, 10);
+    const { statusField, newStatus, note } = req.body;
 
-    // Sort parameters alphabetically by key
-    const sortedParams = Array.from(params.entries()).sort((a, b) => a[0].localeCompare(b[0]));
-    const dataCheckString = sortedParams.map(([key, value]) => `${key}=${value}`).join('\n');
+    const allowedTransitionsByField = {
+        supplier_item_status: orderStateMachine.SUPPLIER_ITEM_TRANSITIONS,
+        delivery_item_status: orderStateMachine.DELIVERY_ITEM_TRANSITIONS
+    };
 
-    if (!process.env.TELEGRAM_BOT_TOKEN) {
-        console.error("[VERIFY_TG_AUTH] TELEGRAM_BOT_TOKEN is not set in .env!");
-        return res.status(500).json({ error: "Server configuration error." });
+    if (isNaN(parsedOrderItemId)) {
+        return res.status(400).json({ error: 'Invalid Order Item ID.' });
+    }
+    if (!allowedTransitionsByField[statusField]) {
+        return res.status(400).json({ error: 'statusField must be supplier_item_status or delivery_item_status.' });
+    }
+    if (!newStatus || !Object.keys(allowedTransitionsByField[statusField]).includes(newStatus)) {
+        return res.status(400).json({ error: `Invalid new status. Must be one of: ${Object.keys(allowedTransitionsByField[statusField]).join(', ')}` });
     }
 
-    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(process.env.TELEGRAM_BOT_TOKEN).digest();
-    const calculatedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const updatedItem = await orderStateMachine.transitionOrderItem(client, {
+            orderItemId: parsedOrderItemId,
+            statusField,
+            toStatus: newStatus,
+            actor: { type: 'admin', id: req.admin.adminId },
+            note: note || null
+        });
+        await client.query('COMMIT');
 
-    if (calculatedHash !== hash) {
-        console.warn("[VERIFY_TG_AUTH] initData hash validation failed.", { receivedHash: hash, calculatedHash });
-        return res.status(403).json({ error: 'Invalid initData: Hash mismatch.' });
+        console.log(`[ADMIN_ORDERS] Item ${parsedOrderItemId} ${statusField} moved to ${newStatus} by admin ${req.admin.adminId}`);
+        res.status(200).json(updatedItem);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (orderStateMachine.respondToTransitionError(res, err)) return;
+        console.error(`[ADMIN_ORDERS] Error updating status for order item ${parsedOrderItemId}:`, err);
+        res.status(500).json({ error: 'Failed to update order item status.' });
+    } finally {
+        client.release();
     }
-    console.log("[VERIFY_TG_AUTH] initData hash validated successfully.");
+});
+
+// GET - Full status history of an order (order-level and item-level transitions, oldest first)
+app.get('/api/admin/orders/:orderId/status-history', authAdmin, async (req, res) => {
+    const parsedOrderId = parseInt(req.params.orderId, 10);
 
-    // --- 2. Extract User Information ---
-    const userParam = params.get('user');
-    if (!userParam) {
-        return res.status(400).json({ error: 'User data not found in initData.' });
+    if (isNaN(parsedOrderId)) {
+        return res.status(400).json({ error: 'Invalid Order ID.' });
     }
 
-    let telegramUser;
     try {
-        telegramUser = JSON.parse(userParam);
-    } catch (e) {
-        return res.status(400).json({ error: 'Invalid user data format in initData.' });
+        const query = `
+            SELECT id, order_id, order_item_id, status_field, from_status, to_status, actor_type, actor_id, note, created_at
+            FROM order_status_history
+            WHERE order_id = $1
+            ORDER BY created_at ASC, id ASC;
+        `;
+        const result = await db.query(query, [parsedOrderId]);
+        res.json({ items: result.rows });
+    } catch (err) {
+        console.error(`[ADMIN_ORDERS] Error fetching status history for order ${parsedOrderId}:`, err);
+        res.status(500).json({ error: 'Failed to fetch order status history.' });
+    }
+});
+
+app.post('/api/auth/delivery/verify-telegram', async (req, res) => {
+    const { initData } = req.body;
+
+    if (!initData) {
+        return res.status(400).json({ error: 'initData is required.' });
     }
 
-    if (!telegramUser || !telegramUser.id) {
-        return res.status(400).json({ error: 'Telegram User ID not found.' });
+    // --- 1. Validate initData & extract user information ---
+    const verification = verifyTelegramInitData(initData);
+    if (verification.error) {
+        return res.status(verification.status).json({ error: verification.error });
     }
-    const telegramUserId = telegramUser.id;
-    console.log(`[VERIFY_TG_AUTH] Attempting login for Telegram User ID: ${telegramUserId}`);
+    const telegramUserId = verification.telegramUser.id;
+    console.log(`[VERIFY_TG_AUTH] initData validated. Attempting login for Telegram User ID: ${telegramUserId}`);
 
-    // --- 3. Find Delivery Agent by Telegram User ID & Check Statuses ---
+    // --- 2. Find Delivery Agent by Telegram User ID & Check Statuses ---
     try {
         const agentQuery = `
             SELECT 
@@ -3537,7 +5785,7 @@ app.post('/api/auth/delivery/verify-telegram', async (req, res) => {
             return res.status(403).json({ error: 'Your employing supplier account is inactive. Please contact them.' });
         }
 
-        // --- 4. Generate JWT ---
+        // --- 3. Generate JWT ---
         const tokenPayload = {
             deliveryAgentId: agent.id,
             supplierId: agent.supplier_id,
@@ -3566,11 +5814,49 @@ app.post('/api/auth/delivery/verify-telegram', async (req, res) => {
     }
 });
 
+// --- CUSTOMER AUTHENTICATION ---
+// The Mini App sends its Telegram initData; we validate it and issue a customer JWT.
+// All customer routes (cart, orders, profile, favorites) take the user from this token via authCustomer.
+app.post('/api/auth/customer/verify-telegram', async (req, res) => {
+    const verification = verifyTelegramInitData(req.body.initData);
+    if (verification.error) {
+        return res.status(verification.status).json({ error: verification.error });
+    }
+
+    const telegramUser = verification.telegramUser;
+    const fullName = [telegramUser.first_name, telegramUser.last_name].filter(Boolean).join(' ');
+
+    try {
+        const tokenPayload = {
+            userId: telegramUser.id, // user_id in cart_items, orders, user_profiles, user_favorites is the Telegram user id
+            name: fullName || telegramUser.username || null,
+            role: 'customer'
+        };
+        const token = jwt.sign(tokenPayload, process.env.JWT_CUSTOMER_SECRET, { expiresIn: '7d' });
+
+        console.log(`[CUSTOMER_AUTH] Issued customer token for Telegram User ID: ${telegramUser.id}`);
+        res.json({
+            message: 'Telegram login successful.',
+            token,
+            user: {
+                id: telegramUser.id,
+                name: tokenPayload.name,
+                username: telegramUser.username || null,
+                languageCode: telegramUser.language_code || null
+            }
+        });
+    } catch (err) {
+        console.error('[CUSTOMER_AUTH] JWT error:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
 // Add this new route to your backend server file (e.g., server.js)
 
 app.get('/api/favorites/product-details/:productId', async (req, res) => {
     const { productId } = req.params;
     const parsedProductId = parseInt(productId, 10);
+    const cityId = parseInt(req.query.cityId, 10) || null; // Optional: prices in that city
 
     if (isNaN(parsedProductId)) {
         return res.status(400).json({ error: 'Invalid Product ID.' });
@@ -3582,20 +5868,20 @@ app.get('/api/favorites/product-details/:productId', async (req, res) => {
         // Step 1: Fetch the originally favorited product to get its details, supplier status, and master_product_id.
         const originalProductQuery = `
             SELECT 
-                p.id, p.name, p.description, p.price AS supplier_base_price, 
-                p.discount_price AS supplier_discount_price, p.is_on_sale AS supplier_is_on_sale,
+                p.id, p.name, p.description,
                 p.category, p.image_url, p.stock_level, p.supplier_id, p.master_product_id,
                 s.name as supplier_name,
                 s.is_active as supplier_is_active, -- This is the key field!
-                COALESCE(mp.current_price_adjustment_percentage, 0.0000) AS price_adjustment_percentage,
+                p.linking_status,
+                ${pricing.PRICE_COLUMNS},
                 mp.display_name AS master_product_display_name,
                 mp.image_url AS master_product_image_url
             FROM products p
             JOIN suppliers s ON p.supplier_id = s.id
-            LEFT JOIN master_products mp ON p.master_product_id = mp.id
+            ${pricing.priceJoins('$2::int')}
             WHERE p.id = $1;
         `;
-        const originalProductResult = await db.query(originalProductQuery, [parsedProductId]);
+        const originalProductResult = await db.query(originalProductQuery, [parsedProductId, cityId]);
         
         if (originalProductResult.rows.length === 0) {
             // This case handles if the product was somehow deleted despite the plan. It's a good fallback.
@@ -3610,55 +5896,44 @@ app.get('/api/favorites/product-details/:productId', async (req, res) => {
         const originalProduct = originalProductResult.rows[0];
 
         // --- Calculate effective price and determine display name/image for the original product ---
-        let basePriceForCalc = parseFloat(originalProduct.supplier_base_price);
-        if (originalProduct.supplier_is_on_sale && originalProduct.supplier_discount_price !== null) {
-            basePriceForCalc = parseFloat(originalProduct.supplier_discount_price);
-        }
-        const adjustment = parseFloat(originalProduct.price_adjustment_percentage);
-        originalProduct.effective_selling_price = parseFloat((basePriceForCalc * (1 + adjustment)).toFixed(2));
+        Object.assign(originalProduct, pricing.getPriceFields(originalProduct));
         originalProduct.name = originalProduct.master_product_display_name || originalProduct.name;
         originalProduct.image_url = originalProduct.master_product_image_url || originalProduct.image_url;
 
         // --- Determine availability and get master ID ---
         const masterProductId = originalProduct.master_product_id;
-        const isOriginalAvailable = originalProduct.supplier_is_active && originalProduct.stock_level > 0; // The availability is determined by this flag.
+        const isOriginalAvailable = originalProduct.supplier_is_active && originalProduct.stock_level > 0
+            && originalProduct.linking_status !== 'rejected'; // The availability is determined by this flag.
 
         // Step 2: Fetch available alternatives from *other* active suppliers.
         let alternatives = [];
         if (masterProductId) {
             const alternativesQuery = `
                 SELECT 
-                    p.id, p.name, p.price AS supplier_base_price, p.discount_price AS supplier_discount_price,
-                    p.is_on_sale AS supplier_is_on_sale, p.image_url,
+                    p.id, p.name, p.image_url,
                     s.id as supplier_id, s.name as supplier_name,
-                    COALESCE(mp.current_price_adjustment_percentage, 0.0000) AS price_adjustment_percentage,
+                    ${pricing.PRICE_COLUMNS},
                     mp.display_name AS master_product_display_name,
                     mp.image_url AS master_product_image_url
                 FROM products p
                 JOIN suppliers s ON p.supplier_id = s.id
-                LEFT JOIN master_products mp ON p.master_product_id = mp.id
+                ${pricing.priceJoins('$3::int')}
                 WHERE p.master_product_id = $1 -- Match by master ID
                   AND p.id != $2               -- Exclude the original product itself
-                  AND s.is_active = TRUE;      -- Only from active suppliers!
+                  AND s.is_active = TRUE       -- Only from active suppliers!
+                  AND ${PRODUCT_NOT_REJECTED_SQL};
             `;
-            const alternativesResult = await db.query(alternativesQuery, [masterProductId, parsedProductId]);
+            const alternativesResult = await db.query(alternativesQuery, [masterProductId, parsedProductId, cityId]);
             
             // Calculate effective price for each alternative
             alternatives = alternativesResult.rows.map(alt => {
-                let altBasePrice = parseFloat(alt.supplier_base_price);
-                if (alt.supplier_is_on_sale && alt.supplier_discount_price !== null) {
-                    altBasePrice = parseFloat(alt.supplier_discount_price);
-                }
-                const altAdjustment = parseFloat(alt.price_adjustment_percentage);
-                const altEffectivePrice = altBasePrice * (1 + altAdjustment);
-
                 return {
                     id: alt.id,
                     name: alt.master_product_display_name || alt.name,
                     image_url: alt.master_product_image_url || alt.image_url,
                     supplier_id: alt.supplier_id,
                     supplier_name: alt.supplier_name,
-                    effective_selling_price: parseFloat(altEffectivePrice.toFixed(2)),
+                    ...pricing.getPriceFields(alt),
                 };
             });
         }
@@ -3678,6 +5953,118 @@ app.get('/api/favorites/product-details/:productId', async (req, res) => {
     }
 });
 
+// --- MASTER PRODUCT COMPARISON ---
+// Every supplier's offer of one master product in the user's city, priced like the rest of the catalog.
+// e.g. /api/master-products/12?cityId=3&sort=price_desc (sort: price_asc (default) or price_desc)
+const MASTER_PRODUCT_OFFER_SORTS = ['price_asc', 'price_desc'];
+
+app.get('/api/master-products/:masterProductId', async (req, res) => {
+    const masterProductId = parseInt(req.params.masterProductId, 10);
+    const cityId = parseInt(req.query.cityId, 10);
+    const sort = req.query.sort || 'price_asc';
+
+    if (isNaN(masterProductId)) {
+        return res.status(400).json({ error: 'Invalid master product ID format.' });
+    }
+    if (!cityId) {
+        return res.status(400).json({ error: "A cityId query parameter is required." });
+    }
+    if (!MASTER_PRODUCT_OFFER_SORTS.includes(sort)) {
+        return res.status(400).json({ error: `sort must be one of: ${MASTER_PRODUCT_OFFER_SORTS.join(', ')}.` });
+    }
+
+    try {
+        // A master product that was merged into another one shows the one it was merged into
+        const masterResult = await db.query(
+            `SELECT mp.id, mp.display_name, mp.description, mp.image_url, mp.brand, mp.category
+             FROM master_products src
+             JOIN master_products mp ON mp.id = COALESCE(src.merged_into_id, src.id)
+             WHERE src.id = $1;`,
+            [masterProductId]
+        );
+        if (masterResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Master product not found.' });
+        }
+        const masterProduct = masterResult.rows[0];
+
+        const offersQuery = `
+            SELECT
+                p.id AS product_id,
+                p.name AS supplier_product_name,
+                p.image_url,
+                p.stock_level,
+                s.id AS supplier_id,
+                s.name AS supplier_name,
+                s.image_url AS supplier_image_url,
+                s.rating AS supplier_rating,
+                ${pricing.PRICE_COLUMNS},
+                deal.title AS deal_title,
+                deal.end_date AS deal_end_date
+            FROM products p
+            JOIN suppliers s ON p.supplier_id = s.id
+            JOIN supplier_cities sc ON s.id = sc.supplier_id AND sc.city_id = $2
+            ${pricing.priceJoins('$2::int')}
+            LEFT JOIN deals deal ON deal.id = active_deal.id
+            WHERE p.master_product_id = $1
+              AND s.is_active = TRUE
+              AND ${PRODUCT_NOT_REJECTED_SQL};
+        `;
+        const offersResult = await db.query(offersQuery, [masterProduct.id, cityId]);
+
+        const offers = offersResult.rows.map(row => {
+            const priceFields = pricing.getPriceFields(row);
+            return {
+                product_id: row.product_id,
+                supplier_product_name: row.supplier_product_name,
+                image_url: row.image_url || masterProduct.image_url,
+                supplier: {
+                    id: row.supplier_id,
+                    name: row.supplier_name,
+                    image_url: row.supplier_image_url,
+                    rating: row.supplier_rating === null ? null : parseFloat(row.supplier_rating)
+                },
+                stock_level: row.stock_level,
+                in_stock: row.stock_level > 0,
+                ...priceFields,
+                deal: priceFields.applied_deal_id
+                    ? { id: priceFields.applied_deal_id, title: row.deal_title, discount_percentage: priceFields.deal_discount_percentage, end_date: row.deal_end_date }
+                    : null
+            };
+        });
+
+        // In-stock offers first, then by price (ties: better-rated supplier first)
+        const direction = sort === 'price_desc' ? -1 : 1;
+        offers.sort((a, b) => (b.in_stock - a.in_stock)
+            || direction * (a.effective_selling_price - b.effective_selling_price)
+            || (b.supplier.rating || 0) - (a.supplier.rating || 0)
+            || a.product_id - b.product_id);
+
+        // The best offer is the cheapest one in stock, whatever the requested order
+        const bestOffer = offers
+            .filter(offer => offer.in_stock)
+            .reduce((best, offer) => (!best || offer.effective_selling_price < best.effective_selling_price ? offer : best), null);
+        const inStockPrices = offers.filter(offer => offer.in_stock).map(offer => offer.effective_selling_price);
+
+        console.log(`[MASTER_PRODUCT_COMPARE] ${offers.length} offers for master product ${masterProduct.id} in city ${cityId}`);
+        res.json({
+            masterProduct,
+            cityId,
+            sort,
+            offers,
+            bestOffer,
+            summary: {
+                offerCount: offers.length,
+                inStockCount: inStockPrices.length,
+                minPrice: inStockPrices.length > 0 ? Math.min(...inStockPrices) : null,
+                maxPrice: inStockPrices.length > 0 ? Math.max(...inStockPrices) : null
+            }
+        });
+    } catch (err) {
+        console.error(`[MASTER_PRODUCT_COMPARE] Error fetching offers for master product ${masterProductId}:`, err);
+        res.status(500).json({ error: 'Failed to fetch master product offers' });
+    }
+});
+
 app.get('/api/cities', async (req, res) => {
     try {
         const result = await db.query('SELECT id, name FROM cities WHERE is_active = TRUE ORDER BY name ASC');
@@ -3688,21 +6075,83 @@ app.get('/api/cities', async (req, res) => {
     }
 });
 
+// --- ADMIN SCHEDULED JOBS ---
+// Jobs run through services/jobScheduler.js, so each one runs once across all server instances.
+
+// GET all scheduled jobs with their last run
+app.get('/api/admin/jobs', authAdmin, async (req, res) => {
+    try {
+        const result = await db.query('SELECT * FROM scheduled_jobs ORDER BY name');
+        res.json(result.rows);
+    } catch (err) {
+        console.error('[ADMIN_JOBS] Error fetching scheduled jobs:', err);
+        res.status(500).json({ error: 'Failed to fetch scheduled jobs.' });
+    }
+});
+
+// POST - Run a job now. Responds 202 once the job has started (see GET /api/admin/jobs for the outcome),
+// or 409 if it is already running on some instance.
+app.post('/api/admin/jobs/:jobName/run', authAdmin, async (req, res) => {
+    const { jobName } = req.params;
+    try {
+        const started = await jobScheduler.startJob(jobName, { trigger: 'manual', adminId: req.admin.adminId });
+        if (!started) {
+            return res.status(409).json({ error: 'This job is already running.' });
+        }
+        console.log(`[ADMIN_JOBS] Job ${jobName} triggered by admin ${req.admin.adminId}`);
+        res.status(202).json(started.job);
+    } catch (err) {
+        if (err instanceof jobScheduler.UnknownJobError) {
+            return res.status(404).json({ error: 'Job not found.' });
+        }
+        console.error(`[ADMIN_JOBS] Error triggering job ${jobName}:`, err);
+        res.status(500).json({ error: 'Failed to trigger job.' });
+    }
+});
+
 // --- Cron Job Scheduling ---
-// Example: Run every hour at the 0th minute.
+// Every instance registers the same jobs; services/jobScheduler.js makes sure each run happens on one of them.
 // For testing, you might use '*/1 * * * *' (every minute) - BE CAREFUL with frequent DB updates.
-// '0 */2 * * *' would be every 2 hours at minute 0.
-const CRON_SCHEDULE = '0 */6 * * *'; // Every 6 hours at minute 0
-
-if (cron.validate(CRON_SCHEDULE)) {
-    console.log(`[CRON_SCHEDULER] Scheduling price adjustment job with pattern: ${CRON_SCHEDULE}`);
-    cron.schedule(CRON_SCHEDULE, () => {
-        console.log(`[CRON_SCHEDULER] Triggering scheduled price adjustment task at ${new Date().toISOString()}`);
-        pricingEngine.calculateDemandAndAdjustPercentage();
-    });
-} else {
-    console.error(`[CRON_SCHEDULER] Invalid cron schedule pattern: ${CRON_SCHEDULE}. Job not scheduled.`);
-}
+
+jobScheduler.registerJob('pricing_engine', {
+    schedule: '0 */6 * * *', // Every 6 hours at minute 0
+    description: 'Demand-based price adjustment of every master product',
+    leaseSeconds: 60 * 60,
+    handler: async ({ trigger, adminId }) => {
+        const run = await pricingEngine.calculateDemandAndAdjustPercentage({ trigger, adminId });
+        if (!run) throw new Error('The pricing engine run could not be recorded.');
+        if (run.status === 'failed') throw new Error(run.error_message || 'The pricing engine run failed.');
+        return { pricingEngineRunId: run.id, status: run.status, productsAdjusted: run.products_adjusted };
+    }
+});
+
+// Expired admin price locks/overrides end within 15 minutes instead of waiting for the next engine run
+jobScheduler.registerJob('price_lock_expiry', {
+    schedule: '*/15 * * * *',
+    description: 'Ends admin price locks and overrides whose expiry has passed',
+    leaseSeconds: 10 * 60,
+    handler: async () => {
+        const client = await db.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const released = await priceLocks.releaseExpiredPriceLocks(client);
+            await client.query('COMMIT');
+            return { released };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+});
+
+jobScheduler.registerJob('idempotency_key_purge', {
+    schedule: '30 * * * *', // Hourly
+    description: `Deletes checkout idempotency keys older than ${idempotency.IDEMPOTENCY_RETENTION_HOURS} hours`,
+    leaseSeconds: 10 * 60,
+    handler: async () => ({ deleted: await idempotency.purgeExpiredKeys(db) })
+});
 
 // For immediate testing on startup (optional, remove for production)
 // setTimeout(() => {
@@ -0,0 +1,127 @@
+// telegram-app-backend/services/coupons.js
+// Promo code rules. The same evaluateCoupon runs for POST /api/cart/coupon/validate and inside POST /api/orders,
+// so a code that validates against the cart gives exactly the discount checkout applies.
+const { roundPrice } = require('./pricing');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Splits `amount` across suppliers in proportion to their eligible subtotal; the last one absorbs rounding.
+const allocateDiscount = (amount, subtotalsBySupplierId, eligibleSubtotal) => {
+    const allocations = new Map();
+    const supplierIds = Array.from(subtotalsBySupplierId.keys());
+    let allocated = 0;
+    supplierIds.forEach((supplierId, index) => {
+        const share = index === supplierIds.length - 1
+            ? roundPrice(amount - allocated)
+            : roundPrice(amount * subtotalsBySupplierId.get(supplierId) / eligibleSubtotal);
+        allocations.set(supplierId, share);
+        allocated = roundPrice(allocated + share);
+    });
+    return allocations;
+};
+
+// Checks `code` for this user and basket and works out the discount.
+// lines: [{ supplier_id, line_total }] priced with services/pricing.js. cityId: the delivery city (may be null).
+// With lock, the coupon row is locked FOR UPDATE so concurrent checkouts can't exceed the usage limits.
+// Returns { coupon, discountAmount, eligibleSubtotal, allocations (Map supplier_id -> amount) } or { status, error }.
+const evaluateCoupon = async (client, { code, userId, cityId, lines, lock = false }) => {
+    const normalizedCode = normalizeCode(code);
+    if (!normalizedCode) {
+        return { status: 400, error: 'A coupon code is required.' };
+    }
+
+    const couponResult = await client.query(
+        `SELECT * FROM coupons WHERE UPPER(code) = $1${lock ? ' FOR UPDATE' : ''}`,
+        [normalizedCode]
+    );
+    const coupon = couponResult.rows[0];
+    if (!coupon || !coupon.is_active) {
+        return { status: 404, error: 'This coupon code is not valid.' };
+    }
+
+    const now = new Date();
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+        return { status: 422, error: 'This coupon is not valid yet.' };
+    }
+    if (coupon.ends_at && new Date(coupon.ends_at) < now) {
+        return { status: 422, error: 'This coupon has expired.' };
+    }
+
+    const citiesResult = await client.query('SELECT city_id FROM coupon_cities WHERE coupon_id = $1', [coupon.id]);
+    if (citiesResult.rows.length > 0 && !citiesResult.rows.some(row => row.city_id === cityId)) {
+        return { status: 422, error: 'This coupon is not valid in your delivery city.' };
+    }
+
+    // Supplier coupons only discount that supplier's products
+    const subtotalsBySupplierId = new Map();
+    lines
+        .filter(line => !coupon.supplier_id || line.supplier_id === coupon.supplier_id)
+        .forEach(line => {
+            subtotalsBySupplierId.set(line.supplier_id, (subtotalsBySupplierId.get(line.supplier_id) || 0) + line.line_total);
+        });
+    const eligibleSubtotal = roundPrice(Array.from(subtotalsBySupplierId.values()).reduce((sum, value) => sum + value, 0));
+    if (eligibleSubtotal <= 0) {
+        return { status: 422, error: "This coupon doesn't apply to any item in your cart." };
+    }
+    const minBasket = parseFloat(coupon.min_basket_amount) || 0;
+    if (eligibleSubtotal < minBasket) {
+        return { status: 422, error: `This coupon needs a basket of at least ${minBasket.toFixed(2)}.`, minBasketAmount: minBasket.toFixed(2) };
+    }
+
+    const usageResult = await client.query(
+        `SELECT COUNT(*) AS total_uses, COUNT(*) FILTER (WHERE user_id = $2) AS user_uses
+         FROM coupon_redemptions
+         WHERE coupon_id = $1 AND status = 'applied'`,
+        [coupon.id, userId]
+    );
+    const totalUses = parseInt(usageResult.rows[0].total_uses, 10);
+    const userUses = parseInt(usageResult.rows[0].user_uses, 10);
+    if (coupon.usage_limit_total !== null && totalUses >= coupon.usage_limit_total) {
+        return { status: 422, error: 'This coupon has reached its usage limit.' };
+    }
+    if (coupon.usage_limit_per_user !== null && userUses >= coupon.usage_limit_per_user) {
+        return { status: 422, error: 'You have already used this coupon the maximum number of times.' };
+    }
+
+    const discountValue = parseFloat(coupon.discount_value);
+    let discountAmount = coupon.discount_type === 'percentage'
+        ? eligibleSubtotal * discountValue / 100
+        : discountValue;
+    if (coupon.max_discount_amount !== null) {
+        discountAmount = Math.min(discountAmount, parseFloat(coupon.max_discount_amount));
+    }
+    discountAmount = roundPrice(Math.min(discountAmount, eligibleSubtotal));
+
+    return {
+        coupon,
+        discountAmount,
+        eligibleSubtotal,
+        allocations: allocateDiscount(discountAmount, subtotalsBySupplierId, eligibleSubtotal)
+    };
+};
+
+const recordRedemption = async (client, { couponId, orderId, userId, discountAmount }) => {
+    await client.query(
+        `INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+         VALUES ($1, $2, $3, $4)`,
+        [couponId, orderId, userId, discountAmount.toFixed(2)]
+    );
+};
+
+// A cancelled order gives its coupon use back (it no longer counts towards usage limits).
+// The redemption row and the order's discount_amount are kept for reporting.
+const releaseRedemptionsForOrder = async (client, orderId) => {
+    const result = await client.query(
+        `UPDATE coupon_redemptions SET status = 'released', released_at = NOW()
+         WHERE order_id = $1 AND status = 'applied'
+         RETURNING coupon_id`,
+        [orderId]
+    );
+    if (result.rows.length > 0) {
+        console.log(`[COUPONS] Released coupon ${result.rows[0].coupon_id} redemption of cancelled order ${orderId}`);
+    }
+};
+
+module.exports = { DISCOUNT_TYPES, normalizeCode, evaluateCoupon, recordRedemption, releaseRedemptionsForOrder };
@@ -0,0 +1,45 @@
+// telegram-app-backend/services/deliveryAssignment.js
+// Helpers for handing order items to a supplier's delivery agents (manual and automatic assignment).
+
+// Delivery statuses that still occupy an agent
+const OPEN_AGENT_TASK_STATUSES = ['assigned_to_agent', 'out_for_delivery', 'payment_pending'];
+
+// Loads a supplier's active agents with the cities they cover and how many open tasks they currently hold.
+const loadAssignableAgents = async (client, supplierId) => {
+    const result = await client.query(
+        `SELECT
+            da.id, da.full_name,
+            COALESCE(ARRAY_AGG(DISTINCT dac.city_id) FILTER (WHERE dac.city_id IS NOT NULL), '{}') AS city_ids,
+            (SELECT COUNT(*) FROM order_items oi
+             WHERE oi.assigned_delivery_agent_id = da.id
+               AND oi.delivery_item_status = ANY($2::varchar[])) AS open_tasks
+         FROM delivery_agents da
+         LEFT JOIN delivery_agent_cities dac ON dac.delivery_agent_id = da.id
+         WHERE da.supplier_id = $1 AND da.is_active = TRUE
+         GROUP BY da.id
+         ORDER BY da.id;`,
+        [supplierId, OPEN_AGENT_TASK_STATUSES]
+    );
+    return result.rows.map(agent => ({
+        id: agent.id,
+        full_name: agent.full_name,
+        city_ids: agent.city_ids.map(cityId => parseInt(cityId, 10)),
+        open_tasks: parseInt(agent.open_tasks, 10)
+    }));
+};
+
+// An agent without any configured cities covers every city; an item without a known city can go to anyone.
+const agentCoversCity = (agent, cityId) => !cityId || agent.city_ids.length === 0 || agent.city_ids.includes(cityId);
+
+// Picks the least loaded agent covering the city (ties go to the agent with the lowest id) and counts the new task.
+// Returns null when no active agent covers the city.
+const pickAgentForCity = (agents, cityId) => {
+    const candidates = agents.filter(agent => agentCoversCity(agent, cityId));
+    if (candidates.length === 0) return null;
+
+    const chosen = candidates.reduce((best, agent) => (agent.open_tasks < best.open_tasks ? agent : best));
+    chosen.open_tasks += 1;
+    return chosen;
+};
+
+module.exports = { OPEN_AGENT_TASK_STATUSES, loadAssignableAgents, agentCoversCity, pickAgentForCity };
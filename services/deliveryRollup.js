@@ -0,0 +1,70 @@
+// telegram-app-backend/services/deliveryRollup.js
+// Rolls order_items.delivery_item_status up into orders.delivery_status and supplier_orders.delivery_status.
+// Called by services/orderStateMachine.js whenever an item changes, so the order-level value never goes stale.
+const { INACTIVE_SUPPLIER_ITEM_STATUSES } = require('./orderStatuses');
+
+// Open (still moving) delivery statuses, least advanced first. payment_pending counts as still out for delivery.
+const OPEN_DELIVERY_STATUS_ORDER = ['pending_assignment', 'assigned_to_agent', 'out_for_delivery'];
+const OPEN_STATUS_ALIASES = { payment_pending: 'out_for_delivery' };
+const FINISHED_DELIVERY_STATUSES = ['delivered', 'delivery_failed', 'returned'];
+
+// Possible results:
+//   pending_assignment | assigned_to_agent | out_for_delivery - nothing delivered yet, least advanced item wins
+//   partially_delivered - some items delivered, others still on their way
+//   delivered | failed | returned - every active item ended the same way
+//   mixed - every active item is finished but with different outcomes (e.g. some delivered, some failed)
+//   cancelled - no active items left (all rejected/cancelled)
+const computeDeliveryRollup = (items) => {
+    const activeStatuses = items
+        .filter(item => !INACTIVE_SUPPLIER_ITEM_STATUSES.includes(item.supplier_item_status || 'pending'))
+        .map(item => item.delivery_item_status || 'pending_assignment');
+
+    if (activeStatuses.length === 0) return 'cancelled';
+
+    const openStatuses = activeStatuses
+        .filter(status => !FINISHED_DELIVERY_STATUSES.includes(status))
+        .map(status => OPEN_STATUS_ALIASES[status] || status);
+
+    if (openStatuses.length > 0) {
+        if (activeStatuses.includes('delivered')) return 'partially_delivered';
+        return OPEN_DELIVERY_STATUS_ORDER.find(status => openStatuses.includes(status)) || 'pending_assignment';
+    }
+
+    if (activeStatuses.every(status => status === 'delivered')) return 'delivered';
+    if (activeStatuses.every(status => status === 'delivery_failed')) return 'failed';
+    if (activeStatuses.every(status => status === 'returned')) return 'returned';
+    return 'mixed';
+};
+
+// Recomputes orders.delivery_status, and supplier_orders.delivery_status for each of the order's sub-orders,
+// inside the caller's transaction. Returns the new order-level value.
+const refreshOrderDeliveryStatus = async (client, orderId) => {
+    const itemsResult = await client.query(
+        'SELECT supplier_order_id, supplier_item_status, delivery_item_status FROM order_items WHERE order_id = $1',
+        [orderId]
+    );
+    const deliveryStatus = computeDeliveryRollup(itemsResult.rows);
+
+    const updateResult = await client.query(
+        'UPDATE orders SET delivery_status = $1 WHERE id = $2 AND delivery_status IS DISTINCT FROM $1 RETURNING id',
+        [deliveryStatus, orderId]
+    );
+    if (updateResult.rowCount > 0) {
+        console.log(`[DELIVERY_ROLLUP] Order ${orderId} delivery_status is now ${deliveryStatus}`);
+    }
+
+    const itemsBySupplierOrder = new Map();
+    itemsResult.rows.filter(item => item.supplier_order_id).forEach(item => {
+        if (!itemsBySupplierOrder.has(item.supplier_order_id)) itemsBySupplierOrder.set(item.supplier_order_id, []);
+        itemsBySupplierOrder.get(item.supplier_order_id).push(item);
+    });
+    for (const [supplierOrderId, items] of itemsBySupplierOrder) {
+        await client.query(
+            'UPDATE supplier_orders SET delivery_status = $1 WHERE id = $2 AND delivery_status IS DISTINCT FROM $1',
+            [computeDeliveryRollup(items), supplierOrderId]
+        );
+    }
+    return deliveryStatus;
+};
+
+module.exports = { computeDeliveryRollup, refreshOrderDeliveryStatus };
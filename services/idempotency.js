@@ -0,0 +1,59 @@
+// telegram-app-backend/services/idempotency.js
+// Idempotency-Key support for order creation. Telegram WebApp clients retry on flaky networks; a retry carrying the
+// same key within the retention window gets the original response back instead of creating a second order.
+const crypto = require('crypto');
+
+const IDEMPOTENCY_RETENTION_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+const fingerprintRequest = (body) => crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+
+// Claims the key inside the caller's transaction. The row is only visible to others once that transaction commits,
+// so a concurrent retry blocks on the unique index until the first attempt commits (replay) or rolls back (retry runs).
+// Returns { claimed: true } or { claimed: false, record } with the stored row of the earlier attempt.
+const claimKey = async (client, { userId, key, fingerprint }) => {
+    // An expired key is forgotten and can be used again
+    await client.query(
+        `DELETE FROM idempotency_keys
+         WHERE user_id = $1 AND idempotency_key = $2 AND created_at < NOW() - ($3 || ' hours')::interval`,
+        [userId, key, IDEMPOTENCY_RETENTION_HOURS]
+    );
+
+    const insertResult = await client.query(
+        `INSERT INTO idempotency_keys (user_id, idempotency_key, request_fingerprint)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, idempotency_key) DO NOTHING
+         RETURNING id;`,
+        [userId, key, fingerprint]
+    );
+    if (insertResult.rows.length > 0) {
+        return { claimed: true };
+    }
+
+    const existingResult = await client.query(
+        'SELECT * FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+        [userId, key]
+    );
+    return { claimed: false, record: existingResult.rows[0] };
+};
+
+// Stores the response for a claimed key, in the same transaction that created the order.
+const saveResponse = async (client, { userId, key, orderId, status, body }) => {
+    await client.query(
+        `UPDATE idempotency_keys SET order_id = $1, response_status = $2, response_body = $3
+         WHERE user_id = $4 AND idempotency_key = $5`,
+        [orderId, status, JSON.stringify(body), userId, key]
+    );
+};
+
+// Removes keys past the retention window, so idempotency_keys doesn't grow without bound (claimKey only forgets the
+// expired key it is about to reuse). Run hourly by the idempotency_key_purge job in server.js. Returns how many were deleted.
+const purgeExpiredKeys = async (client) => {
+    const result = await client.query(
+        `DELETE FROM idempotency_keys WHERE created_at < NOW() - ($1 || ' hours')::interval`,
+        [IDEMPOTENCY_RETENTION_HOURS]
+    );
+    return result.rowCount;
+};
+
+module.exports = { IDEMPOTENCY_RETENTION_HOURS, MAX_KEY_LENGTH, fingerprintRequest, claimKey, saveResponse, purgeExpiredKeys };
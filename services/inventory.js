@@ -0,0 +1,61 @@
+// telegram-app-backend/services/inventory.js
+// Stock handling for checkout: products.stock_level is locked, checked and decremented inside the order transaction,
+// and given back when an item is cancelled, rejected or returned (see services/orderStateMachine.js).
+
+// Locks the products behind the given lines (in id order, so concurrent checkouts can't deadlock) and checks stock.
+// lines: [{ product_id, quantity, ... }]. policy: 'reject' (default) or 'trim'.
+// Returns { lines, shortages }:
+//   lines     - what can be ordered; with 'trim', quantities are cut down to what's available and sold-out lines dropped
+//   shortages - [{ product_id, requested, available }] for every line that exceeded available stock
+const reserveStock = async (client, lines, policy = 'reject') => {
+    const productIds = [...new Set(lines.map(line => line.product_id))].sort((a, b) => a - b);
+    const stockResult = await client.query(
+        'SELECT id, stock_level FROM products WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+        [productIds]
+    );
+    const stockByProductId = {};
+    stockResult.rows.forEach(row => { stockByProductId[row.id] = parseInt(row.stock_level, 10) || 0; });
+
+    const shortages = [];
+    const reservableLines = [];
+    lines.forEach(line => {
+        const available = stockByProductId[line.product_id] || 0;
+        if (line.quantity <= available) {
+            reservableLines.push(line);
+            return;
+        }
+        shortages.push({ product_id: line.product_id, requested: line.quantity, available });
+        if (policy === 'trim' && available > 0) {
+            reservableLines.push({ ...line, quantity: available });
+        }
+    });
+
+    return { lines: policy === 'trim' ? reservableLines : lines, shortages };
+};
+
+// Takes the reserved quantities off products.stock_level. Call only after reserveStock locked the rows.
+const decrementStock = async (client, lines) => {
+    if (lines.length === 0) return;
+    await client.query(
+        `UPDATE products p SET stock_level = p.stock_level - l.quantity
+         FROM UNNEST($1::int[], $2::int[]) AS l(product_id, quantity)
+         WHERE p.id = l.product_id;`,
+        [lines.map(line => line.product_id), lines.map(line => line.quantity)]
+    );
+};
+
+// Puts an order item's quantity back on its product's stock.
+const restoreStockForOrderItem = async (client, orderItemId) => {
+    const result = await client.query(
+        `UPDATE products p SET stock_level = p.stock_level + oi.quantity
+         FROM order_items oi
+         WHERE oi.id = $1 AND p.id = oi.product_id
+         RETURNING p.id AS product_id, oi.quantity;`,
+        [orderItemId]
+    );
+    if (result.rows.length > 0) {
+        console.log(`[INVENTORY] Restored ${result.rows[0].quantity} units of product ${result.rows[0].product_id} (order item ${orderItemId})`);
+    }
+};
+
+module.exports = { reserveStock, decrementStock, restoreStockForOrderItem };
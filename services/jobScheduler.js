@@ -0,0 +1,107 @@
+// telegram-app-backend/services/jobScheduler.js
+// Cluster-safe scheduled jobs. Every server instance schedules its jobs with node-cron, but before running one it
+// has to claim the job's row in scheduled_jobs: the claim fails while another instance holds the lease, and for
+// scheduled runs also when that cron slot already ran somewhere else. So each slot runs exactly once.
+const os = require('os');
+const cron = require('node-cron');
+const db = require('../config/db');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_LEASE_SECONDS = 30 * 60;
+
+const jobs = new Map();
+
+class UnknownJobError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnknownJobError';
+    }
+}
+
+// Claims the job's lease. scheduledFor: the cron slot (null for a manual run). Returns the claimed row or null.
+const claimJob = async (job, { trigger, adminId, scheduledFor }) => {
+    const result = await db.query(
+        `UPDATE scheduled_jobs SET
+            locked_by = $2, locked_until = NOW() + make_interval(secs => $3),
+            last_trigger = $4, last_triggered_by_admin_id = $5,
+            last_scheduled_for = COALESCE($6, last_scheduled_for),
+            last_started_at = NOW(), last_status = 'running'
+         WHERE name = $1
+           AND (locked_until IS NULL OR locked_until < NOW())
+           AND ($6::timestamptz IS NULL OR last_scheduled_for IS NULL OR last_scheduled_for < $6)
+         RETURNING *`,
+        [job.name, INSTANCE_ID, job.leaseSeconds, trigger, adminId, scheduledFor]
+    );
+    return result.rows[0] || null;
+};
+
+const finishJob = async (job, { status, durationMs, error = null, result = null }) => {
+    await db.query(
+        `UPDATE scheduled_jobs SET
+            locked_by = NULL, locked_until = NULL, last_finished_at = NOW(), last_status = $3,
+            last_duration_ms = $4, last_error = $5, last_result = $6, run_count = run_count + 1
+         WHERE name = $1 AND locked_by = $2`,
+        [job.name, INSTANCE_ID, status, durationMs, error, result === null ? null : JSON.stringify(result)]
+    );
+};
+
+const execute = async (job, context) => {
+    const startedAt = Date.now();
+    try {
+        const result = await job.handler(context);
+        await finishJob(job, { status: 'succeeded', durationMs: Date.now() - startedAt, result: result === undefined ? null : result });
+        console.log(`[JOB_SCHEDULER] Job ${job.name} succeeded in ${Date.now() - startedAt}ms (${context.trigger})`);
+    } catch (error) {
+        console.error(`[JOB_SCHEDULER] Job ${job.name} failed (${context.trigger}):`, error);
+        await finishJob(job, { status: 'failed', durationMs: Date.now() - startedAt, error: error.message })
+            .catch(finishError => console.error(`[JOB_SCHEDULER] Could not record the failure of job ${job.name}:`, finishError));
+    }
+};
+
+// Claims and starts a job. Returns { job: claimed row, completion: promise of the run } or null if the job is
+// already running (or, for a scheduled run, this slot already ran on another instance).
+// Throws UnknownJobError for a name that was never registered.
+const startJob = async (name, { trigger = 'manual', adminId = null, scheduledFor = null } = {}) => {
+    const job = jobs.get(name);
+    if (!job) throw new UnknownJobError(`Unknown job: ${name}`);
+    const claimed = await claimJob(job, { trigger, adminId, scheduledFor });
+    if (!claimed) return null;
+    console.log(`[JOB_SCHEDULER] Job ${name} started on ${INSTANCE_ID} (${trigger})`);
+    return { job: claimed, completion: execute(job, { trigger, adminId }) };
+};
+
+// Registers a job and schedules it on this instance. handler({ trigger, adminId }) may return a JSON-serializable
+// result, stored as last_result; throwing marks the run failed.
+const registerJob = (name, { schedule, description = null, leaseSeconds = DEFAULT_LEASE_SECONDS, handler }) => {
+    if (!cron.validate(schedule)) {
+        console.error(`[JOB_SCHEDULER] Invalid cron schedule pattern for job ${name}: ${schedule}. Job not scheduled.`);
+        return;
+    }
+    const job = { name, schedule, description, leaseSeconds, handler };
+    jobs.set(name, job);
+
+    db.query(
+        `INSERT INTO scheduled_jobs (name, schedule, description) VALUES ($1, $2, $3)
+         ON CONFLICT (name) DO UPDATE SET schedule = EXCLUDED.schedule, description = EXCLUDED.description`,
+        [name, schedule, description]
+    ).catch(error => console.error(`[JOB_SCHEDULER] Could not register job ${name}:`, error));
+
+    // context.date is the cron slot, the same on every instance
+    cron.schedule(schedule, async (context) => {
+        const scheduledFor = new Date(context.date);
+        scheduledFor.setSeconds(0, 0);
+        try {
+            const started = await startJob(name, { trigger: 'schedule', scheduledFor });
+            if (!started) {
+                console.log(`[JOB_SCHEDULER] Job ${name} skipped on ${INSTANCE_ID}: already running or already ran for ${scheduledFor.toISOString()}`);
+                return;
+            }
+            await started.completion;
+        } catch (error) {
+            console.error(`[JOB_SCHEDULER] Error starting scheduled job ${name}:`, error);
+        }
+    });
+    console.log(`[JOB_SCHEDULER] Scheduled job ${name} with pattern: ${schedule}`);
+};
+
+module.exports = { UnknownJobError, claimJob, registerJob, startJob };
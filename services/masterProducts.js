@@ -0,0 +1,208 @@
+// telegram-app-backend/services/masterProducts.js
+// Merging duplicate master products and splitting products off into a new one. Supplier products, and with them
+// favorites, featured items and cart/order lines, point at supplier products, so re-pointing
+// products.master_product_id is enough to keep them working; the merged master rows are kept with merged_into_id set.
+// Both functions run inside the caller's transaction and return { ... } or { status, error }.
+const priceHistory = require('./priceHistory');
+
+const MASTER_COLUMNS = `id, display_name, standardized_name_normalized, category, current_demand_score,
+    current_price_adjustment_percentage, price_locked, merged_into_id`;
+
+const logOperation = async (client, { operation, targetId, sourceIds, productIds, details, note, adminId }) => {
+    const result = await client.query(
+        `INSERT INTO master_product_operations
+            (operation, target_master_product_id, source_master_product_ids, product_ids, details, note, admin_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [operation, targetId, sourceIds, productIds, JSON.stringify(details), note, adminId]
+    );
+    return result.rows[0];
+};
+
+// Product-scoped pricing rules of the merged masters move to the target, unless the target (or an earlier source)
+// already has a rule for that city; those are deleted. Returns { moved, deleted } rule IDs.
+const moveMasterProductRules = async (client, targetId, sourceIds) => {
+    const rulesResult = await client.query(
+        `SELECT id, master_product_id, city_id FROM pricing_rules
+         WHERE scope = 'master_product' AND master_product_id = ANY($1::int[])
+         ORDER BY (master_product_id = $2) DESC, id`,
+        [[targetId, ...sourceIds], targetId]
+    );
+    const takenCities = new Set();
+    const moved = [];
+    const deleted = [];
+    for (const rule of rulesResult.rows) {
+        const cityKey = rule.city_id === null ? 'all' : rule.city_id;
+        if (rule.master_product_id === targetId) {
+            takenCities.add(cityKey);
+        } else if (takenCities.has(cityKey)) {
+            deleted.push(rule.id);
+        } else {
+            takenCities.add(cityKey);
+            moved.push(rule.id);
+        }
+    }
+    if (deleted.length > 0) await client.query('DELETE FROM pricing_rules WHERE id = ANY($1::int[])', [deleted]);
+    if (moved.length > 0) {
+        await client.query(
+            'UPDATE pricing_rules SET master_product_id = $1, updated_at = NOW() WHERE id = ANY($2::int[])',
+            [targetId, moved]
+        );
+    }
+    return { moved, deleted };
+};
+
+// Merges sourceIds into targetId. Demand scores are added up; the combined adjustment is the demand-weighted
+// average of all of them (the target's own if nothing sold), unless the target's price is locked, which keeps it.
+const mergeMasterProducts = async (client, { targetId, sourceIds, note = null, adminId }) => {
+    const allIds = [targetId, ...sourceIds];
+    const mastersResult = await client.query(
+        `SELECT ${MASTER_COLUMNS} FROM master_products WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE`,
+        [allIds]
+    );
+    if (mastersResult.rows.length !== allIds.length) {
+        return { status: 404, error: 'One or more master products were not found.' };
+    }
+    const masters = new Map(mastersResult.rows.map(row => [row.id, row]));
+    if (mastersResult.rows.some(row => row.merged_into_id !== null)) {
+        return { status: 409, error: 'One or more of these master products was already merged into another.' };
+    }
+    const target = masters.get(targetId);
+
+    const totalDemand = allIds.reduce((sum, id) => sum + (masters.get(id).current_demand_score || 0), 0);
+    const oldAdjustment = parseFloat(target.current_price_adjustment_percentage) || 0;
+    let newAdjustment = oldAdjustment;
+    if (!target.price_locked && totalDemand > 0) {
+        const weighted = allIds.reduce((sum, id) => {
+            const master = masters.get(id);
+            return sum + (parseFloat(master.current_price_adjustment_percentage) || 0) * (master.current_demand_score || 0);
+        }, 0);
+        newAdjustment = parseFloat((weighted / totalDemand).toFixed(4));
+    }
+
+    const productsResult = await client.query(
+        'UPDATE products SET master_product_id = $1 WHERE master_product_id = ANY($2::int[]) RETURNING id',
+        [targetId, sourceIds]
+    );
+    const productIds = productsResult.rows.map(row => row.id);
+    const rules = await moveMasterProductRules(client, targetId, sourceIds);
+    // The sources price nothing any more; the target's city adjustments stay
+    const removed = await client.query(
+        `DELETE FROM master_product_city_adjustments WHERE master_product_id = ANY($1::int[])
+         RETURNING master_product_id, city_id, adjustment_percentage`,
+        [sourceIds]
+    );
+    for (const row of removed.rows) {
+        await priceHistory.recordAdjustmentChange(client, {
+            masterProductId: row.master_product_id, cityId: row.city_id, oldAdjustment: row.adjustment_percentage,
+            newAdjustment: null, cause: 'admin_merge', actor: { type: 'admin', id: adminId },
+            note: `Merged into master product ${targetId}`
+        });
+    }
+
+    // Masters merged into a source earlier now point at the target too
+    await client.query('UPDATE master_products SET merged_into_id = $1 WHERE merged_into_id = ANY($2::int[])', [targetId, sourceIds]);
+    await client.query(
+        `UPDATE master_products SET merged_into_id = $1, merged_at = NOW(),
+            price_locked = FALSE, price_lock_expires_at = NULL, price_lock_reason = NULL,
+            price_locked_by_admin_id = NULL, price_locked_at = NULL, adjustment_before_override = NULL
+         WHERE id = ANY($2::int[])`,
+        [targetId, sourceIds]
+    );
+    // A source's price lock ends with the merge (the adjustment itself is left as it was)
+    for (const sourceId of sourceIds.filter(id => masters.get(id).price_locked)) {
+        const adjustment = parseFloat(masters.get(sourceId).current_price_adjustment_percentage) || 0;
+        await priceHistory.recordAdjustmentChange(client, {
+            masterProductId: sourceId, oldAdjustment: adjustment, newAdjustment: adjustment,
+            cause: 'admin_merge', actor: { type: 'admin', id: adminId },
+            note: `Price lock ended: merged into master product ${targetId}`
+        });
+    }
+    const targetResult = await client.query(
+        `UPDATE master_products SET current_demand_score = $2, current_price_adjustment_percentage = $3,
+            last_adjustment_update = CASE WHEN current_price_adjustment_percentage <> $3 THEN NOW() ELSE last_adjustment_update END
+         WHERE id = $1
+         RETURNING ${MASTER_COLUMNS}`,
+        [targetId, totalDemand, newAdjustment]
+    );
+    if (newAdjustment !== oldAdjustment) {
+        await priceHistory.recordAdjustmentChange(client, {
+            masterProductId: targetId, oldAdjustment, newAdjustment, demandScore: totalDemand,
+            cause: 'admin_merge', actor: { type: 'admin', id: adminId },
+            note: `Merged master products ${sourceIds.join(', ')}`
+        });
+    }
+
+    const operation = await logOperation(client, {
+        operation: 'merge', targetId, sourceIds, productIds, note, adminId,
+        details: {
+            before: allIds.map(id => ({
+                id,
+                demand_score: masters.get(id).current_demand_score,
+                adjustment: parseFloat(masters.get(id).current_price_adjustment_percentage) || 0
+            })),
+            after: { demand_score: totalDemand, adjustment: newAdjustment },
+            moved_pricing_rule_ids: rules.moved,
+            deleted_pricing_rule_ids: rules.deleted
+        }
+    });
+    console.log(`[MASTER_PRODUCTS] Merged master products ${sourceIds.join(', ')} into ${targetId} (${productIds.length} products) by admin ${adminId}`);
+    return { masterProduct: targetResult.rows[0], operation };
+};
+
+// Moves productIds off sourceId onto a new master product. The new master starts with the source's adjustment so
+// prices don't jump; the pricing engine takes it from there. master: { displayName, standardizedName (normalized),
+// description, imageUrl, brand, category }.
+const splitMasterProduct = async (client, { sourceId, productIds, master, note = null, adminId }) => {
+    const sourceResult = await client.query(
+        `SELECT ${MASTER_COLUMNS}, description, image_url, brand FROM master_products WHERE id = $1 FOR UPDATE`,
+        [sourceId]
+    );
+    const source = sourceResult.rows[0];
+    if (!source) return { status: 404, error: 'Master product not found.' };
+    if (source.merged_into_id !== null) {
+        return { status: 409, error: 'This master product was merged into another one.' };
+    }
+
+    const productsResult = await client.query(
+        'SELECT id, price FROM products WHERE id = ANY($1::int[]) AND master_product_id = $2 ORDER BY id FOR UPDATE',
+        [productIds, sourceId]
+    );
+    if (productsResult.rows.length !== productIds.length) {
+        return { status: 400, error: 'Every product to split off must be linked to this master product.' };
+    }
+
+    const existing = await client.query(
+        'SELECT COALESCE(merged_into_id, id) AS id FROM master_products WHERE standardized_name_normalized = $1',
+        [master.standardizedName]
+    );
+    if (existing.rows.length > 0) {
+        return { status: 409, error: 'A master product with this standardized name already exists.', masterProductId: existing.rows[0].id };
+    }
+
+    const adjustment = parseFloat(source.current_price_adjustment_percentage) || 0;
+    const newMasterResult = await client.query(
+        `INSERT INTO master_products (standardized_name_normalized, display_name, description, image_url, brand, category,
+            initial_seed_price, current_price_adjustment_percentage)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING ${MASTER_COLUMNS}`,
+        [
+            master.standardizedName, master.displayName, master.description || null, master.imageUrl || null,
+            master.brand || null, master.category || source.category, productsResult.rows[0].price, adjustment
+        ]
+    );
+    const newMaster = newMasterResult.rows[0];
+
+    await client.query(
+        `UPDATE products SET master_product_id = $1, linking_status = 'admin_linked' WHERE id = ANY($2::int[])`,
+        [newMaster.id, productIds]
+    );
+    const operation = await logOperation(client, {
+        operation: 'split', targetId: newMaster.id, sourceIds: [sourceId], productIds, note, adminId,
+        details: { adjustment }
+    });
+    console.log(`[MASTER_PRODUCTS] Split products ${productIds.join(', ')} off master product ${sourceId} into new master ${newMaster.id} by admin ${adminId}`);
+    return { masterProduct: newMaster, operation };
+};
+
+module.exports = { mergeMasterProducts, splitMasterProduct };
@@ -0,0 +1,35 @@
+// telegram-app-backend/services/notifications.js
+// Customer notifications go through the Telegram bot that hosts the Mini App.
+// user_id in our tables is the customer's Telegram user id, which is also their private chat id with the bot.
+
+const sendTelegramMessage = async (chatId, text) => {
+    if (!process.env.TELEGRAM_BOT_TOKEN) {
+        console.error("[NOTIFICATIONS] TELEGRAM_BOT_TOKEN is not set in .env! Message not sent.");
+        return false;
+    }
+
+    const response = await fetch(`https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chat_id: chatId, text })
+    });
+    if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`Telegram sendMessage failed with ${response.status}: ${body}`);
+    }
+    return true;
+};
+
+// Best effort: a failed notification is logged but never fails the request that triggered it.
+const notifyCustomer = async (userId, text) => {
+    try {
+        const sent = await sendTelegramMessage(userId, text);
+        if (sent) console.log(`[NOTIFICATIONS] Notified user ${userId}.`);
+        return sent;
+    } catch (err) {
+        console.error(`[NOTIFICATIONS] Failed to notify user ${userId}:`, err.message);
+        return false;
+    }
+};
+
+module.exports = { notifyCustomer };
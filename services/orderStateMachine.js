@@ -0,0 +1,407 @@
+// telegram-app-backend/services/orderStateMachine.js
+// Central definition of the order / order item lifecycle.
+// Every status change on orders.status, supplier_orders.status, order_items.supplier_item_status and
+// order_items.delivery_item_status must go through this module so transitions are validated and written to
+// order_status_history. A sub-order (one supplier's share of an order) follows the same lifecycle as an order.
+
+const { INACTIVE_SUPPLIER_ITEM_STATUSES } = require('./orderStatuses');
+const deliveryRollup = require('./deliveryRollup');
+const orderTotals = require('./orderTotals');
+const inventory = require('./inventory');
+const coupons = require('./coupons');
+
+// --- Order lifecycle: pending → confirmed → preparing → assigned_to_agent → out_for_delivery → delivered/failed/cancelled/returned
+const ORDER_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['assigned_to_agent', 'cancelled'],
+    assigned_to_agent: ['out_for_delivery', 'cancelled'],
+    out_for_delivery: ['delivered', 'failed'],
+    delivered: ['returned'],
+    // A failed delivery can be retried or returned. Not cancelled: its items are out with/back from the agent, which
+    // supplier-side cancellation doesn't allow (CANCELLABLE_DELIVERY_ITEM_STATUSES); returning restores their stock.
+    failed: ['assigned_to_agent', 'out_for_delivery', 'returned'],
+    cancelled: [],
+    returned: []
+};
+const ORDER_STATUS_FLOW = ['pending', 'confirmed', 'preparing', 'assigned_to_agent', 'out_for_delivery'];
+
+// --- Supplier side of an item: what the supplier has done with it
+const SUPPLIER_ITEM_TRANSITIONS = {
+    pending: ['confirmed', 'rejected', 'cancelled'],
+    confirmed: ['preparing', 'ready_for_pickup', 'cancelled'],
+    preparing: ['ready_for_pickup', 'cancelled'],
+    ready_for_pickup: ['cancelled'],
+    rejected: [],
+    cancelled: []
+};
+
+// --- Delivery side of an item: where the item physically is
+const DELIVERY_ITEM_TRANSITIONS = {
+    pending_assignment: ['assigned_to_agent'],
+    assigned_to_agent: ['out_for_delivery', 'pending_assignment'], // pending_assignment = unassigned again
+    out_for_delivery: ['delivered', 'delivery_failed', 'payment_pending'],
+    payment_pending: ['delivered', 'delivery_failed'],
+    delivery_failed: ['assigned_to_agent', 'out_for_delivery', 'returned'],
+    delivered: ['returned'],
+    returned: []
+};
+
+const ITEM_TRANSITIONS = {
+    supplier_item_status: SUPPLIER_ITEM_TRANSITIONS,
+    delivery_item_status: DELIVERY_ITEM_TRANSITIONS
+};
+
+// An item can only be handed to an agent once the supplier has accepted it
+const DELIVERABLE_SUPPLIER_ITEM_STATUSES = ['confirmed', 'preparing', 'ready_for_pickup'];
+// The supplier can only cancel/reject an item the agent hasn't picked up yet
+const CANCELLABLE_DELIVERY_ITEM_STATUSES = ['pending_assignment', 'assigned_to_agent'];
+// Customers can only cancel items the supplier hasn't accepted yet
+const CUSTOMER_CANCELLABLE_SUPPLIER_ITEM_STATUSES = ['pending'];
+
+// How an individual item maps onto the order-level lifecycle
+const SUPPLIER_STATUS_TO_ORDER_STAGE = {
+    pending: 'pending',
+    confirmed: 'confirmed',
+    preparing: 'preparing',
+    ready_for_pickup: 'preparing'
+};
+const DELIVERY_STATUS_TO_ORDER_STAGE = {
+    assigned_to_agent: 'assigned_to_agent',
+    out_for_delivery: 'out_for_delivery',
+    payment_pending: 'out_for_delivery',
+    delivery_failed: 'failed',
+    delivered: 'delivered',
+    returned: 'returned'
+};
+
+class InvalidTransitionError extends Error {
+    constructor(message, details = {}, statusCode = 409) {
+        super(message);
+        this.name = 'InvalidTransitionError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+const canTransition = (transitions, fromStatus, toStatus) => (transitions[fromStatus] || []).includes(toStatus);
+
+// True if toStatus can be reached from fromStatus through one or more allowed transitions.
+const isReachable = (transitions, fromStatus, toStatus) => {
+    const visited = new Set([fromStatus]);
+    const queue = [fromStatus];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const next of transitions[current] || []) {
+            if (next === toStatus) return true;
+            if (!visited.has(next)) {
+                visited.add(next);
+                queue.push(next);
+            }
+        }
+    }
+    return false;
+};
+
+const normalizeItemStatuses = (item) => ({
+    supplier_item_status: item.supplier_item_status || 'pending',
+    delivery_item_status: item.delivery_item_status || 'pending_assignment'
+});
+
+const isItemActive = (item) => !INACTIVE_SUPPLIER_ITEM_STATUSES.includes(normalizeItemStatuses(item).supplier_item_status);
+
+const deriveItemOrderStage = (item) => {
+    const { supplier_item_status, delivery_item_status } = normalizeItemStatuses(item);
+    if (INACTIVE_SUPPLIER_ITEM_STATUSES.includes(supplier_item_status)) return 'cancelled';
+    if (delivery_item_status !== 'pending_assignment') return DELIVERY_STATUS_TO_ORDER_STAGE[delivery_item_status];
+    return SUPPLIER_STATUS_TO_ORDER_STAGE[supplier_item_status];
+};
+
+// The order is as far along as its least advanced active item.
+// Once every active item has finished, delivered wins over failed; an order is only 'returned' if everything came back.
+const deriveOrderStatus = (items) => {
+    const activeStages = items.map(deriveItemOrderStage).filter(stage => stage !== 'cancelled');
+    if (activeStages.length === 0) return 'cancelled';
+
+    const openStages = activeStages.filter(stage => ORDER_STATUS_FLOW.includes(stage));
+    if (openStages.length > 0) {
+        return ORDER_STATUS_FLOW.find(stage => openStages.includes(stage));
+    }
+    if (activeStages.every(stage => stage === 'returned')) return 'returned';
+    if (activeStages.includes('delivered')) return 'delivered';
+    return 'failed';
+};
+
+const recordStatusHistory = async (client, {
+    orderId, orderItemId = null, supplierOrderId = null, statusField, fromStatus, toStatus, actor, note = null
+}) => {
+    await client.query(
+        `INSERT INTO order_status_history
+            (order_id, order_item_id, supplier_order_id, status_field, from_status, to_status, actor_type, actor_id, note)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [orderId, orderItemId, supplierOrderId, statusField, fromStatus, toStatus, actor.type, actor.id || null, note]
+    );
+};
+
+// Re-derives orders.status from its items and moves the order forward if the derived status is reachable.
+// Must be called inside the caller's transaction, after item rows are locked/updated.
+const syncOrderStatus = async (client, orderId, actor) => {
+    const orderResult = await client.query('SELECT id, status FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (orderResult.rows.length === 0) return null;
+    const currentStatus = orderResult.rows[0].status;
+
+    const itemsResult = await client.query(
+        'SELECT supplier_item_status, delivery_item_status FROM order_items WHERE order_id = $1',
+        [orderId]
+    );
+    const derivedStatus = deriveOrderStatus(itemsResult.rows);
+
+    if (derivedStatus === currentStatus || !isReachable(ORDER_TRANSITIONS, currentStatus, derivedStatus)) {
+        return currentStatus;
+    }
+
+    await client.query('UPDATE orders SET status = $1 WHERE id = $2', [derivedStatus, orderId]);
+    await recordStatusHistory(client, {
+        orderId, statusField: 'status', fromStatus: currentStatus, toStatus: derivedStatus,
+        actor, note: 'Derived from order item statuses.'
+    });
+    if (derivedStatus === 'cancelled') {
+        await coupons.releaseRedemptionsForOrder(client, orderId);
+    }
+    console.log(`[ORDER_STATE] Order ${orderId} moved ${currentStatus} -> ${derivedStatus} (derived from items)`);
+    return derivedStatus;
+};
+
+// Same as syncOrderStatus for one sub-order (supplier_orders.status), derived from that supplier's items only.
+const syncSupplierOrderStatus = async (client, supplierOrderId, actor) => {
+    const subOrderResult = await client.query(
+        'SELECT id, order_id, status FROM supplier_orders WHERE id = $1 FOR UPDATE',
+        [supplierOrderId]
+    );
+    if (subOrderResult.rows.length === 0) return null;
+    const { order_id: orderId, status: currentStatus } = subOrderResult.rows[0];
+
+    const itemsResult = await client.query(
+        'SELECT supplier_item_status, delivery_item_status FROM order_items WHERE supplier_order_id = $1',
+        [supplierOrderId]
+    );
+    const derivedStatus = deriveOrderStatus(itemsResult.rows);
+
+    if (derivedStatus === currentStatus || !isReachable(ORDER_TRANSITIONS, currentStatus, derivedStatus)) {
+        return currentStatus;
+    }
+
+    await client.query('UPDATE supplier_orders SET status = $1 WHERE id = $2', [derivedStatus, supplierOrderId]);
+    await recordStatusHistory(client, {
+        orderId, supplierOrderId, statusField: 'supplier_order_status', fromStatus: currentStatus, toStatus: derivedStatus,
+        actor, note: 'Derived from order item statuses.'
+    });
+    console.log(`[ORDER_STATE] Sub-order ${supplierOrderId} (order ${orderId}) moved ${currentStatus} -> ${derivedStatus}`);
+    return derivedStatus;
+};
+
+// Moves one order item's supplier_item_status or delivery_item_status to toStatus.
+// extraFields: additional order_items columns to set in the same UPDATE (e.g. { delivery_notes }).
+// Throws InvalidTransitionError (409) if the transition is not allowed. Returns the updated order_items row.
+const transitionOrderItem = async (client, { orderItemId, statusField, toStatus, actor, note = null, extraFields = {} }) => {
+    const transitions = ITEM_TRANSITIONS[statusField];
+    if (!transitions) {
+        throw new Error(`Unknown order item status field: ${statusField}`);
+    }
+
+    const itemResult = await client.query('SELECT * FROM order_items WHERE id = $1 FOR UPDATE', [orderItemId]);
+    if (itemResult.rows.length === 0) {
+        throw new InvalidTransitionError(`Order item ${orderItemId} not found.`, { orderItemId }, 404);
+    }
+    const item = itemResult.rows[0];
+    const statuses = normalizeItemStatuses(item);
+    const fromStatus = statuses[statusField];
+
+    if (!canTransition(transitions, fromStatus, toStatus)) {
+        throw new InvalidTransitionError(
+            `Cannot change ${statusField} of order item ${orderItemId} from '${fromStatus}' to '${toStatus}'.`,
+            { orderItemId, statusField, fromStatus, toStatus, allowed: transitions[fromStatus] || [] }
+        );
+    }
+
+    // Keep the supplier and delivery sides consistent with each other
+    if (statusField === 'delivery_item_status' && toStatus === 'assigned_to_agent'
+        && !DELIVERABLE_SUPPLIER_ITEM_STATUSES.includes(statuses.supplier_item_status)) {
+        throw new InvalidTransitionError(
+            `Order item ${orderItemId} cannot be assigned for delivery while the supplier status is '${statuses.supplier_item_status}'.`,
+            { orderItemId, statusField, fromStatus, toStatus, supplierItemStatus: statuses.supplier_item_status }
+        );
+    }
+    if (statusField === 'supplier_item_status' && INACTIVE_SUPPLIER_ITEM_STATUSES.includes(toStatus)
+        && !CANCELLABLE_DELIVERY_ITEM_STATUSES.includes(statuses.delivery_item_status)) {
+        throw new InvalidTransitionError(
+            `Order item ${orderItemId} cannot be ${toStatus} once delivery is '${statuses.delivery_item_status}'.`,
+            { orderItemId, statusField, fromStatus, toStatus, deliveryItemStatus: statuses.delivery_item_status }
+        );
+    }
+
+    const fieldsToUpdate = { ...extraFields, [statusField]: toStatus };
+    if (statusField === 'delivery_item_status' && toStatus === 'delivered') {
+        fieldsToUpdate.item_delivered_at = new Date();
+    }
+    if (statusField === 'supplier_item_status') {
+        fieldsToUpdate.supplier_status_updated_at = new Date();
+    }
+    if (statusField === 'supplier_item_status' && toStatus === 'cancelled') {
+        fieldsToUpdate.cancelled_at = new Date();
+    }
+    // A cancelled/rejected item that was already handed to an agent goes back out of the agent's queue
+    const unassignFromAgent = statusField === 'supplier_item_status'
+        && INACTIVE_SUPPLIER_ITEM_STATUSES.includes(toStatus)
+        && statuses.delivery_item_status === 'assigned_to_agent';
+    if (unassignFromAgent) {
+        fieldsToUpdate.delivery_item_status = 'pending_assignment';
+        fieldsToUpdate.assigned_delivery_agent_id = null;
+    }
+
+    const setClauses = Object.keys(fieldsToUpdate).map((key, index) => `${key} = $${index + 1}`).join(', ');
+    const values = [...Object.values(fieldsToUpdate), orderItemId];
+    const updateResult = await client.query(
+        `UPDATE order_items SET ${setClauses} WHERE id = $${values.length} RETURNING *;`,
+        values
+    );
+
+    await recordStatusHistory(client, {
+        orderId: item.order_id, orderItemId, statusField, fromStatus, toStatus, actor, note
+    });
+    if (unassignFromAgent) {
+        await recordStatusHistory(client, {
+            orderId: item.order_id, orderItemId, statusField: 'delivery_item_status',
+            fromStatus: 'assigned_to_agent', toStatus: 'pending_assignment', actor,
+            note: `Unassigned because the item was ${toStatus}.`
+        });
+    }
+    console.log(`[ORDER_STATE] Item ${orderItemId} ${statusField}: ${fromStatus} -> ${toStatus} by ${actor.type} ${actor.id || ''}`);
+
+    // Rejected/cancelled items no longer count towards what the customer pays, and their stock goes back on sale
+    if (statusField === 'supplier_item_status' && INACTIVE_SUPPLIER_ITEM_STATUSES.includes(toStatus)) {
+        await orderTotals.recalculateOrderTotal(client, item.order_id);
+        await inventory.restoreStockForOrderItem(client, orderItemId);
+    }
+    if (statusField === 'delivery_item_status' && toStatus === 'returned') {
+        await inventory.restoreStockForOrderItem(client, orderItemId);
+    }
+    if (item.supplier_order_id) {
+        await syncSupplierOrderStatus(client, item.supplier_order_id, actor);
+    }
+    await syncOrderStatus(client, item.order_id, actor);
+    await deliveryRollup.refreshOrderDeliveryStatus(client, item.order_id);
+    return updateResult.rows[0];
+};
+
+// Hands an order item to a delivery agent. Items waiting for assignment (or after a failed delivery) move to
+// assigned_to_agent; an item that is already assigned just changes agent, which is recorded in the history too.
+const assignOrderItemToAgent = async (client, { orderItemId, deliveryAgentId, actor, note = null }) => {
+    const itemResult = await client.query(
+        'SELECT id, order_id, delivery_item_status, assigned_delivery_agent_id FROM order_items WHERE id = $1 FOR UPDATE',
+        [orderItemId]
+    );
+    if (itemResult.rows.length === 0) {
+        throw new InvalidTransitionError(`Order item ${orderItemId} not found.`, { orderItemId }, 404);
+    }
+    const item = itemResult.rows[0];
+    const deliveryStatus = item.delivery_item_status || 'pending_assignment';
+
+    if (deliveryStatus !== 'assigned_to_agent') {
+        return transitionOrderItem(client, {
+            orderItemId, statusField: 'delivery_item_status', toStatus: 'assigned_to_agent', actor,
+            note: note || `Assigned to delivery agent ${deliveryAgentId}.`,
+            extraFields: { assigned_delivery_agent_id: deliveryAgentId }
+        });
+    }
+
+    if (item.assigned_delivery_agent_id === deliveryAgentId) {
+        const unchangedResult = await client.query('SELECT * FROM order_items WHERE id = $1', [orderItemId]);
+        return unchangedResult.rows[0];
+    }
+
+    const updateResult = await client.query(
+        'UPDATE order_items SET assigned_delivery_agent_id = $1 WHERE id = $2 RETURNING *;',
+        [deliveryAgentId, orderItemId]
+    );
+    await recordStatusHistory(client, {
+        orderId: item.order_id, orderItemId, statusField: 'delivery_item_status',
+        fromStatus: 'assigned_to_agent', toStatus: 'assigned_to_agent', actor,
+        note: note || `Reassigned from delivery agent ${item.assigned_delivery_agent_id} to ${deliveryAgentId}.`
+    });
+    console.log(`[ORDER_STATE] Item ${orderItemId} reassigned from agent ${item.assigned_delivery_agent_id} to ${deliveryAgentId}`);
+    return updateResult.rows[0];
+};
+
+// Cancels a whole order (admin use): all of its still-active items are cancelled, which restores their stock, and
+// its coupon use is released. Every other order status follows from the items (syncOrderStatus), so it is changed by
+// moving the items with transitionOrderItem instead.
+// Throws InvalidTransitionError (409) if the order can no longer be cancelled. Returns the updated orders row.
+const cancelOrder = async (client, { orderId, actor, note = null }) => {
+    const toStatus = 'cancelled';
+    // Lock items before the order (same order as transitionOrderItem) to avoid deadlocks
+    const itemsResult = await client.query(
+        'SELECT id, supplier_item_status, delivery_item_status FROM order_items WHERE order_id = $1 ORDER BY id FOR UPDATE',
+        [orderId]
+    );
+    const orderResult = await client.query('SELECT id, status FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (orderResult.rows.length === 0) {
+        throw new InvalidTransitionError(`Order ${orderId} not found.`, { orderId }, 404);
+    }
+    const fromStatus = orderResult.rows[0].status;
+
+    if (!canTransition(ORDER_TRANSITIONS, fromStatus, toStatus)) {
+        throw new InvalidTransitionError(
+            `Cannot change order ${orderId} from '${fromStatus}' to '${toStatus}'.`,
+            { orderId, statusField: 'status', fromStatus, toStatus, allowed: ORDER_TRANSITIONS[fromStatus] || [] }
+        );
+    }
+
+    for (const item of itemsResult.rows.filter(isItemActive)) {
+        await transitionOrderItem(client, {
+            orderItemId: item.id, statusField: 'supplier_item_status', toStatus,
+            actor, note: note || 'Order cancelled.',
+            extraFields: note ? { cancellation_reason: note } : {}
+        });
+    }
+
+    // Cancelling every item may already have moved the order via syncOrderStatus
+    const updateResult = await client.query(
+        'UPDATE orders SET status = $1 WHERE id = $2 AND status IS DISTINCT FROM $1 RETURNING *;',
+        [toStatus, orderId]
+    );
+    if (updateResult.rows.length > 0) {
+        await recordStatusHistory(client, { orderId, statusField: 'status', fromStatus, toStatus, actor, note });
+    }
+    await coupons.releaseRedemptionsForOrder(client, orderId);
+    console.log(`[ORDER_STATE] Order ${orderId} ${fromStatus} -> ${toStatus} by ${actor.type} ${actor.id || ''}`);
+
+    const finalResult = await client.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+    return finalResult.rows[0];
+};
+
+// Sends the standard 409 response for an InvalidTransitionError. Returns false for any other error.
+const respondToTransitionError = (res, err) => {
+    if (!(err instanceof InvalidTransitionError)) return false;
+    res.status(err.statusCode).json({ error: err.message, ...err.details });
+    return true;
+};
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    SUPPLIER_ITEM_TRANSITIONS,
+    DELIVERY_ITEM_TRANSITIONS,
+    INACTIVE_SUPPLIER_ITEM_STATUSES,
+    CUSTOMER_CANCELLABLE_SUPPLIER_ITEM_STATUSES,
+    InvalidTransitionError,
+    canTransition,
+    isItemActive,
+    deriveOrderStatus,
+    recordStatusHistory,
+    syncOrderStatus,
+    syncSupplierOrderStatus,
+    transitionOrderItem,
+    assignOrderItemToAgent,
+    cancelOrder,
+    respondToTransitionError
+};
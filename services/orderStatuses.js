@@ -0,0 +1,7 @@
+// telegram-app-backend/services/orderStatuses.js
+// Status groups shared by the order state machine and the modules it calls (deliveryRollup, orderTotals).
+
+// Item states that take the item out of the order (it no longer counts towards totals or order status).
+const INACTIVE_SUPPLIER_ITEM_STATUSES = ['rejected', 'cancelled'];
+
+module.exports = { INACTIVE_SUPPLIER_ITEM_STATUSES };
@@ -0,0 +1,41 @@
+// telegram-app-backend/services/orderTotals.js
+const { INACTIVE_SUPPLIER_ITEM_STATUSES } = require('./orderStatuses');
+
+// Recomputes every sub-order's items_subtotal/total_amount from its still-active items (rejected/cancelled items no
+// longer count, and a sub-order with nothing left doesn't charge its delivery fee), then orders.total_amount as the
+// sum of its sub-orders. A coupon discount (supplier_orders.discount_amount) is fixed at checkout but never takes a
+// sub-order's items below zero. Runs inside the caller's transaction. Returns the new order total as a string.
+const recalculateOrderTotal = async (client, orderId) => {
+    await client.query(
+        `UPDATE supplier_orders so SET
+            items_subtotal = totals.items_subtotal,
+            total_amount = GREATEST(totals.items_subtotal - so.discount_amount, 0)
+                + CASE WHEN totals.active_items > 0 THEN so.delivery_fee ELSE 0 END
+         FROM (
+            SELECT oi.supplier_order_id,
+                   COALESCE(SUM(oi.quantity * oi.price_at_time_of_order)
+                            FILTER (WHERE COALESCE(oi.supplier_item_status, 'pending') <> ALL($2::varchar[])), 0) AS items_subtotal,
+                   COUNT(*) FILTER (WHERE COALESCE(oi.supplier_item_status, 'pending') <> ALL($2::varchar[])) AS active_items
+            FROM order_items oi
+            WHERE oi.order_id = $1 AND oi.supplier_order_id IS NOT NULL
+            GROUP BY oi.supplier_order_id
+         ) totals
+         WHERE so.id = totals.supplier_order_id;`,
+        [orderId, INACTIVE_SUPPLIER_ITEM_STATUSES]
+    );
+
+    const result = await client.query(
+        `UPDATE orders SET total_amount = (
+            SELECT COALESCE(SUM(so.total_amount), 0) FROM supplier_orders so WHERE so.order_id = $1
+         )
+         WHERE id = $1
+         RETURNING total_amount;`,
+        [orderId]
+    );
+    if (result.rows.length === 0) return null;
+    const newTotal = parseFloat(result.rows[0].total_amount).toFixed(2);
+    console.log(`[ORDER_TOTALS] Order ${orderId} total recalculated to ${newTotal}`);
+    return newTotal;
+};
+
+module.exports = { recalculateOrderTotal };
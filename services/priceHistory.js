@@ -0,0 +1,86 @@
+// telegram-app-backend/services/priceHistory.js
+// Writes and reads the price_history audit trail. The pricing engine records every adjustment it changes and the
+// supplier product routes record every price change, inside the same transaction as the change itself.
+
+const PRICE_FIELDS = ['price', 'discount_price', 'is_on_sale'];
+
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// oldAdjustment/newAdjustment are fractions (0.015 = +1.5%). cityId null = the master product's global adjustment.
+// cause/actor default to the pricing engine; admin price overrides pass their own (see services/priceLocks.js).
+const recordAdjustmentChange = async (client, {
+    masterProductId, cityId = null, oldAdjustment, newAdjustment, demandScore = null, pricingRuleId = null, note = null,
+    cause = 'pricing_engine', actor = { type: 'system', id: null }
+}) => {
+    await client.query(
+        `INSERT INTO price_history
+            (change_type, master_product_id, city_id, old_adjustment_percentage, new_adjustment_percentage,
+             demand_score, pricing_rule_id, cause, changed_by_type, changed_by_id, note)
+         VALUES ('adjustment', $1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [masterProductId, cityId, oldAdjustment, newAdjustment, demandScore, pricingRuleId, cause, actor.type, actor.id, note]
+    );
+};
+
+// Pricing engine version of recordAdjustmentChange for many rows in one statement.
+// changes: [{ masterProductId, cityId, oldAdjustment, newAdjustment, demandScore, pricingRuleId, note }]
+const recordEngineAdjustmentChanges = async (client, changes) => {
+    if (changes.length === 0) return;
+    const column = (key, fallback = null) => changes.map(change => (change[key] === undefined ? fallback : change[key]));
+    await client.query(
+        `INSERT INTO price_history
+            (change_type, master_product_id, city_id, old_adjustment_percentage, new_adjustment_percentage,
+             demand_score, pricing_rule_id, cause, changed_by_type, note)
+         SELECT 'adjustment', u.master_product_id, u.city_id, u.old_adjustment, u.new_adjustment,
+                u.demand_score, u.pricing_rule_id, 'pricing_engine', 'system', u.note
+         FROM UNNEST($1::int[], $2::int[], $3::numeric[], $4::numeric[], $5::int[], $6::int[], $7::text[])
+              AS u(master_product_id, city_id, old_adjustment, new_adjustment, demand_score, pricing_rule_id, note)`,
+        [
+            column('masterProductId'), column('cityId'), column('oldAdjustment'), column('newAdjustment'),
+            column('demandScore'), column('pricingRuleId'), column('note')
+        ]
+    );
+};
+
+// oldProduct: the products row before the change (null when the product was just created); newProduct: after it.
+// Only writes a row if price, discount_price or is_on_sale actually changed.
+const recordSupplierPriceChange = async (client, { oldProduct, newProduct, cause, supplierId }) => {
+    const before = oldProduct || {};
+    const changed = !oldProduct || PRICE_FIELDS.some(field => (field === 'is_on_sale'
+        ? Boolean(before[field]) !== Boolean(newProduct[field])
+        : toNumberOrNull(before[field]) !== toNumberOrNull(newProduct[field])));
+    if (!changed) return false;
+
+    await client.query(
+        `INSERT INTO price_history
+            (change_type, product_id, supplier_id, master_product_id, old_price, new_price,
+             old_discount_price, new_discount_price, old_is_on_sale, new_is_on_sale, cause, changed_by_type, changed_by_id)
+         VALUES ('supplier_price', $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'supplier', $11)`,
+        [
+            newProduct.id, newProduct.supplier_id, newProduct.master_product_id,
+            toNumberOrNull(before.price), toNumberOrNull(newProduct.price),
+            toNumberOrNull(before.discount_price), toNumberOrNull(newProduct.discount_price),
+            oldProduct ? Boolean(before.is_on_sale) : null, Boolean(newProduct.is_on_sale),
+            cause, supplierId
+        ]
+    );
+    return true;
+};
+
+// A product's price timeline, newest first: its own supplier price changes plus the pricing engine's adjustments of
+// the master product it is linked to now. With cityId, only the global adjustments and that city's ones.
+const getProductPriceTimeline = async (client, { productId, masterProductId, cityId = null, limit = 200 }) => {
+    const result = await client.query(
+        `SELECT ph.*, pr.scope AS pricing_rule_scope
+         FROM price_history ph
+         LEFT JOIN pricing_rules pr ON ph.pricing_rule_id = pr.id
+         WHERE ph.product_id = $1
+            OR (ph.change_type = 'adjustment' AND ph.master_product_id = $2
+                AND ($3::int IS NULL OR ph.city_id IS NULL OR ph.city_id = $3))
+         ORDER BY ph.created_at DESC, ph.id DESC
+         LIMIT $4;`,
+        [productId, masterProductId, cityId, limit]
+    );
+    return result.rows;
+};
+
+module.exports = { recordAdjustmentChange, recordEngineAdjustmentChanges, recordSupplierPriceChange, getProductPriceTimeline };
@@ -0,0 +1,117 @@
+// telegram-app-backend/services/priceLocks.js
+// Admin price locks on master products. A locked product keeps its current_price_adjustment_percentage: the pricing
+// engine skips it, and it has no city-specific adjustments. A manual override is a lock that also sets the adjustment
+// and remembers the previous one, which is restored when the override is unlocked or expires.
+// Every function runs inside the caller's transaction; every change is written to price_history.
+const priceHistory = require('./priceHistory');
+
+const LOCK_COLUMNS = `id, display_name, current_price_adjustment_percentage, price_locked, price_lock_expires_at,
+    price_lock_reason, price_locked_by_admin_id, price_locked_at, adjustment_before_override, merged_into_id`;
+
+const fetchForUpdate = async (client, masterProductId) => {
+    const result = await client.query(
+        `SELECT ${LOCK_COLUMNS} FROM master_products WHERE id = $1 FOR UPDATE`,
+        [masterProductId]
+    );
+    return result.rows[0] || null;
+};
+
+// City adjustments would let the price move per city, so a locked product drops them (the locked value applies
+// everywhere).
+const removeCityAdjustments = async (client, masterProductId, cause, actor) => {
+    const removed = await client.query(
+        `DELETE FROM master_product_city_adjustments WHERE master_product_id = $1
+         RETURNING city_id, adjustment_percentage`,
+        [masterProductId]
+    );
+    for (const row of removed.rows) {
+        await priceHistory.recordAdjustmentChange(client, {
+            masterProductId, cityId: row.city_id, oldAdjustment: row.adjustment_percentage, newAdjustment: null,
+            cause, actor, note: 'Price locked; the global adjustment applies in every city.'
+        });
+    }
+};
+
+// Locks a master product, optionally setting its adjustment (adjustment = null keeps the current one).
+// Locking an already locked product replaces its expiry and reason; an override keeps the adjustment from before the
+// first override so it can still be restored. Returns the updated row, null if the master product doesn't exist, or
+// the unchanged row if it was merged into another one (nothing prices with it any more, so a lock would do nothing).
+const lockPrice = async (client, masterProductId, { adjustment = null, expiresAt = null, reason = null, adminId }) => {
+    const existing = await fetchForUpdate(client, masterProductId);
+    if (!existing || existing.merged_into_id !== null) return existing;
+
+    const actor = { type: 'admin', id: adminId };
+    const cause = adjustment === null ? 'admin_lock' : 'admin_override';
+    const currentAdjustment = parseFloat(existing.current_price_adjustment_percentage) || 0;
+    const newAdjustment = adjustment === null ? currentAdjustment : adjustment;
+    let adjustmentBeforeOverride = existing.adjustment_before_override;
+    if (adjustment !== null && adjustmentBeforeOverride === null) {
+        adjustmentBeforeOverride = currentAdjustment;
+    }
+
+    await removeCityAdjustments(client, masterProductId, cause, actor);
+    const result = await client.query(
+        `UPDATE master_products SET
+            current_price_adjustment_percentage = $2,
+            last_adjustment_update = CASE WHEN current_price_adjustment_percentage <> $2 THEN NOW() ELSE last_adjustment_update END,
+            price_locked = TRUE, price_lock_expires_at = $3, price_lock_reason = $4,
+            price_locked_by_admin_id = $5, price_locked_at = NOW(), adjustment_before_override = $6
+         WHERE id = $1
+         RETURNING ${LOCK_COLUMNS}`,
+        [masterProductId, newAdjustment, expiresAt, reason, adminId, adjustmentBeforeOverride]
+    );
+    await priceHistory.recordAdjustmentChange(client, {
+        masterProductId, oldAdjustment: currentAdjustment, newAdjustment, cause, actor,
+        note: [reason, expiresAt ? `until ${new Date(expiresAt).toISOString()}` : null].filter(Boolean).join(' - ') || null
+    });
+    console.log(`[PRICE_LOCKS] Master product ${masterProductId} ${cause === 'admin_override' ? `overridden to ${newAdjustment.toFixed(4)}` : 'locked'} by admin ${adminId}`);
+    return result.rows[0];
+};
+
+// Unlocks a master product; an override's previous adjustment is restored. The pricing engine takes over again on its
+// next run. With expiredOnly, a lock that was extended meanwhile is left alone.
+// Returns the updated row, the unchanged row if it wasn't (or is no longer) due, or null if it doesn't exist.
+const unlockPrice = async (client, masterProductId, { cause = 'admin_unlock', actor, expiredOnly = false }) => {
+    const existing = await fetchForUpdate(client, masterProductId);
+    if (!existing || !existing.price_locked) return existing;
+    if (expiredOnly && !(existing.price_lock_expires_at && new Date(existing.price_lock_expires_at) <= new Date())) {
+        return existing;
+    }
+
+    const currentAdjustment = parseFloat(existing.current_price_adjustment_percentage) || 0;
+    const newAdjustment = existing.adjustment_before_override !== null
+        ? parseFloat(existing.adjustment_before_override)
+        : currentAdjustment;
+
+    const result = await client.query(
+        `UPDATE master_products SET
+            current_price_adjustment_percentage = $2,
+            last_adjustment_update = CASE WHEN current_price_adjustment_percentage <> $2 THEN NOW() ELSE last_adjustment_update END,
+            price_locked = FALSE, price_lock_expires_at = NULL, price_lock_reason = NULL,
+            price_locked_by_admin_id = NULL, price_locked_at = NULL, adjustment_before_override = NULL
+         WHERE id = $1
+         RETURNING ${LOCK_COLUMNS}`,
+        [masterProductId, newAdjustment]
+    );
+    await priceHistory.recordAdjustmentChange(client, {
+        masterProductId, oldAdjustment: currentAdjustment, newAdjustment, cause, actor,
+        note: existing.adjustment_before_override !== null ? 'Manual override ended; previous adjustment restored.' : null
+    });
+    console.log(`[PRICE_LOCKS] Master product ${masterProductId} unlocked (${cause})`);
+    return result.rows[0];
+};
+
+// Unlocks every lock whose expiry has passed. Returns how many were released (a lock extended in the meantime isn't).
+const releaseExpiredPriceLocks = async (client) => {
+    const expired = await client.query(
+        'SELECT id FROM master_products WHERE price_locked AND price_lock_expires_at <= NOW() ORDER BY id'
+    );
+    let released = 0;
+    for (const row of expired.rows) {
+        const result = await unlockPrice(client, row.id, { cause: 'lock_expired', actor: { type: 'system', id: null }, expiredOnly: true });
+        if (result && !result.price_locked) released += 1;
+    }
+    return released;
+};
+
+module.exports = { lockPrice, unlockPrice, releaseExpiredPriceLocks };
@@ -0,0 +1,84 @@
+// telegram-app-backend/services/pricing.js
+// The single definition of what a customer pays for a product. Catalog, cart and checkout routes all select
+// PRICE_COLUMNS (FROM products p ... PRICE_JOINS or priceJoins(city)) and run the row through
+// computeEffectivePrice / getPriceFields, so the same product costs the same everywhere in the same city.
+// (services/pricingEngine.js decides the adjustment percentages; this module applies them.)
+
+// Joins every priced query needs, with products aliased as p: the master product (mp), its adjustment for the
+// delivery city if the pricing engine keeps a separate one there (mpca), and the best active deal.
+// citySql is an SQL expression for the city (e.g. '$2::int'); without a city the global adjustment applies.
+// A supplier deal applies to its product, or to all of the supplier's products when it has no product_id.
+// Only deals with a discount_percentage and inside their start/end window count; the largest discount wins.
+const priceJoins = (citySql = 'NULL::int') => `
+    LEFT JOIN master_products mp ON p.master_product_id = mp.id
+    LEFT JOIN master_product_city_adjustments mpca ON mpca.master_product_id = mp.id AND mpca.city_id = ${citySql}
+    LEFT JOIN LATERAL (
+        SELECT d.id, d.discount_percentage
+        FROM deals d
+        WHERE d.supplier_id = p.supplier_id
+          AND (d.product_id = p.id OR d.product_id IS NULL)
+          AND d.is_active = TRUE
+          AND d.discount_percentage IS NOT NULL
+          AND (d.start_date IS NULL OR d.start_date <= NOW())
+          AND (d.end_date IS NULL OR d.end_date >= CURRENT_DATE) -- Same window as GET /api/deals
+        ORDER BY d.discount_percentage DESC, d.id ASC
+        LIMIT 1
+    ) active_deal ON TRUE`;
+
+const PRICE_JOINS = priceJoins();
+
+// Columns every priced query selects (needs PRICE_JOINS / priceJoins).
+const PRICE_COLUMNS = `
+    p.price AS supplier_base_price,
+    p.discount_price AS supplier_discount_price,
+    p.is_on_sale AS supplier_is_on_sale,
+    COALESCE(mpca.adjustment_percentage, mp.current_price_adjustment_percentage, 0.0000) AS price_adjustment_percentage,
+    active_deal.id AS applied_deal_id,
+    active_deal.discount_percentage AS deal_discount_percentage`;
+
+// computeEffectivePrice as an SQL expression (needs PRICE_JOINS / priceJoins), for filtering and sorting on the
+// customer price in the database. Keep the two in sync.
+const EFFECTIVE_PRICE_SQL = `ROUND(
+    (CASE WHEN p.is_on_sale AND p.discount_price IS NOT NULL THEN p.discount_price ELSE p.price END)
+    * (1 - COALESCE(active_deal.discount_percentage, 0) / 100.0)
+    * (1 + COALESCE(mpca.adjustment_percentage, mp.current_price_adjustment_percentage, 0)), 2)`;
+
+// Prices are rounded half away from zero to 2 decimals, like ROUND(numeric, 2) in EFFECTIVE_PRICE_SQL. Cutting the
+// cents to 12 significant digits first drops float error, so 4.35 × 0.5 (2.1749999...) still becomes 2.18.
+const roundPrice = (amount) => Math.sign(amount) * Math.round(Math.abs(parseFloat((amount * 100).toPrecision(12)))) / 100;
+
+// The supplier's own price: the discount price while the product is on sale, otherwise the list price.
+const getSupplierSellingPrice = (row) => {
+    if (row.supplier_is_on_sale && row.supplier_discount_price !== null && row.supplier_discount_price !== undefined) {
+        return parseFloat(row.supplier_discount_price);
+    }
+    return parseFloat(row.supplier_base_price);
+};
+
+const getDealMultiplier = (row) => {
+    const dealPercentage = parseFloat(row.deal_discount_percentage);
+    return row.applied_deal_id && !isNaN(dealPercentage) ? 1 - dealPercentage / 100 : 1;
+};
+
+// Effective selling price of a row selected with PRICE_COLUMNS:
+// supplier price × (1 - deal discount) × (1 + master product adjustment), rounded once at the end.
+const computeEffectivePrice = (row) => {
+    const adjustment = parseFloat(row.price_adjustment_percentage) || 0;
+    return roundPrice(getSupplierSellingPrice(row) * getDealMultiplier(row) * (1 + adjustment));
+};
+
+// The price fields catalog and cart responses return for a product. price_before_deal is what the product would
+// cost without its deal (null when no deal applies), so the frontend can show the discount.
+const getPriceFields = (row) => {
+    const effectivePrice = computeEffectivePrice(row);
+    const hasDeal = getDealMultiplier(row) !== 1;
+    const adjustment = parseFloat(row.price_adjustment_percentage) || 0;
+    return {
+        effective_selling_price: effectivePrice,
+        price_before_deal: hasDeal ? roundPrice(getSupplierSellingPrice(row) * (1 + adjustment)) : null,
+        applied_deal_id: hasDeal ? row.applied_deal_id : null,
+        deal_discount_percentage: hasDeal ? parseFloat(row.deal_discount_percentage) : null
+    };
+};
+
+module.exports = { priceJoins, PRICE_JOINS, PRICE_COLUMNS, EFFECTIVE_PRICE_SQL, roundPrice, getSupplierSellingPrice, computeEffectivePrice, getPriceFields };
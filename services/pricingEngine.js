@@ -1,88 +1,406 @@
 // telegram-app-backend/services/pricingEngine.js
 const cron = require('node-cron');
 const db = require('../config/db'); // Adjust path to your db config
+const pricingRules = require('./pricingRules');
+const priceHistory = require('./priceHistory');
+const priceLocks = require('./priceLocks');
 
-const calculateDemandAndAdjustPercentage = async () => {
-    console.log(`[ADJUSTMENT_ENGINE] ${new Date().toISOString()} Starting scheduled price adjustment percentage task...`);
+// Units sold per master product in the windowDays before each of stepTimes (optionally only orders delivered to
+// cityId), in one aggregate query. The engine passes a single step (now); a replay passes one per simulated run.
+// Returns a Map `${stepIndex}:${masterProductId}` -> units. Uses today's order statuses, so orders cancelled
+// since then don't count in a replay either.
+const getDemandScoresAt = async (client, { masterProductIds, windowDays, cityId, stepTimes }) => {
+    const result = await client.query(
+        `SELECT s.step_index, p.master_product_id, SUM(oi.quantity) AS total_sold
+         FROM UNNEST($1::timestamptz[]) WITH ORDINALITY AS s(step_at, step_index)
+         JOIN orders o ON o.order_date >= s.step_at - make_interval(days => $2) AND o.order_date < s.step_at
+         JOIN order_items oi ON oi.order_id = o.id
+         JOIN products p ON oi.product_id = p.id
+         WHERE p.master_product_id = ANY($3::int[])
+           AND o.status NOT IN ('cancelled', 'refunded', 'failed')
+           AND ($4::int IS NULL OR o.shipping_city_id = $4)
+         GROUP BY s.step_index, p.master_product_id;`,
+        [stepTimes, windowDays, masterProductIds, cityId]
+    );
+    return new Map(result.rows.map(row => [
+        `${parseInt(row.step_index, 10) - 1}:${row.master_product_id}`, parseInt(row.total_sold, 10)
+    ]));
+};
+
+const RUN_BATCH_SIZE = 500; // Master products per transaction
+
+// Runs fn(client) in its own transaction on a fresh pool client
+const inTransaction = async (fn) => {
     const client = await db.pool.connect();
     try {
         await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
 
-        const masterProductsResult = await client.query(
-            // Select initial_seed_price if you added it
-            'SELECT id, current_price_adjustment_percentage, current_demand_score, initial_seed_price FROM master_products'
-        );
-        
-        if (masterProductsResult.rows.length === 0) {
-            console.log('[ADJUSTMENT_ENGINE] No master products found to process.');
-            await client.query('COMMIT'); // Important to commit even if no work
-            client.release(); // Release client
+// Groups items by their rule's demand window, so demand is aggregated once per window
+const groupByWindow = (items) => {
+    const groups = new Map();
+    items.forEach(item => {
+        const windowDays = item.rule.demand_window_days;
+        if (!groups.has(windowDays)) groups.set(windowDays, []);
+        groups.get(windowDays).push(item);
+    });
+    return groups;
+};
+
+// Demand (units sold now-window..now) for each item's master product, one aggregate query per demand window.
+// Returns a Map masterProductId -> units.
+const getCurrentDemand = async (client, items, cityId = null) => {
+    const demand = new Map();
+    const stepTimes = [new Date()];
+    for (const [windowDays, group] of groupByWindow(items)) {
+        const scores = await getDemandScoresAt(client, {
+            masterProductIds: group.map(item => item.masterProduct.id), windowDays, cityId, stepTimes
+        });
+        group.forEach(item => demand.set(item.masterProduct.id, scores.get(`0:${item.masterProduct.id}`) || 0));
+    }
+    return demand;
+};
+
+// One batch in one transaction: global adjustments, then city adjustments, each written with a few set-based
+// statements. The batch's rows are locked FOR UPDATE and re-read, so a price lock set since the run started is respected.
+const processBatch = async (client, batchIds, rules, ruleCityIds, counts) => {
+    const masterProductsResult = await client.query(
+        `SELECT id, category, current_price_adjustment_percentage, price_locked
+         FROM master_products WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE`,
+        [batchIds]
+    );
+
+    // Locked by an admin (manual override or lock): keep the adjustment as it is, in every city
+    const items = [];
+    masterProductsResult.rows.forEach(masterProduct => {
+        if (masterProduct.price_locked) {
+            counts.products_skipped_locked++;
+            console.log(`[ADJUSTMENT_ENGINE] Master Product ${masterProduct.id}: Price locked, skipped.`);
             return;
         }
+        const rule = pricingRules.pickRule(rules, masterProduct);
+        if (!rule) {
+            counts.products_skipped_no_rule++;
+            console.log(`[ADJUSTMENT_ENGINE] Master Product ${masterProduct.id}: No active pricing rule applies, skipped.`);
+            return;
+        }
+        items.push({ masterProduct, rule, current: parseFloat(masterProduct.current_price_adjustment_percentage) || 0 });
+    });
 
-        for (const masterProduct of masterProductsResult.rows) {
-            const masterProductId = masterProduct.id;
-            let currentAdjustmentPct = parseFloat(masterProduct.current_price_adjustment_percentage);
-            // const initialSeedPrice = parseFloat(masterProduct.initial_seed_price); // For advanced capping
-
-            // 1. Calculate Current Demand Score
-            const demandQuery = `
-                SELECT SUM(oi.quantity) AS total_sold
-                FROM order_items oi
-                JOIN products p ON oi.product_id = p.id
-                JOIN orders o ON oi.order_id = o.id
-                WHERE p.master_product_id = $1 
-                  AND o.order_date >= NOW() - INTERVAL '7 days' 
-                  AND o.status NOT IN ('cancelled', 'refunded', 'failed'); 
-            `;
-            const demandResult = await client.query(demandQuery, [masterProductId]);
-            const demandScoreLast7Days = parseInt(demandResult.rows[0]?.total_sold || 0, 10);
-
-            await client.query(
-                'UPDATE master_products SET current_demand_score = $1 WHERE id = $2',
-                [demandScoreLast7Days, masterProductId]
-            );
-            console.log(`[ADJUSTMENT_ENGINE] Master Product ${masterProductId}: Demand Score (last 7 days) = ${demandScoreLast7Days}`);
-
-            // 2. Apply Gradual Pricing Adjustment Algorithm
-            let newAdjustmentPct = currentAdjustmentPct;
+    // 1. Global adjustments
+    const demand = await getCurrentDemand(client, items);
+    const updates = items.map(item => {
+        const demandScore = demand.get(item.masterProduct.id);
+        return { ...item, demandScore, next: pricingRules.computeNextAdjustment(item.current, demandScore, item.rule) };
+    });
+    if (updates.length > 0) {
+        await client.query(
+            `UPDATE master_products mp SET
+                current_demand_score = u.demand_score,
+                current_price_adjustment_percentage = u.adjustment,
+                pricing_rule_id = u.pricing_rule_id,
+                last_adjustment_update = CASE WHEN mp.current_price_adjustment_percentage <> u.adjustment THEN NOW() ELSE mp.last_adjustment_update END
+             FROM UNNEST($1::int[], $2::int[], $3::numeric[], $4::int[]) AS u(id, demand_score, adjustment, pricing_rule_id)
+             WHERE mp.id = u.id`,
+            [updates.map(u => u.masterProduct.id), updates.map(u => u.demandScore), updates.map(u => u.next), updates.map(u => u.rule.id)]
+        );
+    }
+    const changed = updates.filter(u => u.next !== u.current);
+    await priceHistory.recordEngineAdjustmentChanges(client, changed.map(u => ({
+        masterProductId: u.masterProduct.id, oldAdjustment: u.current, newAdjustment: u.next,
+        demandScore: u.demandScore, pricingRuleId: u.rule.id
+    })));
+    counts.products_adjusted += changed.length;
+    counts.products_unchanged += updates.length - changed.length;
+    changed.forEach(u => console.log(`[ADJUSTMENT_ENGINE] Master Product ${u.masterProduct.id}: Adjustment % changed from ${u.current.toFixed(4)} to ${u.next.toFixed(4)} (Demand: ${u.demandScore}, rule ${u.rule.id})`));
 
-            const HIGH_DEMAND_ADJ_THRESHOLD = 20; 
-            const LOW_DEMAND_ADJ_THRESHOLD = 5;  
-            const ADJUSTMENT_STEP_PERCENTAGE = 0.005; // 0.5% change per step
-            const MAX_TOTAL_ADJUSTMENT_INCREASE = 0.10; // Max +10% adjustment overall
-            const MAX_TOTAL_ADJUSTMENT_DECREASE = -0.05; // Max -5% adjustment overall
+    // 2. Per-city adjustments where a city-specific rule is the most specific one
+    if (ruleCityIds.length === 0 || items.length === 0) return;
+    const cityAdjustmentsResult = await client.query(
+        'SELECT master_product_id, city_id, adjustment_percentage FROM master_product_city_adjustments WHERE master_product_id = ANY($1::int[])',
+        [items.map(item => item.masterProduct.id)]
+    );
+    const cityAdjustments = new Map(cityAdjustmentsResult.rows.map(row => [
+        `${row.master_product_id}:${row.city_id}`, parseFloat(row.adjustment_percentage)
+    ]));
 
-            if (demandScoreLast7Days > HIGH_DEMAND_ADJ_THRESHOLD) {
-                newAdjustmentPct += ADJUSTMENT_STEP_PERCENTAGE;
-            } else if (demandScoreLast7Days < LOW_DEMAND_ADJ_THRESHOLD) {
-                newAdjustmentPct -= ADJUSTMENT_STEP_PERCENTAGE;
+    const cityUpserts = [];
+    const cityRemovals = [];
+    for (const cityId of ruleCityIds) {
+        const cityItems = [];
+        items.forEach(item => {
+            const cityRule = pricingRules.pickRule(rules, item.masterProduct, cityId);
+            const key = `${item.masterProduct.id}:${cityId}`;
+            if (!cityRule || cityRule.city_id === null) {
+                if (cityAdjustments.has(key)) cityRemovals.push({ masterProductId: item.masterProduct.id, cityId, old: cityAdjustments.get(key) });
+                return;
             }
+            // A new city override starts from the product's current global adjustment
+            const isNew = !cityAdjustments.has(key);
+            cityItems.push({ masterProduct: item.masterProduct, rule: cityRule, isNew, current: isNew ? item.current : cityAdjustments.get(key) });
+        });
+        const cityDemand = await getCurrentDemand(client, cityItems, cityId);
+        cityItems.forEach(item => {
+            const demandScore = cityDemand.get(item.masterProduct.id);
+            cityUpserts.push({ ...item, cityId, demandScore, next: pricingRules.computeNextAdjustment(item.current, demandScore, item.rule) });
+        });
+    }
+
+    if (cityUpserts.length > 0) {
+        await client.query(
+            `INSERT INTO master_product_city_adjustments
+                (master_product_id, city_id, adjustment_percentage, demand_score, pricing_rule_id, updated_at)
+             SELECT u.master_product_id, u.city_id, u.adjustment, u.demand_score, u.pricing_rule_id, NOW()
+             FROM UNNEST($1::int[], $2::int[], $3::numeric[], $4::int[], $5::int[])
+                  AS u(master_product_id, city_id, adjustment, demand_score, pricing_rule_id)
+             ON CONFLICT (master_product_id, city_id) DO UPDATE SET
+                adjustment_percentage = EXCLUDED.adjustment_percentage, demand_score = EXCLUDED.demand_score,
+                pricing_rule_id = EXCLUDED.pricing_rule_id, updated_at = NOW()`,
+            [
+                cityUpserts.map(u => u.masterProduct.id), cityUpserts.map(u => u.cityId), cityUpserts.map(u => u.next),
+                cityUpserts.map(u => u.demandScore), cityUpserts.map(u => u.rule.id)
+            ]
+        );
+        counts.city_adjustments_updated += cityUpserts.length;
+    }
+    if (cityRemovals.length > 0) {
+        await client.query(
+            `DELETE FROM master_product_city_adjustments a
+             USING UNNEST($1::int[], $2::int[]) AS u(master_product_id, city_id)
+             WHERE a.master_product_id = u.master_product_id AND a.city_id = u.city_id`,
+            [cityRemovals.map(r => r.masterProductId), cityRemovals.map(r => r.cityId)]
+        );
+        counts.city_adjustments_removed += cityRemovals.length;
+    }
+    await priceHistory.recordEngineAdjustmentChanges(client, [
+        ...cityUpserts.filter(u => u.isNew || u.next !== u.current).map(u => ({
+            masterProductId: u.masterProduct.id, cityId: u.cityId, oldAdjustment: u.current, newAdjustment: u.next,
+            demandScore: u.demandScore, pricingRuleId: u.rule.id,
+            note: u.isNew ? 'City-specific rule applied for the first time.' : null
+        })),
+        ...cityRemovals.map(r => ({
+            masterProductId: r.masterProductId, cityId: r.cityId, oldAdjustment: r.old, newAdjustment: null,
+            note: 'The most specific pricing rule here is no longer city-specific; the global adjustment applies.'
+        }))
+    ]);
+};
+
+// Adjusts every master product's price percentage using the most specific pricing rule (services/pricingRules.js).
+// Cities with a city-specific rule for a product get their own adjustment in master_product_city_adjustments,
+// based on demand from orders delivered there; other cities use master_products.current_price_adjustment_percentage.
+// Products are processed in batches of RUN_BATCH_SIZE, each in its own short transaction; a failed batch is rolled
+// back and the run goes on. Every run is recorded in pricing_engine_runs. Returns the run row.
+const calculateDemandAndAdjustPercentage = async ({ trigger = 'schedule', adminId = null } = {}) => {
+    const startedAt = Date.now();
+    console.log(`[ADJUSTMENT_ENGINE] ${new Date(startedAt).toISOString()} Starting ${trigger} price adjustment percentage task...`);
+    const counts = {
+        products_total: 0, products_adjusted: 0, products_unchanged: 0, products_skipped_locked: 0,
+        products_skipped_no_rule: 0, city_adjustments_updated: 0, city_adjustments_removed: 0,
+        expired_locks_released: 0, batches_total: 0, batches_failed: 0
+    };
+    const errors = [];
+    let runId = null;
+
+    try {
+        const runResult = await db.query(
+            `INSERT INTO pricing_engine_runs (trigger, triggered_by_admin_id, batch_size) VALUES ($1, $2, $3) RETURNING id`,
+            [trigger, adminId, RUN_BATCH_SIZE]
+        );
+        runId = runResult.rows[0].id;
 
-            // Apply caps to the total adjustment percentage
-            newAdjustmentPct = Math.min(newAdjustmentPct, MAX_TOTAL_ADJUSTMENT_INCREASE);
-            newAdjustmentPct = Math.max(newAdjustmentPct, MAX_TOTAL_ADJUSTMENT_DECREASE);
-            
-            newAdjustmentPct = parseFloat(newAdjustmentPct.toFixed(4));
-
-            if (newAdjustmentPct !== currentAdjustmentPct) {
-                await client.query(
-                    'UPDATE master_products SET current_price_adjustment_percentage = $1, last_adjustment_update = NOW() WHERE id = $2',
-                    [newAdjustmentPct, masterProductId]
-                );
-                console.log(`[ADJUSTMENT_ENGINE] Master Product ${masterProductId}: Adjustment % changed from ${currentAdjustmentPct.toFixed(4)} to ${newAdjustmentPct.toFixed(4)}`);
-            } else {
-                console.log(`[ADJUSTMENT_ENGINE] Master Product ${masterProductId}: Adjustment % remains ${currentAdjustmentPct.toFixed(4)} (Demand: ${demandScoreLast7Days})`);
+        // Expired admin locks end first, so those products are priced again in this run
+        counts.expired_locks_released = await inTransaction(client => priceLocks.releaseExpiredPriceLocks(client));
+
+        const rules = await pricingRules.loadActiveRules(db);
+        const ruleCityIds = [...new Set(rules.filter(rule => rule.city_id !== null).map(rule => rule.city_id))];
+
+        // City adjustments are only kept while a city-specific rule exists for that city
+        const removed = await inTransaction(async (client) => {
+            const removedCityAdjustments = await client.query(
+                `DELETE FROM master_product_city_adjustments WHERE NOT (city_id = ANY($1::int[]))
+                 RETURNING master_product_id, city_id, adjustment_percentage`,
+                [ruleCityIds]
+            );
+            await priceHistory.recordEngineAdjustmentChanges(client, removedCityAdjustments.rows.map(row => ({
+                masterProductId: row.master_product_id, cityId: row.city_id,
+                oldAdjustment: row.adjustment_percentage, newAdjustment: null,
+                note: 'No city-specific pricing rule left; the global adjustment applies.'
+            })));
+            return removedCityAdjustments.rows.length;
+        });
+        counts.city_adjustments_removed += removed;
+
+        // Merged master products have no products left; the master they were merged into is priced instead
+        const idsResult = await db.query('SELECT id FROM master_products WHERE merged_into_id IS NULL ORDER BY id');
+        const ids = idsResult.rows.map(row => row.id);
+        counts.products_total = ids.length;
+        if (ids.length === 0) {
+            console.log('[ADJUSTMENT_ENGINE] No master products found to process.');
+        }
+
+        for (let offset = 0; offset < ids.length; offset += RUN_BATCH_SIZE) {
+            const batchIds = ids.slice(offset, offset + RUN_BATCH_SIZE);
+            counts.batches_total++;
+            // Counts only include committed batches
+            const batchCounts = Object.fromEntries(Object.keys(counts).map(key => [key, 0]));
+            try {
+                await inTransaction(client => processBatch(client, batchIds, rules, ruleCityIds, batchCounts));
+                Object.keys(batchCounts).forEach(key => { counts[key] += batchCounts[key]; });
+            } catch (error) {
+                counts.batches_failed++;
+                errors.push(`Batch ${batchIds[0]}-${batchIds[batchIds.length - 1]}: ${error.message}`);
+                console.error(`[ADJUSTMENT_ENGINE] Batch of master products ${batchIds[0]}-${batchIds[batchIds.length - 1]} failed and was rolled back:`, error);
             }
         }
-        await client.query('COMMIT');
-        console.log(`[ADJUSTMENT_ENGINE] ${new Date().toISOString()} Price adjustment percentage task completed successfully.`);
     } catch (error) {
-        if (client) await client.query('ROLLBACK'); // Ensure rollback on error
+        errors.push(error.message);
         console.error(`[ADJUSTMENT_ENGINE] ${new Date().toISOString()} Error during price adjustment task:`, error);
-    } finally {
-        if (client) client.release();
     }
+
+    const failedEverything = errors.length > 0 && (counts.batches_total === 0 || counts.batches_failed === counts.batches_total);
+    const status = errors.length === 0 ? 'succeeded' : failedEverything ? 'failed' : 'partial';
+    const durationMs = Date.now() - startedAt;
+    console.log(`[ADJUSTMENT_ENGINE] ${new Date().toISOString()} Price adjustment task ${status} in ${durationMs}ms: ${counts.products_adjusted} adjusted, ${counts.products_unchanged} unchanged, ${counts.products_skipped_locked} locked, ${counts.products_skipped_no_rule} without rule.`);
+    if (runId === null) return null;
+
+    try {
+        const finishedRun = await db.query(
+            `UPDATE pricing_engine_runs SET
+                status = $2, finished_at = NOW(), duration_ms = $3, error_message = $4,
+                products_total = $5, products_adjusted = $6, products_unchanged = $7, products_skipped_locked = $8,
+                products_skipped_no_rule = $9, city_adjustments_updated = $10, city_adjustments_removed = $11,
+                expired_locks_released = $12, batches_total = $13, batches_failed = $14
+             WHERE id = $1
+             RETURNING *`,
+            [
+                runId, status, durationMs, errors.length > 0 ? errors.join('\n') : null,
+                counts.products_total, counts.products_adjusted, counts.products_unchanged, counts.products_skipped_locked,
+                counts.products_skipped_no_rule, counts.city_adjustments_updated, counts.city_adjustments_removed,
+                counts.expired_locks_released, counts.batches_total, counts.batches_failed
+            ]
+        );
+        return finishedRun.rows[0];
+    } catch (error) {
+        console.error(`[ADJUSTMENT_ENGINE] Could not record the outcome of run ${runId}:`, error);
+        return null;
+    }
+};
+
+// --- Simulation (dry run / historical replay) ---
+// Same rule selection and algorithm as calculateDemandAndAdjustPercentage, but read-only: nothing is written.
+
+// Rule parameters a simulation may override for every product
+const CANDIDATE_RULE_FIELDS = [
+    'high_demand_threshold', 'low_demand_threshold', 'adjustment_step', 'max_increase', 'max_decrease', 'demand_window_days'
+];
+
+// Starting adjustments for a dry run: today's values (the city's own adjustment if it has one, else the global one).
+const getCurrentAdjustments = async (client, masterProductIds, cityId) => {
+    const result = await client.query(
+        `SELECT mp.id, COALESCE(mpca.adjustment_percentage, mp.current_price_adjustment_percentage, 0) AS adjustment
+         FROM master_products mp
+         LEFT JOIN master_product_city_adjustments mpca ON mpca.master_product_id = mp.id AND mpca.city_id = $2
+         WHERE mp.id = ANY($1::int[])`,
+        [masterProductIds, cityId]
+    );
+    return new Map(result.rows.map(row => [row.id, parseFloat(row.adjustment)]));
+};
+
+// Starting adjustments for a replay: the last value price_history recorded before `from` (0 if none).
+const getAdjustmentsAt = async (client, masterProductIds, cityId, from) => {
+    const result = await client.query(
+        `SELECT DISTINCT ON (ph.master_product_id) ph.master_product_id, ph.new_adjustment_percentage
+         FROM price_history ph
+         WHERE ph.change_type = 'adjustment' AND ph.master_product_id = ANY($1::int[])
+           AND ph.created_at < $3 AND ph.new_adjustment_percentage IS NOT NULL
+           AND (ph.city_id IS NULL OR ph.city_id = $2)
+         ORDER BY ph.master_product_id, (ph.city_id IS NOT NULL) DESC, ph.created_at DESC, ph.id DESC`,
+        [masterProductIds, cityId, from]
+    );
+    return new Map(result.rows.map(row => [row.master_product_id, parseFloat(row.new_adjustment_percentage)]));
+};
+
+// Runs the engine without writing anything.
+// options: { candidateRule (CANDIDATE_RULE_FIELDS overriding every product's rule), cityId (simulate that city's
+//   prices), masterProductIds (limit to these), from/to/stepHours (replay every stepHours between from and to,
+//   otherwise a single run as of now) }.
+// Returns one entry per master product with its rule, demand and adjustments.
+const simulateAdjustments = async (client, {
+    candidateRule = {}, cityId = null, masterProductIds = null, from = null, to = null, stepHours = 6
+} = {}) => {
+    const rules = await pricingRules.loadActiveRules(client);
+    const masterProductsResult = await client.query(
+        `SELECT id, display_name, category, price_locked FROM master_products
+         WHERE merged_into_id IS NULL AND ($1::int[] IS NULL OR id = ANY($1::int[]))
+         ORDER BY id`,
+        [masterProductIds]
+    );
+    const masterProducts = masterProductsResult.rows;
+    const ids = masterProducts.map(masterProduct => masterProduct.id);
+
+    const stepTimes = [];
+    if (from) {
+        for (let at = from.getTime(); at <= to.getTime(); at += stepHours * 3600 * 1000) stepTimes.push(new Date(at));
+    } else {
+        stepTimes.push(new Date());
+    }
+
+    // Each product's effective rule: the one the engine would pick, with the candidate parameters on top
+    const effectiveRules = new Map();
+    masterProducts.forEach(masterProduct => {
+        const rule = pricingRules.pickRule(rules, masterProduct, cityId);
+        if (rule) effectiveRules.set(masterProduct.id, { ...rule, ...candidateRule });
+    });
+
+    // One demand query per distinct demand window
+    const demand = new Map();
+    const windows = [...new Set(Array.from(effectiveRules.values()).map(rule => rule.demand_window_days))];
+    for (const windowDays of windows) {
+        const windowIds = ids.filter(id => effectiveRules.has(id) && effectiveRules.get(id).demand_window_days === windowDays);
+        const scores = await getDemandScoresAt(client, { masterProductIds: windowIds, windowDays, cityId, stepTimes });
+        scores.forEach((value, key) => demand.set(key, value));
+    }
+
+    const startAdjustments = from
+        ? await getAdjustmentsAt(client, ids, cityId, from)
+        : await getCurrentAdjustments(client, ids, cityId);
+
+    return masterProducts.map(masterProduct => {
+        const rule = effectiveRules.get(masterProduct.id);
+        const startAdjustment = startAdjustments.get(masterProduct.id) || 0;
+        const entry = {
+            master_product_id: masterProduct.id,
+            display_name: masterProduct.display_name,
+            category: masterProduct.category,
+            pricing_rule_id: rule ? rule.id : null,
+            rule: rule ? Object.fromEntries(CANDIDATE_RULE_FIELDS.map(field => [field, Number(rule[field])])) : null,
+            [from ? 'start_adjustment' : 'current_adjustment']: startAdjustment
+        };
+        if (masterProduct.price_locked) return { ...entry, skipped: true, reason: 'Price locked by an admin.' };
+        if (!rule) return { ...entry, skipped: true, reason: 'No active pricing rule applies.' };
+
+        let adjustment = startAdjustment;
+        const steps = stepTimes.map((at, index) => {
+            const demandScore = demand.get(`${index}:${masterProduct.id}`) || 0;
+            const nextAdjustment = pricingRules.computeNextAdjustment(adjustment, demandScore, rule);
+            const step = { at, demand_score: demandScore, from: adjustment, to: nextAdjustment };
+            adjustment = nextAdjustment;
+            return step;
+        });
+        if (!from) {
+            return { ...entry, demand_score: steps[0].demand_score, proposed_adjustment: steps[0].to };
+        }
+        return { ...entry, final_adjustment: adjustment, changes: steps.filter(step => step.from !== step.to) };
+    });
 };
 
-module.exports = { calculateDemandAndAdjustPercentage };
\ No newline at end of file
+module.exports = { CANDIDATE_RULE_FIELDS, calculateDemandAndAdjustPercentage, simulateAdjustments };
@@ -0,0 +1,51 @@
+// telegram-app-backend/services/pricingRules.js
+// Demand-based pricing rules (pricing_rules table). A rule is global, for a master product category or for one
+// master product, and can be limited to one city. services/pricingEngine.js loads the active rules once per run and
+// asks pickRule for the one that applies to each product.
+
+const RULE_SCOPES = ['global', 'category', 'master_product'];
+
+// Higher wins: a more specific target always beats a city override of a broader one
+// (master product > category + city > category > global + city > global).
+const SCOPE_RANK = { global: 0, category: 1, master_product: 2 };
+const getSpecificity = (rule) => SCOPE_RANK[rule.scope] * 2 + (rule.city_id !== null ? 1 : 0);
+
+const loadActiveRules = async (client) => {
+    const result = await client.query('SELECT * FROM pricing_rules WHERE is_active = TRUE ORDER BY id');
+    return result.rows;
+};
+
+const ruleMatches = (rule, masterProduct, cityId) => {
+    if (rule.city_id !== null && rule.city_id !== cityId) return false;
+    if (rule.scope === 'master_product') return rule.master_product_id === masterProduct.id;
+    if (rule.scope === 'category') return !!masterProduct.category && rule.category === masterProduct.category;
+    return true;
+};
+
+// The most specific rule for a master product ({ id, category }) in cityId (null = the product's global price).
+// Returns null if no rule matches, e.g. when the global rule was deactivated.
+const pickRule = (rules, masterProduct, cityId = null) => {
+    let best = null;
+    for (const rule of rules) {
+        if (!ruleMatches(rule, masterProduct, cityId)) continue;
+        if (!best || getSpecificity(rule) > getSpecificity(best)) best = rule;
+    }
+    return best;
+};
+
+// One step of the adjustment algorithm: move by adjustment_step when demand is above the high threshold or below
+// the low one, then keep the total adjustment within [max_decrease, max_increase]. Returns the new percentage.
+const computeNextAdjustment = (currentAdjustment, demandScore, rule) => {
+    let nextAdjustment = currentAdjustment;
+    const step = parseFloat(rule.adjustment_step);
+    if (demandScore > rule.high_demand_threshold) {
+        nextAdjustment += step;
+    } else if (demandScore < rule.low_demand_threshold) {
+        nextAdjustment -= step;
+    }
+    nextAdjustment = Math.min(nextAdjustment, parseFloat(rule.max_increase));
+    nextAdjustment = Math.max(nextAdjustment, parseFloat(rule.max_decrease));
+    return parseFloat(nextAdjustment.toFixed(4));
+};
+
+module.exports = { RULE_SCOPES, loadActiveRules, pickRule, computeNextAdjustment };
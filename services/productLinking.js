@@ -0,0 +1,109 @@
+// telegram-app-backend/services/productLinking.js
+// Admin decisions on how a supplier product is linked to a master product (the review queue in server.js).
+// Every decision updates products.linking_status and is recorded in product_linking_decisions.
+
+// Statuses the automatic linking leaves a product in, which the review queue shows by default
+const LINKING_REVIEW_STATUSES = ['needs_admin_review', 'auto_master_created', 'automatically_linked'];
+const LINKING_STATUSES = [...LINKING_REVIEW_STATUSES, 'admin_confirmed', 'admin_linked', 'admin_master_created', 'rejected'];
+// Decision -> the linking status it leaves the product in
+const LINKING_DECISIONS = {
+    confirm: 'admin_confirmed',
+    relink: 'admin_linked',
+    create_master: 'admin_master_created',
+    reject: 'rejected'
+};
+
+// Works out the product's new master product for a decision; returns { masterProductId } or { status, error }.
+const resolveMasterProduct = async (client, product, { decision, masterProductId, master = {}, normalizeName }) => {
+    if (decision === 'confirm') {
+        if (!product.master_product_id) {
+            return { status: 400, error: 'This product is not linked to a master product. Relink it or create a master product instead.' };
+        }
+        return { masterProductId: product.master_product_id };
+    }
+    if (decision === 'relink') {
+        const parsedMasterProductId = parseInt(masterProductId, 10);
+        if (isNaN(parsedMasterProductId)) {
+            return { status: 400, error: 'masterProductId is required to relink.' };
+        }
+        const masterResult = await client.query(
+            'SELECT id FROM master_products WHERE id = $1 AND merged_into_id IS NULL',
+            [parsedMasterProductId]
+        );
+        if (masterResult.rows.length === 0) {
+            return { status: 404, error: 'Master product not found.' };
+        }
+        return { masterProductId: parsedMasterProductId };
+    }
+    if (decision === 'create_master') {
+        const displayName = (master.displayName || product.name || '').trim();
+        const normalizedName = normalizeName(master.standardizedName || product.standardized_name_input || product.name);
+        if (!displayName || !normalizedName) {
+            return { status: 400, error: 'The new master product needs a display name and a standardized name.' };
+        }
+        const existingMaster = await client.query(
+            'SELECT COALESCE(merged_into_id, id) AS id, display_name FROM master_products WHERE standardized_name_normalized = $1',
+            [normalizedName]
+        );
+        if (existingMaster.rows.length > 0) {
+            return {
+                status: 409,
+                error: 'A master product with this standardized name already exists. Relink to it instead.',
+                masterProductId: existingMaster.rows[0].id
+            };
+        }
+        const masterInsert = await client.query(
+            `INSERT INTO master_products (standardized_name_normalized, display_name, description, image_url, brand, category, initial_seed_price)
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id;`,
+            [
+                normalizedName, displayName, master.description || product.description || null,
+                master.imageUrl || product.image_url || null, master.brand || null,
+                master.category || product.category || null, product.price
+            ]
+        );
+        return { masterProductId: masterInsert.rows[0].id };
+    }
+    return { masterProductId: null }; // reject unlinks the product
+};
+
+// Applies an admin decision to productId inside the caller's transaction.
+// decision: a LINKING_DECISIONS key. masterProductId: the target for 'relink'. master: fields for 'create_master'
+// ({ displayName?, standardizedName?, description?, imageUrl?, brand?, category? }, defaults from the product).
+// normalizeName: the normalization the automatic linking uses, for the new master's standardized name.
+// Returns { product, decision } (the updated product and the recorded decision row) or { status, error }.
+const applyLinkingDecision = async (client, { productId, decision, masterProductId, master, note = null, adminId, normalizeName }) => {
+    const newLinkingStatus = LINKING_DECISIONS[decision];
+    const productResult = await client.query(
+        `SELECT id, name, standardized_name_input, description, category, image_url, price,
+                master_product_id, linking_status
+         FROM products WHERE id = $1 FOR UPDATE`,
+        [productId]
+    );
+    const product = productResult.rows[0];
+    if (!product) return { status: 404, error: 'Product not found.' };
+
+    const resolved = await resolveMasterProduct(client, product, { decision, masterProductId, master, normalizeName });
+    if (resolved.error) return resolved;
+    const newMasterProductId = resolved.masterProductId;
+
+    const updatedProduct = await client.query(
+        `UPDATE products SET master_product_id = $1, linking_status = $2 WHERE id = $3
+         RETURNING id, name, master_product_id, linking_status`,
+        [newMasterProductId, newLinkingStatus, productId]
+    );
+    const decisionResult = await client.query(
+        `INSERT INTO product_linking_decisions
+            (product_id, decision, previous_master_product_id, new_master_product_id,
+             previous_linking_status, new_linking_status, note, admin_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *;`,
+        [
+            productId, decision, product.master_product_id, newMasterProductId,
+            product.linking_status, newLinkingStatus, note, adminId
+        ]
+    );
+    console.log(`[ADMIN_PRODUCT_LINKING] Product ${productId}: ${decision} (master ${product.master_product_id} -> ${newMasterProductId}) by admin ${adminId}`);
+    return { product: updatedProduct.rows[0], decision: decisionResult.rows[0] };
+};
+
+module.exports = { LINKING_REVIEW_STATUSES, LINKING_STATUSES, LINKING_DECISIONS, applyLinkingDecision };
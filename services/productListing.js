@@ -0,0 +1,143 @@
+// telegram-app-backend/services/productListing.js
+// Filters, sort orders and facet counts shared by GET /api/products and GET /api/search. Both routes build their
+// query FROM products p JOIN suppliers s ... priceJoins(city), so every filter here can use p, s, mp, mpca and
+// active_deal, and the price filter/sort works on the same effective price customers see (pricing.EFFECTIVE_PRICE_SQL).
+const pricing = require('./pricing');
+
+// ORDER BY per sort option. 'relevance' needs the rank column the search query selects.
+const PRODUCT_SORTS = {
+    relevance: 'rank DESC, p.id ASC',
+    newest: 'p.created_at DESC, p.id DESC',
+    price_asc: `${pricing.EFFECTIVE_PRICE_SQL} ASC, p.id ASC`,
+    price_desc: `${pricing.EFFECTIVE_PRICE_SQL} DESC, p.id ASC`,
+    popularity: 'COALESCE(mp.current_demand_score, 0) DESC, p.created_at DESC, p.id DESC',
+    rating: 's.rating DESC NULLS LAST, p.created_at DESC, p.id DESC'
+};
+
+const FILTER_NAMES = ['category', 'supplier', 'price', 'onSale', 'inStock', 'hasDeal'];
+
+// ?category=a,b or ?category=a&category=b
+const parseList = (value) => (Array.isArray(value) ? value : [value])
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const parseFlag = (value) => value === 'true' || value === '1';
+
+const parsePrice = (value) => {
+    if (value === undefined || value === '') return null;
+    const price = parseFloat(value);
+    return isNaN(price) || price < 0 ? NaN : price;
+};
+
+// Reads the filter and sort query parameters. Returns { filters, sort } or { error }.
+const parseListingQuery = (query, { sorts, defaultSort }) => {
+    const sort = query.sort || defaultSort;
+    if (!sorts.includes(sort)) {
+        return { error: `sort must be one of: ${sorts.join(', ')}.` };
+    }
+
+    const supplierIds = parseList(query.supplierId).map(id => parseInt(id, 10));
+    if (supplierIds.some(id => isNaN(id))) {
+        return { error: 'supplierId must be a comma-separated list of supplier IDs.' };
+    }
+    const minPrice = parsePrice(query.minPrice);
+    const maxPrice = parsePrice(query.maxPrice);
+    if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+        return { error: 'minPrice and maxPrice must be non-negative numbers.' };
+    }
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+        return { error: 'minPrice cannot be greater than maxPrice.' };
+    }
+
+    return {
+        sort,
+        filters: {
+            categories: parseList(query.category),
+            supplierIds,
+            minPrice,
+            maxPrice,
+            onSale: parseFlag(query.onSale),
+            inStock: parseFlag(query.inStock),
+            hasDeal: parseFlag(query.hasDeal)
+        }
+    };
+};
+
+// SQL condition per active filter (null when the filter isn't set); values are appended to params.
+const buildFilterClauses = (filters, params) => {
+    const add = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const priceClauses = [];
+    if (filters.minPrice !== null) priceClauses.push(`${pricing.EFFECTIVE_PRICE_SQL} >= ${add(filters.minPrice)}`);
+    if (filters.maxPrice !== null) priceClauses.push(`${pricing.EFFECTIVE_PRICE_SQL} <= ${add(filters.maxPrice)}`);
+
+    return {
+        category: filters.categories.length > 0 ? `p.category = ANY(${add(filters.categories)}::text[])` : null,
+        supplier: filters.supplierIds.length > 0 ? `p.supplier_id = ANY(${add(filters.supplierIds)}::int[])` : null,
+        price: priceClauses.length > 0 ? priceClauses.join(' AND ') : null,
+        onSale: filters.onSale ? 'p.is_on_sale = TRUE' : null,
+        inStock: filters.inStock ? 'p.stock_level > 0' : null,
+        hasDeal: filters.hasDeal ? 'active_deal.id IS NOT NULL' : null
+    };
+};
+
+// All active filter conditions ANDed together, optionally leaving one out
+const combineClauses = (clauses, except = null) => {
+    const active = FILTER_NAMES.filter(name => name !== except && clauses[name]).map(name => `(${clauses[name]})`);
+    return active.length > 0 ? active.join(' AND ') : 'TRUE';
+};
+
+// Total matching products and facet counts for filter chips, in one query. Each facet is counted with every other
+// filter applied but not its own, so selecting one category still shows the counts of the others.
+// fromSql: the route's FROM ... joins; baseWhere: its conditions without the filters; params: shared with clauses.
+const fetchFacets = async (db, { fromSql, baseWhere, clauses, params }) => {
+    const match = (name) => `m_${name}`;
+    const except = (name) => FILTER_NAMES.filter(other => other !== name).map(match).join(' AND ');
+    const query = `
+        WITH base AS (
+            SELECT DISTINCT
+                p.id, p.category, p.supplier_id, s.name AS supplier_name,
+                p.is_on_sale, p.stock_level > 0 AS in_stock, active_deal.id IS NOT NULL AS has_deal,
+                ${pricing.EFFECTIVE_PRICE_SQL} AS effective_price,
+                ${FILTER_NAMES.map(name => `${clauses[name] ? `COALESCE(${clauses[name]}, FALSE)` : 'TRUE'} AS ${match(name)}`).join(',\n                ')}
+            ${fromSql}
+            WHERE ${baseWhere.join(' AND ')}
+        )
+        SELECT
+            (SELECT COUNT(*)::int FROM base WHERE ${FILTER_NAMES.map(match).join(' AND ')}) AS total_items,
+            (SELECT COALESCE(json_agg(c ORDER BY c.count DESC, c.value), '[]'::json) FROM (
+                SELECT category AS value, COUNT(*)::int AS count FROM base
+                WHERE category IS NOT NULL AND category <> '' AND ${except('category')}
+                GROUP BY category
+            ) c) AS categories,
+            (SELECT COALESCE(json_agg(sup ORDER BY sup.count DESC, sup.name), '[]'::json) FROM (
+                SELECT supplier_id AS id, supplier_name AS name, COUNT(*)::int AS count FROM base
+                WHERE ${except('supplier')}
+                GROUP BY supplier_id, supplier_name
+            ) sup) AS suppliers,
+            (SELECT COUNT(*)::int FROM base WHERE is_on_sale AND ${except('onSale')}) AS on_sale,
+            (SELECT COUNT(*)::int FROM base WHERE in_stock AND ${except('inStock')}) AS in_stock,
+            (SELECT COUNT(*)::int FROM base WHERE has_deal AND ${except('hasDeal')}) AS has_deal,
+            (SELECT json_build_object('min', MIN(effective_price), 'max', MAX(effective_price))
+             FROM base WHERE ${except('price')}) AS price_range;
+    `;
+    const row = (await db.query(query, params)).rows[0];
+    const priceBound = (value) => (value === null ? null : parseFloat(value));
+    return {
+        totalItems: row.total_items,
+        facets: {
+            categories: row.categories,
+            suppliers: row.suppliers,
+            onSale: row.on_sale,
+            inStock: row.in_stock,
+            hasDeal: row.has_deal,
+            priceRange: { min: priceBound(row.price_range.min), max: priceBound(row.price_range.max) }
+        }
+    };
+};
+
+module.exports = { PRODUCT_SORTS, parseListingQuery, buildFilterClauses, combineClauses, fetchFacets };
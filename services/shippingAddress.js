@@ -0,0 +1,124 @@
+// telegram-app-backend/services/shippingAddress.js
+// Works out where an order ships to. POST /api/orders copies the result onto the order (orders.shipping_*),
+// so later edits to the customer's profile or address book don't move deliveries that are already under way.
+
+const REQUIRED_FIELDS = {
+    full_name: 'fullName',
+    phone_number: 'phoneNumber',
+    address_line1: 'addressLine1',
+    city: 'city',
+    // Supplier coverage, pricing, coupons and agent assignment all go by the city ID, so an order can't go without one
+    city_id: 'cityId'
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const SAVED_ADDRESS_QUERY = `
+    SELECT ua.id, ua.full_name, ua.phone_number, ua.address_line1, ua.address_line2, ua.city_id, c.name AS city
+    FROM user_addresses ua
+    JOIN cities c ON ua.city_id = c.id
+    WHERE ua.user_id = $1`;
+
+const fromSavedAddress = (row) => ({
+    address_id: row.id,
+    full_name: row.full_name,
+    phone_number: row.phone_number,
+    address_line1: row.address_line1,
+    address_line2: row.address_line2 || null,
+    city: row.city,
+    city_id: row.city_id
+});
+
+// Builds the shipping snapshot from the user's profile, with any fields of `override`
+// ({ fullName, phoneNumber, addressLine1, addressLine2, city, cityId }) taking precedence.
+const fromProfile = async (client, userId, override) => {
+    if (override === null || typeof override !== 'object' || Array.isArray(override)) {
+        return { status: 400, error: 'shippingAddress must be an object.' };
+    }
+
+    const profileResult = await client.query(
+        'SELECT full_name, phone_number, address_line1, address_line2, city, selected_city_id FROM user_profiles WHERE user_id = $1',
+        [userId]
+    );
+    const profile = profileResult.rows[0] || {};
+    // A city name alone can't be checked and would disagree with the profile's city ID
+    if (!isBlank(override.city) && (override.cityId === undefined || override.cityId === null)) {
+        return { status: 400, error: 'shippingAddress.cityId is required when shippingAddress.city is given.' };
+    }
+    const pick = (overrideValue, profileValue) => (isBlank(overrideValue) ? profileValue : String(overrideValue).trim());
+    // A different street address at checkout must not inherit the profile's second address line
+    const profileAddressLine2 = isBlank(override.addressLine1) ? profile.address_line2 : null;
+
+    const address = {
+        full_name: pick(override.fullName, profile.full_name),
+        phone_number: pick(override.phoneNumber, profile.phone_number),
+        address_line1: pick(override.addressLine1, profile.address_line1),
+        address_line2: pick(override.addressLine2, profileAddressLine2) || null,
+        city: pick(override.city, profile.city),
+        city_id: override.cityId !== undefined && override.cityId !== null ? parseInt(override.cityId, 10) : profile.selected_city_id || null,
+        address_id: null
+    };
+
+    if (override.cityId !== undefined && override.cityId !== null) {
+        if (isNaN(address.city_id)) {
+            return { status: 400, error: 'shippingAddress.cityId must be a valid city ID.' };
+        }
+        const cityResult = await client.query('SELECT name FROM cities WHERE id = $1 AND is_active = TRUE', [address.city_id]);
+        if (cityResult.rows.length === 0) {
+            return { status: 400, error: 'shippingAddress.cityId does not refer to an active city.' };
+        }
+        if (isBlank(override.city)) address.city = cityResult.rows[0].name;
+    }
+
+    const missingFields = Object.keys(REQUIRED_FIELDS).filter(column => isBlank(address[column]));
+    if (missingFields.length > 0) {
+        return {
+            status: 400,
+            error: 'A complete delivery address is required. Save an address, fill in your profile or send shippingAddress.',
+            missingFields: missingFields.map(column => REQUIRED_FIELDS[column])
+        };
+    }
+    return { address };
+};
+
+// Picks the order's address, in this order: the saved address `addressId`, an ad-hoc `shippingAddress`
+// (merged over the profile), the user's default saved address, the profile.
+// Returns { address } or { status, error } if the address is missing, incomplete or not the user's.
+const resolveShippingAddress = async (client, userId, { addressId, shippingAddress } = {}) => {
+    if (addressId !== undefined && addressId !== null) {
+        const parsedAddressId = parseInt(addressId, 10);
+        if (isNaN(parsedAddressId)) {
+            return { status: 400, error: 'addressId must be a valid address ID.' };
+        }
+        const savedResult = await client.query(`${SAVED_ADDRESS_QUERY} AND ua.id = $2;`, [userId, parsedAddressId]);
+        if (savedResult.rows.length === 0) {
+            return { status: 404, error: 'Saved address not found.' };
+        }
+        return { address: fromSavedAddress(savedResult.rows[0]) };
+    }
+
+    if (shippingAddress !== undefined) {
+        return fromProfile(client, userId, shippingAddress);
+    }
+
+    const defaultResult = await client.query(`${SAVED_ADDRESS_QUERY} AND ua.is_default;`, [userId]);
+    if (defaultResult.rows.length > 0) {
+        return { address: fromSavedAddress(defaultResult.rows[0]) };
+    }
+    return fromProfile(client, userId, {});
+};
+
+// Returns the suppliers (of supplierIds) that don't deliver to cityId according to supplier_cities, as [{ id, name }].
+const findSuppliersNotServingCity = async (client, supplierIds, cityId) => {
+    const result = await client.query(
+        `SELECT s.id, s.name
+         FROM suppliers s
+         WHERE s.id = ANY($1::int[])
+           AND NOT EXISTS (SELECT 1 FROM supplier_cities sc WHERE sc.supplier_id = s.id AND sc.city_id = $2)
+         ORDER BY s.id;`,
+        [supplierIds, cityId]
+    );
+    return result.rows;
+};
+
+module.exports = { resolveShippingAddress, findSuppliersNotServingCity };
@@ -0,0 +1,65 @@
+// telegram-app-backend/services/telegramAuth.js
+const crypto = require('crypto'); // For HMAC SHA256 verification
+
+// initData older than this is rejected so a leaked payload can't be replayed forever.
+const INIT_DATA_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+// Validates Telegram WebApp initData (see Telegram's "Validating data received via the Mini App" docs).
+// Returns { telegramUser } on success, or { status, error } describing why validation failed.
+const verifyTelegramInitData = (initData) => {
+    if (!initData) {
+        return { status: 400, error: 'initData is required.' };
+    }
+
+    if (!process.env.TELEGRAM_BOT_TOKEN) {
+        console.error("[TELEGRAM_AUTH] TELEGRAM_BOT_TOKEN is not set in .env!");
+        return { status: 500, error: 'Server configuration error.' };
+    }
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    params.delete('hash'); // Remove hash from params before sorting and stringifying
+
+    if (!hash) {
+        return { status: 403, error: 'Invalid initData: Hash missing.' };
+    }
+
+    // Sort parameters alphabetically by key
+    const sortedParams = Array.from(params.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+    const dataCheckString = sortedParams.map(([key, value]) => `${key}=${value}`).join('\n');
+
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(process.env.TELEGRAM_BOT_TOKEN).digest();
+    const calculatedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+    const receivedHashBuffer = Buffer.from(hash, 'utf8');
+    const calculatedHashBuffer = Buffer.from(calculatedHash, 'utf8');
+    if (receivedHashBuffer.length !== calculatedHashBuffer.length || !crypto.timingSafeEqual(receivedHashBuffer, calculatedHashBuffer)) {
+        console.warn("[TELEGRAM_AUTH] initData hash validation failed.", { receivedHash: hash, calculatedHash });
+        return { status: 403, error: 'Invalid initData: Hash mismatch.' };
+    }
+
+    const authDate = parseInt(params.get('auth_date'), 10);
+    if (isNaN(authDate) || (Date.now() / 1000) - authDate > INIT_DATA_MAX_AGE_SECONDS) {
+        return { status: 403, error: 'Invalid initData: auth_date is missing or too old.' };
+    }
+
+    const userParam = params.get('user');
+    if (!userParam) {
+        return { status: 400, error: 'User data not found in initData.' };
+    }
+
+    let telegramUser;
+    try {
+        telegramUser = JSON.parse(userParam);
+    } catch (e) {
+        return { status: 400, error: 'Invalid user data format in initData.' };
+    }
+
+    if (!telegramUser || !telegramUser.id) {
+        return { status: 400, error: 'Telegram User ID not found.' };
+    }
+
+    return { telegramUser };
+};
+
+module.exports = { verifyTelegramInitData, INIT_DATA_MAX_AGE_SECONDS };
@@ -0,0 +1,76 @@
+// telegram-app-backend/test/coupons.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const coupons = require('../services/coupons');
+const { mockClient } = require('./helpers/mockClient');
+
+const coupon = (fields) => ({
+    id: 1, code: 'SAVE', is_active: true, starts_at: null, ends_at: null, supplier_id: null,
+    discount_type: 'percentage', discount_value: '10', max_discount_amount: null, min_basket_amount: '0',
+    usage_limit_total: null, usage_limit_per_user: null, ...fields
+});
+
+const couponClient = ({ row, cityIds = [], totalUses = 0, userUses = 0 }) => mockClient([
+    [/FROM coupons WHERE/, () => (row ? [row] : [])],
+    [/FROM coupon_cities/, () => cityIds.map(city_id => ({ city_id }))],
+    [/FROM coupon_redemptions/, () => [{ total_uses: String(totalUses), user_uses: String(userUses) }]]
+], { strict: true });
+
+const evaluate = (row, lines, options = {}) => coupons.evaluateCoupon(
+    couponClient({ row, ...options }), { code: ' save ', userId: 5, cityId: options.cityId ?? 1, lines }
+);
+
+test('a percentage discount is split across suppliers by subtotal', async () => {
+    const result = await evaluate(coupon({}), [
+        { supplier_id: 1, line_total: 25 }, { supplier_id: 2, line_total: 50 }, { supplier_id: 1, line_total: 25 }
+    ]);
+    assert.equal(result.eligibleSubtotal, 100);
+    assert.equal(result.discountAmount, 10);
+    assert.deepEqual([...result.allocations], [[1, 5], [2, 5]]);
+});
+
+test('the last supplier absorbs the rounding remainder', async () => {
+    const result = await evaluate(coupon({ discount_type: 'fixed', discount_value: '10.00' }), [
+        { supplier_id: 1, line_total: 10 }, { supplier_id: 2, line_total: 10 }, { supplier_id: 3, line_total: 10 }
+    ]);
+    assert.deepEqual([...result.allocations], [[1, 3.33], [2, 3.33], [3, 3.34]]);
+    const total = [...result.allocations.values()].reduce((sum, amount) => sum + amount, 0);
+    assert.equal(Math.round(total * 100), 1000);
+});
+
+test('max_discount_amount caps a percentage discount', async () => {
+    const result = await evaluate(coupon({ discount_value: '50', max_discount_amount: '20.00' }), [
+        { supplier_id: 1, line_total: 60 }, { supplier_id: 2, line_total: 40 }
+    ]);
+    assert.equal(result.discountAmount, 20);
+    assert.deepEqual([...result.allocations], [[1, 12], [2, 8]]);
+});
+
+test('a fixed discount never exceeds the eligible subtotal', async () => {
+    const result = await evaluate(coupon({ discount_type: 'fixed', discount_value: '30.00' }), [{ supplier_id: 1, line_total: 12.5 }]);
+    assert.equal(result.discountAmount, 12.5);
+    assert.deepEqual([...result.allocations], [[1, 12.5]]);
+});
+
+test("a supplier coupon only discounts that supplier's lines", async () => {
+    const result = await evaluate(coupon({ supplier_id: 2, discount_value: '10' }), [
+        { supplier_id: 1, line_total: 80 }, { supplier_id: 2, line_total: 33.35 }
+    ]);
+    assert.equal(result.eligibleSubtotal, 33.35);
+    assert.equal(result.discountAmount, 3.34);
+    assert.deepEqual([...result.allocations], [[2, 3.34]]);
+
+    const none = await evaluate(coupon({ supplier_id: 3 }), [{ supplier_id: 1, line_total: 80 }]);
+    assert.equal(none.status, 422);
+});
+
+test('city, minimum basket and usage limits are enforced', async () => {
+    const lines = [{ supplier_id: 1, line_total: 40 }];
+    assert.equal((await evaluate(coupon({}), lines, { cityIds: [2] })).status, 422);
+    assert.equal((await evaluate(coupon({}), lines, { cityIds: [1, 2] })).discountAmount, 4);
+    assert.equal((await evaluate(coupon({ min_basket_amount: '50.00' }), lines)).minBasketAmount, '50.00');
+    assert.equal((await evaluate(coupon({ usage_limit_total: 3 }), lines, { totalUses: 3 })).status, 422);
+    assert.equal((await evaluate(coupon({ usage_limit_per_user: 1 }), lines, { userUses: 1 })).status, 422);
+    assert.equal((await evaluate(coupon({ is_active: false }), lines)).status, 404);
+    assert.equal((await evaluate(null, lines)).status, 404);
+});
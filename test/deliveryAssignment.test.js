@@ -0,0 +1,35 @@
+// telegram-app-backend/test/deliveryAssignment.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { agentCoversCity, pickAgentForCity, loadAssignableAgents } = require('../services/deliveryAssignment');
+const { mockClient } = require('./helpers/mockClient');
+
+const agent = (id, cityIds, openTasks) => ({ id, full_name: `Agent ${id}`, city_ids: cityIds, open_tasks: openTasks });
+
+test('an agent without cities covers every city, and an item without a city can go to anyone', () => {
+    assert.equal(agentCoversCity(agent(1, [], 0), 4), true);
+    assert.equal(agentCoversCity(agent(1, [2, 3], 0), 4), false);
+    assert.equal(agentCoversCity(agent(1, [2, 3], 0), 3), true);
+    assert.equal(agentCoversCity(agent(1, [2, 3], 0), null), true);
+});
+
+test('pickAgentForCity picks the least loaded agent covering the city, lowest id on ties', () => {
+    const agents = [agent(1, [2], 0), agent(2, [3], 4), agent(3, [], 2), agent(4, [3], 2)];
+    assert.equal(pickAgentForCity(agents, 3).id, 3);
+    assert.equal(pickAgentForCity(agents, 2).id, 1);
+    assert.equal(pickAgentForCity([agent(1, [2], 0)], 3), null);
+});
+
+test('pickAgentForCity counts each new task, spreading a batch across agents', () => {
+    const agents = [agent(1, [], 1), agent(2, [], 0)];
+    const picked = [1, 2, 3, 4].map(() => pickAgentForCity(agents, 5).id);
+    assert.deepEqual(picked, [2, 1, 2, 1]);
+    assert.deepEqual(agents.map(a => a.open_tasks), [3, 2]);
+});
+
+test('loadAssignableAgents parses city IDs and open task counts', async () => {
+    const client = mockClient([
+        [/FROM delivery_agents da/, () => [{ id: 1, full_name: 'Agent 1', city_ids: ['2', '3'], open_tasks: '4' }]]
+    ]);
+    assert.deepEqual(await loadAssignableAgents(client, 9), [agent(1, [2, 3], 4)]);
+});
@@ -0,0 +1,34 @@
+// telegram-app-backend/test/deliveryRollup.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeDeliveryRollup, refreshOrderDeliveryStatus } = require('../services/deliveryRollup');
+const { mockClient, queriesMatching } = require('./helpers/mockClient');
+
+const item = (delivery_item_status, supplier_item_status = 'confirmed', supplier_order_id = null) => ({
+    supplier_order_id, supplier_item_status, delivery_item_status
+});
+
+test('computeDeliveryRollup ignores inactive items and ranks open and finished statuses', () => {
+    assert.equal(computeDeliveryRollup([item('pending_assignment', 'rejected'), item('out_for_delivery')]), 'out_for_delivery');
+    assert.equal(computeDeliveryRollup([item('payment_pending'), item('assigned_to_agent')]), 'assigned_to_agent');
+    assert.equal(computeDeliveryRollup([item('delivered'), item('payment_pending')]), 'partially_delivered');
+    assert.equal(computeDeliveryRollup([item('delivered'), item('delivered')]), 'delivered');
+    assert.equal(computeDeliveryRollup([item('delivered'), item('delivery_failed')]), 'mixed');
+    assert.equal(computeDeliveryRollup([item('returned'), item('pending_assignment', 'cancelled')]), 'returned');
+    assert.equal(computeDeliveryRollup([item('pending_assignment', 'cancelled')]), 'cancelled');
+});
+
+test('refreshOrderDeliveryStatus rolls up the order and each sub-order from its own items', async () => {
+    const client = mockClient([
+        [/FROM order_items WHERE order_id/, () => [
+            item('delivered', 'confirmed', 11),
+            item('out_for_delivery', 'confirmed', 12),
+            item('pending_assignment', 'rejected', 12)
+        ]],
+        [/UPDATE orders SET delivery_status/, () => [{ id: 7 }]]
+    ]);
+
+    assert.equal(await refreshOrderDeliveryStatus(client, 7), 'partially_delivered');
+    const subOrderUpdates = queriesMatching(client, /UPDATE supplier_orders SET delivery_status/).map(({ params }) => params);
+    assert.deepEqual(subOrderUpdates, [['delivered', 11], ['out_for_delivery', 12]]);
+});
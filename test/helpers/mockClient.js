@@ -0,0 +1,22 @@
+// telegram-app-backend/test/helpers/mockClient.js
+// Minimal pg client stand-in for service tests. handlers: [[pattern, (params, sql) => rows], ...]; each query is
+// answered by the first handler whose pattern matches the SQL, or with no rows (throws instead with strict).
+// Every query is kept in client.queries so tests can check what was (or wasn't) written.
+const mockClient = (handlers = [], { strict = false } = {}) => {
+    const queries = [];
+    return {
+        queries,
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            const handler = handlers.find(([pattern]) => pattern.test(sql));
+            if (!handler && strict) throw new Error(`Unexpected query: ${sql}`);
+            const rows = handler ? handler[1](params, sql) || [] : [];
+            return { rows, rowCount: rows.length };
+        }
+    };
+};
+
+// The queries a client ran that match pattern
+const queriesMatching = (client, pattern) => client.queries.filter(({ sql }) => pattern.test(sql));
+
+module.exports = { mockClient, queriesMatching };
@@ -0,0 +1,57 @@
+// telegram-app-backend/test/idempotency.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const idempotency = require('../services/idempotency');
+const { mockClient, queriesMatching } = require('./helpers/mockClient');
+
+// An idempotency_keys table keyed by user and key, enough for claimKey's DELETE / INSERT ... ON CONFLICT / SELECT
+const keyStoreClient = (rows = []) => {
+    const find = (userId, key) => rows.find(row => row.user_id === userId && row.idempotency_key === key);
+    return mockClient([
+        [/DELETE FROM idempotency_keys/, ([userId, key]) => {
+            const expired = find(userId, key);
+            if (expired && expired.expired) rows.splice(rows.indexOf(expired), 1);
+        }],
+        [/INSERT INTO idempotency_keys/, ([userId, key, fingerprint]) => {
+            if (find(userId, key)) return []; // ON CONFLICT DO NOTHING
+            const row = { id: rows.length + 1, user_id: userId, idempotency_key: key, request_fingerprint: fingerprint };
+            rows.push(row);
+            return [{ id: row.id }];
+        }],
+        [/SELECT \* FROM idempotency_keys/, ([userId, key]) => [find(userId, key)]]
+    ]);
+};
+
+test('the first request with a key claims it', async () => {
+    const client = keyStoreClient();
+    assert.deepEqual(await idempotency.claimKey(client, { userId: 1, key: 'abc', fingerprint: 'f1' }), { claimed: true });
+    assert.deepEqual(queriesMatching(client, /SELECT \* FROM idempotency_keys/), []);
+});
+
+test('a retry gets the stored record of the earlier attempt', async () => {
+    const stored = { id: 1, user_id: 1, idempotency_key: 'abc', request_fingerprint: 'f1', order_id: 40, response_status: 201 };
+    const result = await idempotency.claimKey(keyStoreClient([stored]), { userId: 1, key: 'abc', fingerprint: 'f1' });
+    assert.deepEqual(result, { claimed: false, record: stored });
+});
+
+test('keys are per user, and an expired key can be claimed again', async () => {
+    const rows = [{ id: 1, user_id: 1, idempotency_key: 'abc', request_fingerprint: 'f1', expired: true }];
+    const client = keyStoreClient(rows);
+    assert.equal((await idempotency.claimKey(client, { userId: 2, key: 'abc', fingerprint: 'f2' })).claimed, true);
+    assert.equal((await idempotency.claimKey(client, { userId: 1, key: 'abc', fingerprint: 'f3' })).claimed, true);
+    assert.equal(rows.find(row => row.user_id === 1).request_fingerprint, 'f3');
+    assert.deepEqual(queriesMatching(client, /DELETE FROM idempotency_keys/)[0].params, [2, 'abc', idempotency.IDEMPOTENCY_RETENTION_HOURS]);
+});
+
+test('fingerprintRequest depends on the body only', () => {
+    const fingerprint = idempotency.fingerprintRequest({ shippingAddress: { cityId: 2 } });
+    assert.match(fingerprint, /^[0-9a-f]{64}$/);
+    assert.equal(idempotency.fingerprintRequest({ shippingAddress: { cityId: 2 } }), fingerprint);
+    assert.notEqual(idempotency.fingerprintRequest({ shippingAddress: { cityId: 3 } }), fingerprint);
+    assert.equal(idempotency.fingerprintRequest(undefined), idempotency.fingerprintRequest({}));
+});
+
+test('purgeExpiredKeys returns how many keys it deleted', async () => {
+    const client = mockClient([[/DELETE FROM idempotency_keys WHERE created_at/, () => [{}, {}, {}]]]);
+    assert.equal(await idempotency.purgeExpiredKeys(client), 3);
+});
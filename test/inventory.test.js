@@ -0,0 +1,56 @@
+// telegram-app-backend/test/inventory.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const inventory = require('../services/inventory');
+const { mockClient, queriesMatching } = require('./helpers/mockClient');
+
+const stockClient = (stockByProductId) => mockClient([
+    [/SELECT id, stock_level FROM products/, ([productIds]) => productIds
+        .filter(id => id in stockByProductId)
+        .map(id => ({ id, stock_level: stockByProductId[id] }))]
+]);
+
+const LINES = [
+    { product_id: 9, quantity: 2, price: 1 },
+    { product_id: 4, quantity: 5, price: 2 },
+    { product_id: 7, quantity: 1, price: 3 }
+];
+
+test('reserveStock locks the products in id order', async () => {
+    const client = stockClient({ 4: 10, 7: 10, 9: 10 });
+    const result = await inventory.reserveStock(client, LINES);
+    assert.deepEqual(client.queries[0].params, [[4, 7, 9]]);
+    assert.match(client.queries[0].sql, /ORDER BY id FOR UPDATE/);
+    assert.deepEqual(result, { lines: LINES, shortages: [] });
+});
+
+test('reserveStock reports every shortage and, by default, keeps the lines as they were', async () => {
+    const result = await inventory.reserveStock(stockClient({ 4: 3, 9: '2' }), LINES);
+    assert.deepEqual(result.shortages, [
+        { product_id: 4, requested: 5, available: 3 },
+        { product_id: 7, requested: 1, available: 0 } // No row: deleted product
+    ]);
+    assert.deepEqual(result.lines, LINES);
+});
+
+test("reserveStock with 'trim' cuts quantities to what's available and drops sold-out lines", async () => {
+    const result = await inventory.reserveStock(stockClient({ 4: 3, 7: 0, 9: 2 }), LINES, 'trim');
+    assert.deepEqual(result.lines, [{ product_id: 9, quantity: 2, price: 1 }, { product_id: 4, quantity: 3, price: 2 }]);
+    assert.equal(result.shortages.length, 2);
+});
+
+test('decrementStock takes every line off in one update, and does nothing for no lines', async () => {
+    const client = mockClient();
+    await inventory.decrementStock(client, []);
+    assert.equal(client.queries.length, 0);
+
+    await inventory.decrementStock(client, LINES);
+    assert.deepEqual(client.queries[0].params, [[9, 4, 7], [2, 5, 1]]);
+});
+
+test('restoreStockForOrderItem adds the item quantity back', async () => {
+    const client = mockClient();
+    await inventory.restoreStockForOrderItem(client, 12);
+    const [restore] = queriesMatching(client, /stock_level = p.stock_level \+ oi.quantity/);
+    assert.deepEqual(restore.params, [12]);
+});
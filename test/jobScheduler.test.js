@@ -0,0 +1,57 @@
+// telegram-app-backend/test/jobScheduler.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { mockClient } = require('./helpers/mockClient');
+
+// jobScheduler queries through config/db, which needs a real database; give it this fake instead.
+// The scheduled_jobs row below follows the claim UPDATE's WHERE clause.
+const jobRow = { name: 'nightly', locked_until: null, last_scheduled_for: null };
+const db = mockClient([
+    [/UPDATE scheduled_jobs SET\s+locked_by = \$2/, ([name, lockedBy, leaseSeconds, trigger, adminId, scheduledFor]) => {
+        const now = Date.now();
+        const leaseFree = jobRow.locked_until === null || jobRow.locked_until < now;
+        const slotFree = scheduledFor === null || jobRow.last_scheduled_for === null || jobRow.last_scheduled_for < scheduledFor;
+        if (name !== jobRow.name || !leaseFree || !slotFree) return [];
+        Object.assign(jobRow, {
+            locked_by: lockedBy, locked_until: now + leaseSeconds * 1000, last_trigger: trigger,
+            last_triggered_by_admin_id: adminId, last_scheduled_for: scheduledFor ?? jobRow.last_scheduled_for
+        });
+        return [{ ...jobRow }];
+    }]
+]);
+require.cache[require.resolve('../config/db')] = { loaded: true, exports: db };
+const jobScheduler = require('../services/jobScheduler');
+
+const JOB = { name: 'nightly', leaseSeconds: 60 };
+const releaseLease = () => { jobRow.locked_until = null; };
+
+test('claimJob takes the lease for this instance and refuses while it is held', async () => {
+    const claimed = await jobScheduler.claimJob(JOB, { trigger: 'manual', adminId: 4, scheduledFor: null });
+    assert.equal(claimed.locked_by, `${os.hostname()}:${process.pid}`);
+    assert.equal(claimed.last_triggered_by_admin_id, 4);
+    assert.ok(claimed.locked_until > Date.now());
+
+    assert.equal(await jobScheduler.claimJob(JOB, { trigger: 'manual', adminId: 5, scheduledFor: null }), null);
+    releaseLease();
+});
+
+test('a scheduled slot is claimed once, later slots and manual runs still run', async () => {
+    const slot = new Date('2026-10-19T03:00:00Z');
+    assert.ok(await jobScheduler.claimJob(JOB, { trigger: 'schedule', adminId: null, scheduledFor: slot }));
+    releaseLease();
+    // Another instance firing for the same slot after the first run finished
+    assert.equal(await jobScheduler.claimJob(JOB, { trigger: 'schedule', adminId: null, scheduledFor: slot }), null);
+
+    const manual = await jobScheduler.claimJob(JOB, { trigger: 'manual', adminId: 4, scheduledFor: null });
+    assert.equal(manual.last_scheduled_for, slot); // A manual run keeps the last slot
+    releaseLease();
+
+    const nextSlot = new Date('2026-10-20T03:00:00Z');
+    assert.ok(await jobScheduler.claimJob(JOB, { trigger: 'schedule', adminId: null, scheduledFor: nextSlot }));
+    releaseLease();
+});
+
+test('startJob rejects a job that was never registered', async () => {
+    await assert.rejects(jobScheduler.startJob('no_such_job'), jobScheduler.UnknownJobError);
+});
@@ -0,0 +1,96 @@
+// telegram-app-backend/test/masterProducts.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const masterProducts = require('../services/masterProducts');
+const { mockClient, queriesMatching } = require('./helpers/mockClient');
+
+const master = (id, fields = {}) => ({
+    id, display_name: `Master ${id}`, standardized_name_normalized: `master ${id}`, category: 'dairy',
+    current_demand_score: 0, current_price_adjustment_percentage: '0.0000', price_locked: false, merged_into_id: null,
+    ...fields
+});
+
+const mergeClient = ({ masters, rules = [], cityAdjustments = [] }) => mockClient([
+    [/FROM master_products WHERE id = ANY/, ([ids]) => masters.filter(row => ids.includes(row.id))],
+    [/UPDATE products SET master_product_id/, () => [{ id: 100 }, { id: 101 }]],
+    [/FROM pricing_rules/, () => rules],
+    [/DELETE FROM master_product_city_adjustments/, () => cityAdjustments],
+    [/UPDATE master_products SET current_demand_score/, ([id, demand, adjustment]) => [
+        { ...masters.find(row => row.id === id), current_demand_score: demand, current_price_adjustment_percentage: adjustment }
+    ]],
+    [/INSERT INTO master_product_operations/, (params) => [{ id: 1, operation: params[0], details: JSON.parse(params[4]) }]]
+]);
+
+// [master product, old, new, note] of each price_history row
+const historyRows = (client) => queriesMatching(client, /INSERT INTO price_history/)
+    .map(({ params }) => [params[0], params[2], params[3], params[9]]);
+
+test('merging adds up demand and takes the demand-weighted adjustment', async () => {
+    const client = mergeClient({
+        masters: [
+            master(1, { current_demand_score: 10, current_price_adjustment_percentage: '0.0200' }),
+            master(2, { current_demand_score: 30, current_price_adjustment_percentage: '0.0600' })
+        ]
+    });
+    const result = await masterProducts.mergeMasterProducts(client, { targetId: 1, sourceIds: [2], adminId: 9 });
+
+    assert.equal(result.masterProduct.current_demand_score, 40);
+    assert.equal(result.masterProduct.current_price_adjustment_percentage, 0.05);
+    assert.deepEqual(queriesMatching(client, /UPDATE products SET master_product_id/)[0].params, [1, [2]]);
+    assert.deepEqual(result.operation.details.after, { demand_score: 40, adjustment: 0.05 });
+    assert.deepEqual(historyRows(client), [[1, 0.02, 0.05, 'Merged master products 2']]);
+});
+
+test("a locked target keeps its adjustment; a locked source's lock ends with a history row", async () => {
+    const client = mergeClient({
+        masters: [
+            master(1, { current_demand_score: 10, current_price_adjustment_percentage: '0.0200', price_locked: true }),
+            master(2, { current_demand_score: 30, current_price_adjustment_percentage: '-0.0100', price_locked: true }),
+            master(3, { current_demand_score: 5, current_price_adjustment_percentage: '0.0400' })
+        ]
+    });
+    const result = await masterProducts.mergeMasterProducts(client, { targetId: 1, sourceIds: [2, 3], adminId: 9 });
+
+    assert.equal(result.masterProduct.current_price_adjustment_percentage, 0.02);
+    assert.deepEqual(historyRows(client), [[2, -0.01, -0.01, 'Price lock ended: merged into master product 1']]);
+    const [sourceUpdate] = queriesMatching(client, /UPDATE master_products SET merged_into_id = \$1, merged_at/);
+    assert.match(sourceUpdate.sql, /price_locked = FALSE, price_lock_expires_at = NULL, price_lock_reason = NULL/);
+    assert.deepEqual(sourceUpdate.params, [1, [2, 3]]);
+});
+
+test("the sources' pricing rules move to the target unless it has one for that city", async () => {
+    const client = mergeClient({
+        masters: [master(1), master(2), master(3)],
+        rules: [
+            { id: 10, master_product_id: 1, city_id: null },
+            { id: 20, master_product_id: 2, city_id: null },
+            { id: 21, master_product_id: 2, city_id: 4 },
+            { id: 30, master_product_id: 3, city_id: 4 }
+        ]
+    });
+    const result = await masterProducts.mergeMasterProducts(client, { targetId: 1, sourceIds: [2, 3], adminId: 9 });
+
+    assert.deepEqual(result.operation.details.moved_pricing_rule_ids, [21]);
+    assert.deepEqual(result.operation.details.deleted_pricing_rule_ids, [20, 30]);
+});
+
+test("the sources' city adjustments are removed and recorded", async () => {
+    const client = mergeClient({
+        masters: [master(1), master(2)],
+        cityAdjustments: [{ master_product_id: 2, city_id: 4, adjustment_percentage: '0.0300' }]
+    });
+    await masterProducts.mergeMasterProducts(client, { targetId: 1, sourceIds: [2], adminId: 9 });
+    assert.deepEqual(historyRows(client), [[2, '0.0300', null, 'Merged into master product 1']]);
+});
+
+test('merging refuses missing or already merged master products', async () => {
+    const missing = await masterProducts.mergeMasterProducts(
+        mergeClient({ masters: [master(1)] }), { targetId: 1, sourceIds: [2], adminId: 9 }
+    );
+    assert.equal(missing.status, 404);
+
+    const client = mergeClient({ masters: [master(1), master(2, { merged_into_id: 5 })] });
+    const merged = await masterProducts.mergeMasterProducts(client, { targetId: 1, sourceIds: [2], adminId: 9 });
+    assert.equal(merged.status, 409);
+    assert.deepEqual(queriesMatching(client, /^\s*(UPDATE|DELETE|INSERT)/), []);
+});
@@ -0,0 +1,124 @@
+// telegram-app-backend/test/orderStateMachine.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const orderStateMachine = require('../services/orderStateMachine');
+const { mockClient, queriesMatching } = require('./helpers/mockClient');
+
+const {
+    ORDER_TRANSITIONS, SUPPLIER_ITEM_TRANSITIONS, DELIVERY_ITEM_TRANSITIONS, canTransition, deriveOrderStatus, InvalidTransitionError
+} = orderStateMachine;
+
+
+test('every transition leads to a known status and terminal statuses lead nowhere', () => {
+    const tables = { ORDER_TRANSITIONS, SUPPLIER_ITEM_TRANSITIONS, DELIVERY_ITEM_TRANSITIONS };
+    for (const [name, transitions] of Object.entries(tables)) {
+        for (const [fromStatus, toStatuses] of Object.entries(transitions)) {
+            for (const toStatus of toStatuses) {
+                assert.ok(toStatus in transitions, `${name}: ${fromStatus} -> unknown ${toStatus}`);
+                assert.notEqual(toStatus, fromStatus, `${name}: ${fromStatus} -> itself`);
+            }
+        }
+    }
+    assert.deepEqual(ORDER_TRANSITIONS.cancelled, []);
+    assert.deepEqual(ORDER_TRANSITIONS.returned, []);
+    assert.deepEqual(SUPPLIER_ITEM_TRANSITIONS.rejected, []);
+    assert.deepEqual(SUPPLIER_ITEM_TRANSITIONS.cancelled, []);
+    assert.deepEqual(DELIVERY_ITEM_TRANSITIONS.returned, []);
+});
+
+test('orders can only be cancelled before they are out for delivery', () => {
+    for (const status of ['pending', 'confirmed', 'preparing', 'assigned_to_agent']) {
+        assert.equal(canTransition(ORDER_TRANSITIONS, status, 'cancelled'), true, status);
+    }
+    for (const status of ['out_for_delivery', 'delivered', 'failed', 'returned', 'cancelled']) {
+        assert.equal(canTransition(ORDER_TRANSITIONS, status, 'cancelled'), false, status);
+    }
+    assert.equal(canTransition(ORDER_TRANSITIONS, 'unknown', 'confirmed'), false);
+});
+
+const item = (supplier_item_status, delivery_item_status = 'pending_assignment') => ({ supplier_item_status, delivery_item_status });
+
+test('deriveOrderStatus follows the least advanced active item', () => {
+    assert.equal(deriveOrderStatus([item('confirmed'), item('pending')]), 'pending');
+    assert.equal(deriveOrderStatus([item('ready_for_pickup'), item('confirmed', 'out_for_delivery')]), 'preparing');
+    assert.equal(deriveOrderStatus([item('confirmed', 'payment_pending'), item('confirmed', 'delivered')]), 'out_for_delivery');
+    assert.equal(deriveOrderStatus([item(null, null)]), 'pending');
+});
+
+test('deriveOrderStatus ignores rejected and cancelled items', () => {
+    assert.equal(deriveOrderStatus([item('rejected'), item('confirmed', 'delivered')]), 'delivered');
+    assert.equal(deriveOrderStatus([item('rejected'), item('cancelled')]), 'cancelled');
+    assert.equal(deriveOrderStatus([]), 'cancelled');
+});
+
+test('deriveOrderStatus settles finished orders as delivered, returned or failed', () => {
+    assert.equal(deriveOrderStatus([item('confirmed', 'delivered'), item('confirmed', 'delivery_failed')]), 'delivered');
+    assert.equal(deriveOrderStatus([item('confirmed', 'delivered'), item('confirmed', 'returned')]), 'delivered');
+    assert.equal(deriveOrderStatus([item('confirmed', 'returned'), item('confirmed', 'returned')]), 'returned');
+    assert.equal(deriveOrderStatus([item('confirmed', 'returned'), item('confirmed', 'delivery_failed')]), 'failed');
+});
+
+test('a failed order cannot be cancelled', () => {
+    assert.equal(canTransition(ORDER_TRANSITIONS, 'failed', 'cancelled'), false);
+    // ...but it can still be retried or returned
+    assert.equal(canTransition(ORDER_TRANSITIONS, 'failed', 'assigned_to_agent'), true);
+    assert.equal(canTransition(ORDER_TRANSITIONS, 'failed', 'returned'), true);
+});
+
+test('cancelOrder rejects cancelling a failed order before touching its items', async () => {
+    const client = mockClient([
+        [/FROM order_items WHERE order_id/, () => [{ id: 1, supplier_item_status: 'confirmed', delivery_item_status: 'delivery_failed' }]],
+        [/FROM orders WHERE id/, () => [{ id: 7, status: 'failed' }]]
+    ]);
+
+    await assert.rejects(
+        orderStateMachine.cancelOrder(client, { orderId: 7, actor: { type: 'admin', id: 1 } }),
+        (err) => err instanceof InvalidTransitionError && err.statusCode === 409 && err.details.fromStatus === 'failed'
+    );
+    assert.deepEqual(queriesMatching(client, /^\s*UPDATE/), [], 'no row was updated');
+});
+
+test('cancelOrder cancels the active items, restoring their stock, and releases the coupon', async () => {
+    const items = {
+        1: { id: 1, order_id: 7, supplier_item_status: 'pending', delivery_item_status: 'pending_assignment' },
+        2: { id: 2, order_id: 7, supplier_item_status: 'rejected', delivery_item_status: 'pending_assignment' },
+        3: { id: 3, order_id: 7, supplier_item_status: 'confirmed', delivery_item_status: 'assigned_to_agent' }
+    };
+    const client = mockClient([
+        [/FROM order_items WHERE order_id = \$1 ORDER BY id FOR UPDATE/, () => Object.values(items)],
+        [/SELECT \* FROM order_items WHERE id = \$1 FOR UPDATE/, ([id]) => [items[id]]],
+        [/UPDATE order_items SET/, (params) => [{ ...items[params[params.length - 1]], supplier_item_status: 'cancelled' }]],
+        [/FROM orders WHERE id/, () => [{ id: 7, status: 'confirmed' }]]
+    ]);
+
+    await orderStateMachine.cancelOrder(client, { orderId: 7, actor: { type: 'admin', id: 1 }, note: 'Customer called' });
+
+    const itemUpdates = queriesMatching(client, /UPDATE order_items SET/).map(({ params }) => params[params.length - 1]);
+    assert.deepEqual(itemUpdates, [1, 3]);
+    assert.equal(queriesMatching(client, /UPDATE orders SET status/).at(-1).params[0], 'cancelled');
+    const stockRestores = queriesMatching(client, /UPDATE products p SET stock_level = p.stock_level \+ oi.quantity/);
+    assert.deepEqual(stockRestores.map(({ params }) => params[0]), [1, 3]);
+    assert.ok(queriesMatching(client, /UPDATE coupon_redemptions SET status = 'released'/).length > 0);
+});
+
+test('syncSupplierOrderStatus derives a sub-order status from its own items only', async () => {
+    const client = mockClient([
+        [/FROM supplier_orders WHERE id/, () => [{ id: 11, order_id: 7, status: 'pending' }]],
+        [/FROM order_items WHERE supplier_order_id/, () => [item('ready_for_pickup'), item('rejected')]]
+    ]);
+
+    assert.equal(await orderStateMachine.syncSupplierOrderStatus(client, 11, { type: 'supplier', id: 3 }), 'preparing');
+    assert.deepEqual(queriesMatching(client, /UPDATE supplier_orders SET status/)[0].params, ['preparing', 11]);
+    const [history] = queriesMatching(client, /INSERT INTO order_status_history/);
+    assert.deepEqual(history.params.slice(0, 6), [7, null, 11, 'supplier_order_status', 'pending', 'preparing']);
+});
+
+test('syncSupplierOrderStatus never moves a sub-order backwards', async () => {
+    const client = mockClient([
+        [/FROM supplier_orders WHERE id/, () => [{ id: 11, order_id: 7, status: 'delivered' }]],
+        [/FROM order_items WHERE supplier_order_id/, () => [item('confirmed')]]
+    ]);
+
+    assert.equal(await orderStateMachine.syncSupplierOrderStatus(client, 11, { type: 'admin', id: 1 }), 'delivered');
+    assert.deepEqual(queriesMatching(client, /UPDATE supplier_orders/), []);
+});
@@ -0,0 +1,22 @@
+// telegram-app-backend/test/priceLocks.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const priceLocks = require('../services/priceLocks');
+const { mockClient } = require('./helpers/mockClient');
+
+test('releaseExpiredPriceLocks only counts the locks it actually released', async () => {
+    const past = new Date(Date.now() - 60 * 1000);
+    const future = new Date(Date.now() + 60 * 60 * 1000);
+    // Product 1 is still expired; product 2's lock was extended after the expiry scan
+    const lockRows = {
+        1: { id: 1, current_price_adjustment_percentage: '0.0500', price_locked: true, price_lock_expires_at: past, adjustment_before_override: null, merged_into_id: null },
+        2: { id: 2, current_price_adjustment_percentage: '0.0200', price_locked: true, price_lock_expires_at: future, adjustment_before_override: null, merged_into_id: null }
+    };
+    const client = mockClient([
+        [/SELECT id FROM master_products WHERE price_locked/, () => [{ id: 1 }, { id: 2 }]],
+        [/FOR UPDATE/, (params) => [lockRows[params[0]]]],
+        [/UPDATE master_products/, (params) => [{ ...lockRows[params[0]], price_locked: false }]]
+    ]);
+
+    assert.equal(await priceLocks.releaseExpiredPriceLocks(client), 1);
+});
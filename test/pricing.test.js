@@ -0,0 +1,82 @@
+// telegram-app-backend/test/pricing.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pricing = require('../services/pricing');
+
+// Decimal string -> BigInt scaled by 10^scale, exact like a Postgres NUMERIC
+const toScaled = (value, scale) => {
+    const text = String(value);
+    const [whole, fraction = ''] = text.replace('-', '').split('.');
+    const scaled = BigInt(whole + (fraction + '0'.repeat(scale)).slice(0, scale));
+    return text.startsWith('-') ? -scaled : scaled;
+};
+
+// EFFECTIVE_PRICE_SQL evaluated the way Postgres does it: exact NUMERIC arithmetic, ROUND(x, 2) half away from zero.
+// price has 2 decimals, deal percentage 2 decimals, adjustment 4 decimals (see the migrations).
+const sqlEffectivePrice = ({ price, discountPrice = null, isOnSale = false, dealPercentage = null, adjustment = '0' }) => {
+    const sellingPrice = toScaled(isOnSale && discountPrice !== null ? discountPrice : price, 2);
+    const dealFactor = 10000n - toScaled(dealPercentage === null ? '0' : dealPercentage, 2); // 1 - pct / 100, scale 4
+    const adjustmentFactor = 10000n + toScaled(adjustment, 4);                               // 1 + adjustment, scale 4
+    const exact = sellingPrice * dealFactor * adjustmentFactor;                              // scale 10
+    const unit = 10n ** 8n;
+    const magnitude = exact < 0n ? -exact : exact;
+    const cents = magnitude / unit + (magnitude % unit * 2n >= unit ? 1n : 0n);
+    return Number(exact < 0n ? -cents : cents) / 100;
+};
+
+const priceRow = ({ price, discountPrice = null, isOnSale = false, dealPercentage = null, adjustment = '0' }) => ({
+    supplier_base_price: price,
+    supplier_discount_price: discountPrice,
+    supplier_is_on_sale: isOnSale,
+    price_adjustment_percentage: adjustment,
+    applied_deal_id: dealPercentage === null ? null : 1,
+    deal_discount_percentage: dealPercentage
+});
+
+test('EFFECTIVE_PRICE_SQL is built from the same inputs as PRICE_COLUMNS', () => {
+    const sql = pricing.EFFECTIVE_PRICE_SQL.replace(/\s+/g, ' ');
+    assert.match(sql, /^ROUND\(.*, 2\)$/);
+    assert.match(sql, /CASE WHEN p\.is_on_sale AND p\.discount_price IS NOT NULL THEN p\.discount_price ELSE p\.price END/);
+    assert.match(sql, /\(1 - COALESCE\(active_deal\.discount_percentage, 0\) \/ 100\.0\)/);
+    assert.match(sql, /\(1 \+ COALESCE\(mpca\.adjustment_percentage, mp\.current_price_adjustment_percentage, 0\)\)/);
+    assert.match(pricing.PRICE_COLUMNS, /COALESCE\(mpca\.adjustment_percentage, mp\.current_price_adjustment_percentage, 0\.0000\)/);
+});
+
+test('computeEffectivePrice agrees with the SQL expression to the cent', () => {
+    const dealPercentages = [null, '5', '12.50', '33.33', '50'];
+    const adjustments = ['-0.0500', '-0.0150', '0', '0.0050', '0.0333', '0.1000'];
+    for (let cents = 1; cents <= 3000; cents += 7) {
+        const price = (cents / 100).toFixed(2);
+        for (const dealPercentage of dealPercentages) {
+            for (const adjustment of adjustments) {
+                const input = { price, dealPercentage, adjustment };
+                assert.equal(pricing.computeEffectivePrice(priceRow(input)), sqlEffectivePrice(input), JSON.stringify(input));
+            }
+        }
+    }
+});
+
+test('the supplier discount price only counts while the product is on sale', () => {
+    for (const isOnSale of [true, false]) {
+        const input = { price: '20.00', discountPrice: '15.99', isOnSale, dealPercentage: '10', adjustment: '0.0200' };
+        assert.equal(pricing.computeEffectivePrice(priceRow(input)), sqlEffectivePrice(input));
+    }
+    assert.equal(pricing.computeEffectivePrice(priceRow({ price: '20.00', discountPrice: '15.99', isOnSale: true })), 15.99);
+});
+
+test('roundPrice rounds half away from zero despite float error', () => {
+    assert.equal(pricing.roundPrice(1.005), 1.01);
+    assert.equal(pricing.roundPrice(4.35 * 0.5), 2.18);
+    assert.equal(pricing.roundPrice(-2.175), -2.18);
+    assert.equal(pricing.roundPrice(0.1 + 0.2), 0.3);
+});
+
+test('getPriceFields only reports a deal when one applies', () => {
+    const withDeal = pricing.getPriceFields(priceRow({ price: '10.00', dealPercentage: '25', adjustment: '0.1000' }));
+    assert.deepEqual(withDeal, {
+        effective_selling_price: 8.25, price_before_deal: 11, applied_deal_id: 1, deal_discount_percentage: 25
+    });
+    const withoutDeal = pricing.getPriceFields(priceRow({ price: '10.00' }));
+    assert.equal(withoutDeal.price_before_deal, null);
+    assert.equal(withoutDeal.applied_deal_id, null);
+});
@@ -0,0 +1,58 @@
+// telegram-app-backend/test/pricingRules.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pickRule, computeNextAdjustment } = require('../services/pricingRules');
+
+const rule = (id, scope, fields = {}) => ({
+    id, scope, city_id: null, category: null, master_product_id: null, ...fields
+});
+
+const RULES = [
+    rule(1, 'global'),
+    rule(2, 'global', { city_id: 3 }),
+    rule(3, 'category', { category: 'dairy' }),
+    rule(4, 'category', { category: 'dairy', city_id: 3 }),
+    rule(5, 'master_product', { master_product_id: 10 }),
+    rule(6, 'master_product', { master_product_id: 10, city_id: 4 })
+];
+
+test('pickRule picks the most specific matching rule', () => {
+    assert.equal(pickRule(RULES, { id: 10, category: 'dairy' }, 4).id, 6);
+    assert.equal(pickRule(RULES, { id: 10, category: 'dairy' }, 3).id, 5);  // master product beats category + city
+    assert.equal(pickRule(RULES, { id: 11, category: 'dairy' }, 3).id, 4);
+    assert.equal(pickRule(RULES, { id: 11, category: 'dairy' }, null).id, 3);
+    assert.equal(pickRule(RULES, { id: 11, category: 'bakery' }, 3).id, 2);  // category + city beats global + city only
+    assert.equal(pickRule(RULES, { id: 11, category: null }, null).id, 1);
+});
+
+test('pickRule returns null when no rule matches', () => {
+    assert.equal(pickRule(RULES.filter(r => r.scope !== 'global'), { id: 11, category: 'bakery' }, null), null);
+    assert.equal(pickRule([], { id: 10, category: 'dairy' }), null);
+});
+
+const LIMITS = {
+    high_demand_threshold: 50, low_demand_threshold: 10,
+    adjustment_step: '0.0050', max_increase: '0.0500', max_decrease: '-0.0300'
+};
+
+test('computeNextAdjustment steps with demand and holds in between', () => {
+    assert.equal(computeNextAdjustment(0.01, 51, LIMITS), 0.015);
+    assert.equal(computeNextAdjustment(0.01, 9, LIMITS), 0.005);
+    assert.equal(computeNextAdjustment(0.01, 50, LIMITS), 0.01);
+    assert.equal(computeNextAdjustment(0.01, 10, LIMITS), 0.01);
+});
+
+test('computeNextAdjustment keeps the adjustment within max_decrease and max_increase', () => {
+    assert.equal(computeNextAdjustment(0.048, 100, LIMITS), 0.05);
+    assert.equal(computeNextAdjustment(0.05, 100, LIMITS), 0.05);
+    assert.equal(computeNextAdjustment(-0.028, 0, LIMITS), -0.03);
+    // An adjustment outside the limits (e.g. an admin override) is pulled back in on the next run
+    assert.equal(computeNextAdjustment(0.08, 30, LIMITS), 0.05);
+    assert.equal(computeNextAdjustment(-0.1, 30, LIMITS), -0.03);
+});
+
+test('computeNextAdjustment rounds to 4 decimals', () => {
+    let adjustment = 0;
+    for (let run = 0; run < 7; run++) adjustment = computeNextAdjustment(adjustment, 100, { ...LIMITS, adjustment_step: '0.0010' });
+    assert.equal(adjustment, 0.007);
+});
@@ -0,0 +1,73 @@
+// telegram-app-backend/test/productLinking.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const productLinking = require('../services/productLinking');
+const { mockClient, queriesMatching } = require('./helpers/mockClient');
+
+const PRODUCT = {
+    id: 5, name: ' Almarai Milk 1L ', standardized_name_input: null, description: 'Full fat', category: 'dairy',
+    image_url: null, price: '1.50', master_product_id: 3, linking_status: 'automatically_linked'
+};
+
+const linkingClient = ({ product = PRODUCT, masters = { 3: {}, 8: {} }, existingByName = {} } = {}) => mockClient([
+    [/FROM products WHERE id = \$1 FOR UPDATE/, () => (product ? [product] : [])],
+    [/FROM master_products WHERE id = \$1 AND merged_into_id IS NULL/, ([id]) => (masters[id] ? [{ id }] : [])],
+    [/FROM master_products WHERE standardized_name_normalized/, ([name]) => (existingByName[name] ? [{ id: existingByName[name] }] : [])],
+    [/INSERT INTO master_products/, () => [{ id: 20 }]],
+    [/UPDATE products SET master_product_id/, ([masterProductId, linkingStatus, id]) => [{ id, master_product_id: masterProductId, linking_status: linkingStatus }]],
+    [/INSERT INTO product_linking_decisions/, (params) => [{ id: 1, product_id: params[0], decision: params[1] }]]
+]);
+
+const decide = (client, fields) => productLinking.applyLinkingDecision(client, {
+    productId: 5, adminId: 2, normalizeName: (name) => name.trim().toLowerCase(), ...fields
+});
+
+// [previous master, new master, previous status, new status] as recorded in product_linking_decisions
+const recorded = (client) => queriesMatching(client, /INSERT INTO product_linking_decisions/)[0].params.slice(2, 6);
+
+test('confirm keeps the current master product', async () => {
+    const client = linkingClient();
+    const result = await decide(client, { decision: 'confirm' });
+    assert.deepEqual(result.product, { id: 5, master_product_id: 3, linking_status: 'admin_confirmed' });
+    assert.deepEqual(recorded(client), [3, 3, 'automatically_linked', 'admin_confirmed']);
+
+    const unlinked = await decide(linkingClient({ product: { ...PRODUCT, master_product_id: null } }), { decision: 'confirm' });
+    assert.equal(unlinked.status, 400);
+});
+
+test('relink needs an existing, unmerged master product', async () => {
+    const client = linkingClient();
+    const result = await decide(client, { decision: 'relink', masterProductId: '8' });
+    assert.equal(result.product.master_product_id, 8);
+    assert.deepEqual(recorded(client), [3, 8, 'automatically_linked', 'admin_linked']);
+
+    assert.equal((await decide(linkingClient(), { decision: 'relink' })).status, 400);
+    assert.equal((await decide(linkingClient(), { decision: 'relink', masterProductId: 99 })).status, 404);
+});
+
+test('create_master creates a master from the product unless the name is taken', async () => {
+    const client = linkingClient();
+    const result = await decide(client, { decision: 'create_master', master: { brand: 'Almarai' } });
+    assert.equal(result.product.master_product_id, 20);
+    const [insert] = queriesMatching(client, /INSERT INTO master_products/);
+    assert.deepEqual(insert.params, ['almarai milk 1l', 'Almarai Milk 1L', 'Full fat', null, 'Almarai', 'dairy', '1.50']);
+
+    const taken = linkingClient({ existingByName: { 'almarai milk 1l': 3 } });
+    const conflict = await decide(taken, { decision: 'create_master' });
+    assert.deepEqual(conflict, {
+        status: 409, error: 'A master product with this standardized name already exists. Relink to it instead.', masterProductId: 3
+    });
+    assert.deepEqual(queriesMatching(taken, /INSERT INTO|UPDATE products/), []);
+});
+
+test('reject unlinks the product', async () => {
+    const client = linkingClient();
+    const result = await decide(client, { decision: 'reject', note: 'Not a grocery item' });
+    assert.deepEqual(result.product, { id: 5, master_product_id: null, linking_status: 'rejected' });
+    assert.deepEqual(recorded(client), [3, null, 'automatically_linked', 'rejected']);
+    assert.equal(queriesMatching(client, /INSERT INTO product_linking_decisions/)[0].params[6], 'Not a grocery item');
+});
+
+test('a missing product is a 404', async () => {
+    assert.equal((await decide(linkingClient({ product: null }), { decision: 'reject' })).status, 404);
+});
@@ -0,0 +1,72 @@
+// telegram-app-backend/test/productListing.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EFFECTIVE_PRICE_SQL } = require('../services/pricing');
+const { parseListingQuery, buildFilterClauses, combineClauses } = require('../services/productListing');
+
+const OPTIONS = { sorts: ['newest', 'price_asc', 'price_desc'], defaultSort: 'newest' };
+
+const NO_FILTERS = {
+    categories: [], supplierIds: [], minPrice: null, maxPrice: null, onSale: false, inStock: false, hasDeal: false
+};
+
+test('parseListingQuery defaults to no filters and the default sort', () => {
+    assert.deepEqual(parseListingQuery({}, OPTIONS), { sort: 'newest', filters: NO_FILTERS });
+});
+
+test('parseListingQuery reads lists, prices and flags', () => {
+    const { sort, filters } = parseListingQuery({
+        sort: 'price_asc',
+        category: ['dairy, bakery', 'drinks', ''],
+        supplierId: '3,7',
+        minPrice: '2.5',
+        maxPrice: '10',
+        onSale: 'true',
+        inStock: '1',
+        hasDeal: 'yes'
+    }, OPTIONS);
+    assert.equal(sort, 'price_asc');
+    assert.deepEqual(filters, {
+        categories: ['dairy', 'bakery', 'drinks'], supplierIds: [3, 7], minPrice: 2.5, maxPrice: 10,
+        onSale: true, inStock: true, hasDeal: false
+    });
+});
+
+test('parseListingQuery rejects bad sorts, supplier IDs and prices', () => {
+    assert.match(parseListingQuery({ sort: 'relevance' }, OPTIONS).error, /sort must be one of: newest, price_asc, price_desc/);
+    assert.match(parseListingQuery({ supplierId: '3,abc' }, OPTIONS).error, /supplierId/);
+    assert.match(parseListingQuery({ minPrice: '-1' }, OPTIONS).error, /non-negative/);
+    assert.match(parseListingQuery({ maxPrice: 'cheap' }, OPTIONS).error, /non-negative/);
+    assert.match(parseListingQuery({ minPrice: '10', maxPrice: '5' }, OPTIONS).error, /greater than maxPrice/);
+    assert.equal(parseListingQuery({ minPrice: '5', maxPrice: '5' }, OPTIONS).filters.minPrice, 5);
+});
+
+test('buildFilterClauses leaves unset filters null and adds no params', () => {
+    const params = ['search term'];
+    const clauses = buildFilterClauses(NO_FILTERS, params);
+    assert.deepEqual(Object.values(clauses), [null, null, null, null, null, null]);
+    assert.deepEqual(params, ['search term']);
+    assert.equal(combineClauses(clauses), 'TRUE');
+});
+
+test('buildFilterClauses numbers its params after the existing ones', () => {
+    const params = ['search term'];
+    const clauses = buildFilterClauses({
+        ...NO_FILTERS, categories: ['dairy'], supplierIds: [3, 7], minPrice: 2.5, maxPrice: 10, onSale: true, hasDeal: true
+    }, params);
+    assert.deepEqual(params, ['search term', 2.5, 10, ['dairy'], [3, 7]]);
+    assert.equal(clauses.price, `${EFFECTIVE_PRICE_SQL} >= $2 AND ${EFFECTIVE_PRICE_SQL} <= $3`);
+    assert.equal(clauses.category, 'p.category = ANY($4::text[])');
+    assert.equal(clauses.supplier, 'p.supplier_id = ANY($5::int[])');
+    assert.equal(clauses.onSale, 'p.is_on_sale = TRUE');
+    assert.equal(clauses.inStock, null);
+    assert.equal(clauses.hasDeal, 'active_deal.id IS NOT NULL');
+});
+
+test('combineClauses ANDs the active filters and can leave one out', () => {
+    const params = [];
+    const clauses = buildFilterClauses({ ...NO_FILTERS, categories: ['dairy'], inStock: true }, params);
+    assert.equal(combineClauses(clauses), '(p.category = ANY($1::text[])) AND (p.stock_level > 0)');
+    assert.equal(combineClauses(clauses, 'category'), '(p.stock_level > 0)');
+    assert.equal(combineClauses(clauses, 'inStock'), '(p.category = ANY($1::text[]))');
+});
@@ -0,0 +1,36 @@
+// telegram-app-backend/test/shippingAddress.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const shippingAddress = require('../services/shippingAddress');
+const { mockClient } = require('./helpers/mockClient');
+
+const PROFILE = {
+    full_name: 'Test User', phone_number: '0900000000', address_line1: 'Street 1', address_line2: null,
+    city: 'Damascus', selected_city_id: 1
+};
+
+// A profile and city names; every other query (saved addresses) comes back empty
+const addressClient = ({ profile = PROFILE, cities = { 1: 'Damascus', 2: 'Aleppo' } } = {}) => mockClient([
+    [/FROM user_profiles/, () => (profile ? [profile] : [])],
+    [/FROM cities/, (params) => (cities[params[0]] ? [{ name: cities[params[0]] }] : [])]
+]);
+
+test('an overridden city name without a city ID is rejected', async () => {
+    const result = await shippingAddress.resolveShippingAddress(addressClient(), 5, { shippingAddress: { city: 'Aleppo' } });
+    assert.equal(result.status, 400);
+    assert.match(result.error, /cityId/);
+});
+
+test('an overridden city ID takes its name from the cities table', async () => {
+    const result = await shippingAddress.resolveShippingAddress(addressClient(), 5, { shippingAddress: { cityId: 2 } });
+    assert.equal(result.address.city_id, 2);
+    assert.equal(result.address.city, 'Aleppo');
+});
+
+test('an address without a city ID is incomplete', async () => {
+    const result = await shippingAddress.resolveShippingAddress(
+        addressClient({ profile: { ...PROFILE, selected_city_id: null } }), 5, {}
+    );
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.missingFields, ['cityId']);
+});